@@ -129,7 +129,7 @@ async function runBenchmarks() {
     for (const s of testSyllables) jsDecompose(s);
   });
   const wasmDecomp = benchmark('WASM', () => {
-    for (const s of testSyllables) wasm.wasm_decompose(s, decomposeBuffer);
+    for (const s of testSyllables) wasm.wasm_decompose(s, decomposeBuffer, 0);
   });
   console.log(formatResult(jsDecomp));
   console.log(formatResult(wasmDecomp));
@@ -162,7 +162,7 @@ async function runBenchmarks() {
   }, 100);
   const wasmBulk = benchmark('WASM', () => {
     for (let c = HANGUL_SYLLABLE_BASE; c <= HANGUL_SYLLABLE_END; c++) {
-      wasm.wasm_decompose(c, decomposeBuffer);
+      wasm.wasm_decompose(c, decomposeBuffer, 0);
     }
   }, 100);
   console.log(formatResult(jsBulk));
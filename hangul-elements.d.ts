@@ -0,0 +1,108 @@
+/**
+ * hangul-wasm/elements - <hangul-input> and <hangul-keyboard> custom elements
+ * TypeScript type definitions
+ */
+
+import type { HangulIme, HangulWasmModule, ImeField, LayoutMode, SetupImeOptions } from './hangul-ime';
+
+/**
+ * <hangul-keyboard> - On-screen Korean keyboard
+ * Types into the field named by its `for` attribute (an element id) or `field`
+ * property through `ime`; without an IME it drives the field with its own.
+ *
+ * CSS parts: `preedit`, `row`, `key` plus the key's position (`initial`, `medial`,
+ * `final`, `literal`) or role (`shift`, `backspace`, `space`), `label`,
+ * `shift-label`, and `pressed` while a key is lit.
+ *
+ * @example
+ * ```html
+ * <textarea id="notes"></textarea>
+ * <hangul-keyboard for="notes" layout="3bulsik"></hangul-keyboard>
+ * <style>
+ *   hangul-keyboard::part(pressed) { background: gold; }
+ * </style>
+ * ```
+ */
+export declare class HangulKeyboardElement extends HTMLElement {
+  /** Loaded hangul.wasm (default: the module given to defineHangulElements, else init()) */
+  wasmModule: HangulWasmModule | null;
+  /** IME that tapped keys go through; a shared IME keeps its own layout and mode */
+  ime: HangulIme | null;
+  /** Field the keyboard types into */
+  field: ImeField | null;
+  /** Layout the keys are labelled for (default: the IME's layout for the field) */
+  layout: LayoutMode;
+  /** Shift is down (held on the physical keyboard, or tapped for the next key) */
+  shifted: boolean;
+  /**
+   * Resolves once hangul.wasm is loaded and the keys are labelled; also resolves
+   * when loading fails, after the element dispatches an `error` event (an ErrorEvent)
+   */
+  readonly ready: Promise<void>;
+
+  /**
+   * Type a key into the field, as tapping it does
+   * The keyboard's own IME follows `layout` and is switched to Korean; a shared
+   * IME is left as it is, so keys typed in English mode are inserted as they are.
+   * @param code - KeyboardEvent.code of the key ('KeyR', 'Space', 'Backspace', 'Shift')
+   */
+  press(code: string): void;
+
+  /** Light up a key briefly */
+  highlight(code: string): void;
+}
+
+/**
+ * <hangul-input> - Korean text field with a built-in on-screen keyboard
+ * Form-associated: its value is submitted under its `name`.
+ *
+ * Attributes: `layout`, `value`, `placeholder`, `name`, `multiline`, `wasm`.
+ * CSS parts: `input`, `keyboard`, and every <hangul-keyboard> part.
+ *
+ * @example
+ * ```html
+ * <form>
+ *   <hangul-input name="memo" layout="3bulsik" placeholder="메모"></hangul-input>
+ * </form>
+ * ```
+ */
+export declare class HangulInputElement extends HTMLElement {
+  /** Loaded hangul.wasm (default: the module given to defineHangulElements, else init()) */
+  wasmModule: HangulWasmModule | null;
+  /** HangulIme options (plus toggleKey), read when the IME is created on connect */
+  options: SetupImeOptions;
+  /** The IME driving the inner field (null until hangul.wasm is loaded) */
+  readonly ime: HangulIme | null;
+  /** Inner <input> or <textarea> */
+  readonly input: HTMLInputElement | HTMLTextAreaElement | null;
+  /** Built-in on-screen keyboard */
+  readonly keyboard: HangulKeyboardElement | null;
+  /**
+   * Resolves once the IME and keyboard are ready; also resolves when loading
+   * hangul.wasm fails, after the element dispatches an `error` event (an ErrorEvent)
+   */
+  readonly ready: Promise<void>;
+  layout: LayoutMode;
+  value: string;
+  readonly form: HTMLFormElement | null;
+  readonly name: string | null;
+}
+
+/**
+ * Register <hangul-keyboard> and <hangul-input> (names already defined are skipped)
+ * Without a module, elements load hangul.wasm with init(): their `wasm` attribute,
+ * or hangul.wasm next to hangul-ime.js.
+ *
+ * @example
+ * ```typescript
+ * defineHangulElements(await init());
+ * ```
+ */
+export declare function defineHangulElements(wasmModule?: HangulWasmModule): void;
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'hangul-keyboard': HangulKeyboardElement;
+    'hangul-input': HangulInputElement;
+  }
+}
@@ -0,0 +1,727 @@
+/**
+ * hangul-elements - <hangul-input> and <hangul-keyboard> custom elements
+ * Optional entry point: `import { defineHangulElements } from 'hangul-wasm/elements'`
+ *
+ * <hangul-keyboard> is an on-screen Korean keyboard for a field driven by
+ * HangulIme: its keys are labelled for the layout, light up while typing,
+ * and type into the field when tapped; the syllable being composed is
+ * shown above them. <hangul-input> is a text field with one built in.
+ * Both render into shadow DOM and are styled through CSS parts.
+ */
+
+import {
+  attachIme,
+  HangulComposer,
+  HangulIme,
+  init,
+  keyFromEvent,
+} from './hangul-ime.js'
+
+// Importable outside browsers (SSR, tests); the elements themselves need DOM
+const BaseElement = globalThis.HTMLElement ?? class {}
+
+const letterCodes = (letters) =>
+  Array.from(letters, (letter) => `Key${letter.toUpperCase()}`)
+
+// On-screen keys by row, named like KeyboardEvent.code
+const KEYBOARD_ROWS = [
+  [...Array.from('1234567890', (digit) => `Digit${digit}`), 'Minus', 'Equal'],
+  [...letterCodes('qwertyuiop'), 'BracketLeft', 'BracketRight'],
+  [...letterCodes('asdfghjkl'), 'Semicolon', 'Quote'],
+  ['Shift', ...letterCodes('zxcvbnm'), 'Comma', 'Period', 'Slash', 'Backspace'],
+  ['Space'],
+]
+
+// Keys that edit or switch instead of typing a character
+const SPECIAL_KEYS = {
+  Shift: { part: 'shift', label: '⇧' },
+  Backspace: { part: 'backspace', label: '⌫' },
+  Space: { part: 'space', label: '' },
+}
+
+// Parts of <hangul-keyboard>, re-exported by <hangul-input>
+const KEYBOARD_PARTS = [
+  'preedit',
+  'row',
+  'key',
+  'initial',
+  'medial',
+  'final',
+  'literal',
+  'shift',
+  'backspace',
+  'space',
+  'label',
+  'shift-label',
+  'pressed',
+]
+
+const PRESSED_MS = 150 // How long a pressed key stays lit
+
+const KEYBOARD_STYLE = `
+  :host {
+    display: block;
+    padding: 1rem;
+    border-radius: 8px;
+    background: #2d2d3d;
+    font-family: monospace;
+    user-select: none;
+    touch-action: manipulation;
+  }
+  :host([hidden]) { display: none; }
+  [part~='preedit'] {
+    display: block;
+    min-height: 1.5em;
+    margin-bottom: 0.5rem;
+    color: white;
+    font-size: 1.5rem;
+    text-align: center;
+  }
+  [part~='row'] {
+    display: flex;
+    justify-content: center;
+    gap: 4px;
+    margin-bottom: 4px;
+  }
+  [part~='key'] {
+    position: relative;
+    min-width: 36px;
+    padding: 8px 12px;
+    border: none;
+    border-radius: 4px;
+    background: #4a4a5a;
+    color: #aaa;
+    font: inherit;
+    font-size: 0.9rem;
+    cursor: pointer;
+    transition: transform 0.1s ease, filter 0.1s ease;
+  }
+  [part~='initial'] { background: #d4a5d4; color: #3d3d4d; }
+  [part~='medial'] { background: #c4d9e8; color: #3d3d4d; }
+  [part~='final'] { background: #f0d9c1; color: #3d3d4d; }
+  [part~='space'] { min-width: 240px; }
+  [part~='key']:active { transform: scale(0.95); }
+  [part~='pressed'] { transform: scale(1.15); filter: brightness(1.2); z-index: 1; }
+  [part~='shift-label'] {
+    position: absolute;
+    right: 3px;
+    bottom: 2px;
+    font-size: 0.6em;
+    opacity: 0.6;
+  }
+  :host([shifted]) [part~='shift-label'] { opacity: 1; font-weight: bold; }
+  :host([shifted]) [part~='shift'] { box-shadow: 0 0 0 2px #4caf50; }
+`
+
+const INPUT_STYLE = `
+  :host { display: inline-block; }
+  :host([hidden]) { display: none; }
+  [part~='input'] { box-sizing: border-box; width: 100%; font: inherit; }
+  [part~='keyboard'] { margin-top: 0.5rem; }
+`
+
+// Set by defineHangulElements; otherwise each element calls init()
+let defaultWasmModule = null
+
+// One composer per WASM instance labels every keyboard: the bump
+// allocator only reclaims memory once all allocations are freed
+const labelComposers = new WeakMap()
+
+/**
+ * Loaded hangul.wasm for an element: its wasmModule property, the module
+ * passed to defineHangulElements, or init() with its `wasm` attribute
+ */
+async function wasmModuleFor(element) {
+  return (
+    element.wasmModule ??
+    defaultWasmModule ??
+    init(element.getAttribute('wasm') ?? undefined)
+  )
+}
+
+/**
+ * Report a failed hangul.wasm load as an `error` event (an ErrorEvent) on
+ * the element; its `ready` promise still resolves
+ */
+function reportLoadError(element, error) {
+  element.dispatchEvent(
+    new ErrorEvent('error', {
+      error,
+      message: String(error?.message ?? error),
+    }),
+  )
+}
+
+/**
+ * Re-apply a property set before the element was upgraded, which would
+ * otherwise shadow the class accessor
+ */
+function upgradeProperty(element, name) {
+  if (Object.hasOwn(element, name)) {
+    const value = element[name]
+    delete element[name]
+    element[name] = value
+  }
+}
+
+/**
+ * Attach listeners to an event target
+ * @returns {() => void} - Removes the listeners again
+ */
+function listen(target, listeners) {
+  for (const [type, listener] of Object.entries(listeners)) {
+    target.addEventListener(type, listener)
+  }
+  return () => {
+    for (const [type, listener] of Object.entries(listeners)) {
+      target.removeEventListener(type, listener)
+    }
+  }
+}
+
+/**
+ * What a key types from an empty composition: its jamo and syllable
+ * position, a literal (3-Bulsik punctuation), or null outside the layout
+ * @returns {{text: string, position: 'initial'|'medial'|'final'|'literal'}|null}
+ */
+function keyLabel(composer, key) {
+  composer.reset()
+  const { committed, preedit, handled } = composer.feed(key)
+  if (!handled) return null
+  if (preedit === '') return { text: committed, position: 'literal' }
+
+  const { initial, medial } = composer.getState()
+  composer.reset()
+  return {
+    text: preedit,
+    position: initial ? 'initial' : medial ? 'medial' : 'final',
+  }
+}
+
+/**
+ * Delete the character before the caret (or the selection) of a text target
+ */
+function deleteBackward(target) {
+  const { start, end } = target.getSelection()
+  target.replaceRange(start === end ? Math.max(0, start - 1) : start, end, '')
+}
+
+/**
+ * <hangul-keyboard> - On-screen Korean keyboard
+ * Types into the field named by its `for` attribute (an element id) or
+ * set as its `field` property, through the HangulIme set as its `ime`
+ * property; with no IME it drives the field with one of its own.
+ *
+ * Attributes: `for`, `layout` (labels and tapped keys; default: the
+ * IME's layout for the field), `shifted` (Shift is down: held on the
+ * physical keyboard, or tapped for the next key), `wasm` (hangul.wasm URL
+ * for init()).
+ * Events: `error` (an ErrorEvent) when hangul.wasm fails to load.
+ * Parts: `preedit`, `row`, `key` plus the key's position (`initial`,
+ * `medial`, `final`, `literal`) or role (`shift`, `backspace`, `space`),
+ * `label`, `shift-label`, and `pressed` while a key is lit.
+ */
+export class HangulKeyboardElement extends BaseElement {
+  static get observedAttributes() {
+    return ['for', 'layout']
+  }
+
+  constructor() {
+    super()
+    this.attachShadow({ mode: 'open' })
+    this.wasmModule ??= null // May be set before the element is upgraded
+    this.externalIme = null // IME set through the ime property
+    this.ownIme = null // IME created for a field without one
+    this.detachOwnIme = null
+    this.explicitField = null // Field set through the field property
+    this.boundField = null
+    this.unbindField = null
+    this.buttons = new Map() // KeyboardEvent.code → key button
+    this.pressTimers = new Map() // KeyboardEvent.code → timeout
+    this.loaded = false
+    this.ready = Promise.resolve()
+    this.render()
+  }
+
+  connectedCallback() {
+    for (const name of ['ime', 'field', 'layout', 'shifted']) {
+      upgradeProperty(this, name)
+    }
+    this.ready = this.load()
+  }
+
+  disconnectedCallback() {
+    this.bindField(null)
+  }
+
+  attributeChangedCallback(name) {
+    if (!this.loaded) return
+    if (name === 'for') this.bindField(this.field)
+    this.labelKeys()
+  }
+
+  /**
+   * Load hangul.wasm, label the keys and start following the field
+   */
+  async load() {
+    try {
+      this.wasmModule = await wasmModuleFor(this)
+    } catch (error) {
+      reportLoadError(this, error)
+      return
+    }
+    this.loaded = true
+    if (!this.isConnected) return
+    this.bindField(this.field)
+    this.labelKeys()
+  }
+
+  /** HangulIme that tapped keys go through */
+  get ime() {
+    return this.externalIme ?? this.ownIme
+  }
+
+  set ime(ime) {
+    this.externalIme = ime ?? null
+    if (this.loaded) this.bindField(this.field)
+  }
+
+  /** Field the keyboard types into (input, textarea, contenteditable host or text target) */
+  get field() {
+    if (this.explicitField) return this.explicitField
+    const id = this.getAttribute('for')
+    if (!id || !this.isConnected) return null
+    const root = this.getRootNode()
+    return (
+      typeof root.getElementById === 'function' ? root : document
+    ).getElementById(id)
+  }
+
+  set field(field) {
+    this.explicitField = field ?? null
+    if (this.loaded) this.bindField(this.field)
+  }
+
+  /** Layout the keys are labelled for */
+  get layout() {
+    return (
+      this.getAttribute('layout') ||
+      this.ime?.getLayoutMode(this.boundField) ||
+      '2bulsik'
+    )
+  }
+
+  set layout(layout) {
+    this.setAttribute('layout', layout)
+  }
+
+  get shifted() {
+    return this.hasAttribute('shifted')
+  }
+
+  set shifted(shifted) {
+    this.toggleAttribute('shifted', Boolean(shifted))
+    this.buttons
+      .get('Shift')
+      ?.setAttribute('aria-pressed', String(Boolean(shifted)))
+  }
+
+  /**
+   * Build the rows of key buttons
+   */
+  render() {
+    const doc = this.ownerDocument ?? document
+    const style = doc.createElement('style')
+    style.textContent = KEYBOARD_STYLE
+    this.preedit = doc.createElement('output')
+    this.preedit.setAttribute('part', 'preedit')
+    this.shadowRoot.append(style, this.preedit)
+
+    for (const codes of KEYBOARD_ROWS) {
+      const row = doc.createElement('div')
+      row.setAttribute('part', 'row')
+      for (const code of codes) {
+        const button = doc.createElement('button')
+        button.type = 'button'
+        button.tabIndex = -1
+        button.dataset.code = code
+        const label = doc.createElement('span')
+        label.setAttribute('part', 'label')
+        const shiftLabel = doc.createElement('span')
+        shiftLabel.setAttribute('part', 'shift-label')
+        button.append(label, shiftLabel)
+
+        const special = SPECIAL_KEYS[code]
+        if (special) {
+          button.setAttribute('part', `key ${special.part}`)
+          button.setAttribute('aria-label', code)
+          label.textContent = special.label
+        }
+        row.append(button)
+        this.buttons.set(code, button)
+      }
+      this.shadowRoot.append(row)
+    }
+    this.buttons.get('Shift').setAttribute('aria-pressed', 'false')
+
+    listen(this.shadowRoot, {
+      // Keep the focus (and the composition) in the field
+      mousedown: (e) => e.preventDefault(),
+      pointerdown: (e) => {
+        const button = e.target.closest?.('button[data-code]')
+        if (!button) return
+        e.preventDefault()
+        this.press(button.dataset.code)
+      },
+    })
+  }
+
+  /**
+   * Label every character key with what it types in the current layout,
+   * unshifted and (when different) shifted
+   * Unknown layouts are labelled as 2-Bulsik.
+   */
+  labelKeys() {
+    if (!this.wasmModule) return
+
+    let composer = labelComposers.get(this.wasmModule)
+    if (!composer) {
+      composer = new HangulComposer(this.wasmModule)
+      labelComposers.set(this.wasmModule, composer)
+    }
+    composer.setLayoutMode('2bulsik')
+    composer.setLayoutMode(this.layout)
+
+    for (const [code, button] of this.buttons) {
+      if (SPECIAL_KEYS[code]) continue
+
+      const key = keyFromEvent({ code, shiftKey: false })
+      const shiftedKey = keyFromEvent({ code, shiftKey: true })
+      const plain = keyLabel(composer, key)
+      const shifted = keyLabel(composer, shiftedKey)
+      const text = plain?.text ?? key
+      const shiftText = shifted?.text ?? shiftedKey
+
+      const [label, shiftLabel] = button.children
+      label.textContent = text
+      shiftLabel.textContent =
+        shiftText !== text && shiftText.toLowerCase() !== text ? shiftText : ''
+      button.setAttribute(
+        'part',
+        ['key', plain?.position, this.pressTimers.has(code) && 'pressed']
+          .filter(Boolean)
+          .join(' '),
+      )
+      button.title = shiftLabel.textContent
+        ? `${key} → ${text} (Shift: ${shiftText})`
+        : `${key} → ${text}`
+    }
+    composer.reset()
+  }
+
+  /**
+   * Follow a field: light up its key presses, track Shift and show its
+   * preedit; a field without an IME gets the keyboard's own
+   * @param {HTMLElement|Object|null} field - Field to follow (null: stop)
+   */
+  bindField(field) {
+    this.unbindField?.()
+    this.unbindField = null
+    this.detachOwnIme?.()
+    this.detachOwnIme = null
+    this.ownIme?.destroy()
+    this.ownIme = null
+    this.boundField = field
+    this.preedit.textContent = ''
+    if (!field) return
+
+    // Text targets without an element only get tapped keys
+    const element = field.element ?? field
+    const listens = typeof element.addEventListener === 'function'
+
+    if (!this.externalIme && this.wasmModule) {
+      this.ownIme = new HangulIme(this.wasmModule, {
+        layout: this.getAttribute('layout') || undefined,
+      })
+      if (listens) this.detachOwnIme = attachIme(this.ownIme, field)
+      this.ownIme.enable()
+    }
+
+    if (!listens) return
+    this.unbindField = listen(element, {
+      keydown: (e) => {
+        if (e.key === 'Shift') {
+          this.shifted = true
+        } else if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+          this.highlight(e.code || this.codeOf(keyFromEvent(e)))
+        }
+      },
+      keyup: (e) => {
+        if (e.key === 'Shift') this.shifted = false
+      },
+      compositionupdate: (e) => {
+        this.preedit.textContent = e.data
+      },
+      compositionend: () => {
+        this.preedit.textContent = ''
+      },
+    })
+  }
+
+  /**
+   * On-screen key typing a character, for events without a code
+   */
+  codeOf(key) {
+    if (key === null) return null
+    for (const code of this.buttons.keys()) {
+      if (
+        !SPECIAL_KEYS[code] &&
+        (keyFromEvent({ code, shiftKey: false }) === key ||
+          keyFromEvent({ code, shiftKey: true }) === key)
+      ) {
+        return code
+      }
+    }
+    return key === ' ' ? 'Space' : null
+  }
+
+  /**
+   * Light up a key briefly
+   * @param {string} code - KeyboardEvent.code of the key
+   */
+  highlight(code) {
+    const button = this.buttons.get(code)
+    if (!button) return
+
+    clearTimeout(this.pressTimers.get(code))
+    button.part.add('pressed')
+    this.pressTimers.set(
+      code,
+      setTimeout(() => {
+        button.part.remove('pressed')
+        this.pressTimers.delete(code)
+      }, PRESSED_MS),
+    )
+  }
+
+  /**
+   * Type a key into the field, as tapping it does
+   * Shift toggles and applies to the next key; keys outside the layout
+   * (or typed while the IME is in English mode) are inserted as they are.
+   * The keyboard's own IME follows its `layout` and is switched to Korean;
+   * an IME set through the `ime` property keeps its layout and mode.
+   * @param {string} code - KeyboardEvent.code of the key ('KeyR', 'Space', 'Backspace', 'Shift')
+   */
+  press(code) {
+    if (!this.buttons.has(code)) return
+    this.highlight(code)
+    if (code === 'Shift') {
+      this.shifted = !this.shifted
+      return
+    }
+
+    const field = this.boundField
+    const ime = this.ime
+    if (!field || !ime) return
+
+    if (code === 'Backspace') {
+      if (!ime.handleBackspace(field)) deleteBackward(ime.getTarget(field))
+      return
+    }
+
+    const shiftKey = this.shifted
+    const key = keyFromEvent({ code, shiftKey })
+    if (ime === this.ownIme) {
+      const layout = this.getAttribute('layout')
+      if (layout && ime.getLayoutMode(field) !== layout) {
+        ime.setLayoutMode(layout)
+      }
+      if (!ime.isEnabled(field)) ime.enable(field)
+    }
+
+    if (!ime.handleKeyPress({ key, code, shiftKey }, field)) {
+      if (ime.isComposing(field)) ime.commit(field)
+      ime.insertCommitted(field, key)
+    }
+    this.shifted = false
+  }
+}
+
+/**
+ * <hangul-input> - Korean text field with a built-in on-screen keyboard
+ * A form-associated element: its value is submitted under its `name`.
+ * `input` and composition events come from the inner field; `change` is
+ * re-dispatched from the element.
+ *
+ * Attributes: `layout`, `value` (initial value), `placeholder`, `name`,
+ * `multiline` (a textarea, read when first connected), `wasm`
+ * (hangul.wasm URL for init()).
+ * Events: `error` (an ErrorEvent) when hangul.wasm fails to load.
+ * Parts: `input`, `keyboard`, and every <hangul-keyboard> part.
+ */
+export class HangulInputElement extends BaseElement {
+  static get observedAttributes() {
+    return ['layout', 'placeholder', 'value']
+  }
+
+  static get formAssociated() {
+    return true
+  }
+
+  constructor() {
+    super()
+    this.attachShadow({ mode: 'open', delegatesFocus: true })
+    this.internals = this.attachInternals?.() ?? null
+    // May be set before the element is upgraded
+    this.wasmModule ??= null
+    // HangulIme options (plus toggleKey), read when the IME is created
+    this.options ??= {}
+    this.ime = null
+    this.detachIme = null
+    this.input = null
+    this.keyboard = null
+    this.ready = Promise.resolve()
+  }
+
+  connectedCallback() {
+    for (const name of ['layout', 'value']) upgradeProperty(this, name)
+    if (!this.input) this.render()
+    this.ready = this.load()
+  }
+
+  disconnectedCallback() {
+    this.detachIme?.()
+    this.detachIme = null
+    this.ime?.destroy()
+    this.ime = null
+  }
+
+  attributeChangedCallback(name, _previous, value) {
+    if (!this.input) return
+    if (name === 'layout') {
+      if (value) this.ime?.setLayoutMode(value)
+      this.keyboard.layout = this.layout
+    } else if (name === 'placeholder') {
+      this.input.placeholder = value ?? ''
+    } else {
+      this.input.defaultValue = value ?? ''
+      this.updateFormValue()
+    }
+  }
+
+  /**
+   * Create the IME once hangul.wasm is loaded
+   */
+  async load() {
+    let wasmModule
+    try {
+      wasmModule = await wasmModuleFor(this)
+    } catch (error) {
+      reportLoadError(this, error)
+      return
+    }
+    if (!this.isConnected || this.ime) return
+
+    this.ime = new HangulIme(wasmModule, {
+      ...this.options,
+      layout: this.layout,
+    })
+    this.detachIme = attachIme(this.ime, this.input, this.options)
+    this.ime.enable()
+    this.keyboard.ime = this.ime
+    this.keyboard.field = this.input
+    await this.keyboard.ready
+  }
+
+  get layout() {
+    return this.getAttribute('layout') || '2bulsik'
+  }
+
+  set layout(layout) {
+    this.setAttribute('layout', layout)
+  }
+
+  get value() {
+    return this.input ? this.input.value : (this.getAttribute('value') ?? '')
+  }
+
+  set value(value) {
+    if (!this.input) this.render()
+    this.ime?.reset()
+    this.input.value = value
+    this.updateFormValue()
+  }
+
+  get form() {
+    return this.internals?.form ?? null
+  }
+
+  get name() {
+    return this.getAttribute('name')
+  }
+
+  formResetCallback() {
+    this.value = this.getAttribute('value') ?? ''
+  }
+
+  updateFormValue() {
+    this.internals?.setFormValue(this.input.value)
+  }
+
+  /**
+   * Build the inner field and keyboard
+   */
+  render() {
+    const doc = this.ownerDocument ?? document
+    const style = doc.createElement('style')
+    style.textContent = INPUT_STYLE
+
+    this.input = doc.createElement(
+      this.hasAttribute('multiline') ? 'textarea' : 'input',
+    )
+    this.input.setAttribute('part', 'input')
+    for (const name of ['autocomplete', 'autocorrect', 'autocapitalize']) {
+      this.input.setAttribute(name, 'off')
+    }
+    this.input.spellcheck = false
+    this.input.placeholder = this.getAttribute('placeholder') ?? ''
+    this.input.defaultValue = this.getAttribute('value') ?? ''
+
+    this.keyboard = doc.createElement('hangul-keyboard')
+    this.keyboard.setAttribute('part', 'keyboard')
+    this.keyboard.setAttribute('exportparts', KEYBOARD_PARTS.join(', '))
+    this.keyboard.setAttribute('layout', this.layout)
+    // Set before it connects, so the keyboard doesn't load its own
+    if (this.wasmModule) this.keyboard.wasmModule = this.wasmModule
+    const wasm = this.getAttribute('wasm')
+    if (wasm) this.keyboard.setAttribute('wasm', wasm)
+
+    this.shadowRoot.append(style, this.input, this.keyboard)
+    listen(this.input, {
+      input: () => this.updateFormValue(),
+      // change doesn't cross the shadow boundary on its own
+      change: () => this.dispatchEvent(new Event('change', { bubbles: true })),
+    })
+    this.updateFormValue()
+  }
+}
+
+/**
+ * Register <hangul-keyboard> and <hangul-input> (names already defined are skipped)
+ * @param {WebAssembly.WebAssemblyInstantiatedSource} [wasmModule] - Loaded hangul.wasm for every element;
+ *   without it, elements load it with init() (their `wasm` attribute, or hangul.wasm next to hangul-ime.js)
+ *
+ * @example
+ * defineHangulElements(await init())
+ * // <hangul-input name="memo" layout="3bulsik"></hangul-input>
+ * // <textarea id="notes"></textarea> <hangul-keyboard for="notes"></hangul-keyboard>
+ */
+export function defineHangulElements(wasmModule) {
+  if (wasmModule) defaultWasmModule = wasmModule
+  for (const [name, element] of [
+    ['hangul-keyboard', HangulKeyboardElement],
+    ['hangul-input', HangulInputElement],
+  ]) {
+    if (!customElements.get(name)) customElements.define(name, element)
+  }
+}
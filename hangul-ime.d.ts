@@ -22,20 +22,302 @@ export interface ImeState {
 }
 
 /**
- * Keyboard layout mode
+ * Keyboard layout mode: a built-in layout or one added with registerLayout
+ * ('3bulsik' is Sebeolsik Final, the same as '3bulsik-final')
  */
-export type LayoutMode = '2bulsik' | '3bulsik';
+export type LayoutMode =
+  | '2bulsik'
+  | '3bulsik'
+  | '3bulsik-final'
+  | '3bulsik-390'
+  | (string & {});
+
+/**
+ * JSON-compatible keyboard layout for registerLayout
+ */
+export interface LayoutDefinition {
+  /** How the keys are typed (default '2bulsik') */
+  type?: '2bulsik' | '3bulsik';
+  /**
+   * Key (the character it types, as in KeyboardEvent.key) → jamo
+   * - '2bulsik': a jamo on a 2-Bulsik key, compatibility or conjoining
+   * - '3bulsik': a choseong, jungseong (or compatibility vowel) or
+   *   jongseong, or any other character typed as is
+   */
+  keys: Record<string, string>;
+}
+
+/**
+ * Add a keyboard layout, usable wherever a layout name is
+ * Registering a name again replaces that layout; built-in names can't be replaced
+ */
+export declare function registerLayout(name: string, layout: LayoutDefinition): void;
+
+/**
+ * Editable text host driven by HangulIme
+ * Offsets are UTF-16 indices into the host's text
+ */
+export interface TextTarget {
+  /** Full text of the host */
+  getText(): string;
+  /** Current selection (start === end for a collapsed caret) */
+  getSelection(): { start: number; end: number };
+  /** Replace text between start and end, leaving the caret after the new text */
+  replaceRange(start: number, end: number, text: string): void;
+  
+  /**
+   * Viewport rectangle of the text between start and end, or null when it
+   * is not visible (optional; enables the preedit overlay)
+   */
+  getRect?(start: number, end: number): PreeditRect | null;
+  /**
+   * Whether replaceRange edits through execCommand, which fires the browser's
+   * own beforeinput/input events; HangulIme then dispatches none (optional)
+   */
+  editsNatively?(): boolean;
+}
+
+/**
+ * Viewport rectangle (CSS pixels) covered by text in a field
+ */
+export interface PreeditRect {
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+}
+
+/**
+ * Field accepted by HangulIme methods: an element or a custom text target
+ */
+export type ImeField = HTMLInputElement | HTMLTextAreaElement | HTMLElement | TextTarget;
+
+/**
+ * Text target for <input> and <textarea> elements (uses value/selectionStart)
+ */
+export declare class InputTextTarget implements TextTarget {
+  constructor(
+    element: HTMLInputElement | HTMLTextAreaElement,
+    options?: { setValue?: ValueSetter }
+  );
+  readonly element: HTMLInputElement | HTMLTextAreaElement;
+  /** How values are written (default: setNativeValue) */
+  setValue: ValueSetter;
+  /** Edit a focused field through execCommand (native undo); false with a custom setValue */
+  nativeEdit: boolean;
+  getText(): string;
+  getSelection(): { start: number; end: number };
+  /** Uses execCommand('insertText') while focused, so Ctrl+Z can undo it */
+  replaceRange(start: number, end: number, text: string): void;
+  /** True while focused, unless a custom setValue is used */
+  editsNatively(): boolean;
+  /** Measured with an off-screen mirror of the field's text layout */
+  getRect(start: number, end: number): PreeditRect | null;
+}
+
+/**
+ * Text target for contenteditable hosts (uses Selection and Range)
+ * Offsets index the host's textContent, so composition works inside nested inline nodes
+ */
+export declare class ContentEditableTextTarget implements TextTarget {
+  constructor(element: HTMLElement);
+  readonly element: HTMLElement;
+  getText(): string;
+  getSelection(): { start: number; end: number };
+  replaceRange(start: number, end: number, text: string): void;
+  /** True while focused */
+  editsNatively(): boolean;
+  getRect(start: number, end: number): PreeditRect | null;
+}
+
+/**
+ * Create the default text target for an element
+ * Inputs and textareas get an InputTextTarget, anything else a ContentEditableTextTarget
+ */
+export declare function createTextTarget(
+  element: HTMLElement,
+  options?: { setValue?: ValueSetter }
+): TextTarget;
+
+/**
+ * Writes a new value into an input or textarea
+ */
+export type ValueSetter = (element: HTMLInputElement | HTMLTextAreaElement, value: string) => void;
+
+/**
+ * Write an input's value through the native (prototype) setter, bypassing
+ * instance-level overrides such as React's value tracker
+ */
+export declare function setNativeValue(
+  element: HTMLInputElement | HTMLTextAreaElement,
+  value: string
+): void;
+
+/**
+ * Options for the preedit overlay
+ */
+export interface PreeditOptions {
+  /** Class name for CSS styling (default: 'hangul-preedit') */
+  className?: string;
+  /**
+   * Inline styles, replacing the default underline + light highlight
+   * (pass {} to style purely through className)
+   */
+  style?: Partial<CSSStyleDeclaration>;
+}
+
+/**
+ * Preedit overlay marking the syllable still being composed
+ * Follows scrolling and resizing while visible
+ */
+export declare class PreeditOverlay {
+  constructor(options?: PreeditOptions);
+  /** Overlay element (created on first show) */
+  readonly element: HTMLElement | null;
+  /** Show the overlay over [start, end) of a target that implements getRect */
+  show(target: TextTarget, start: number, end: number): void;
+  /** Reposition the overlay */
+  update(): void;
+  hide(): void;
+  destroy(): void;
+}
+
+/**
+ * Composition modes and policies shared by HangulIme and HangulComposer
+ */
+export interface CompositionOptions {
+  /**
+   * 3-Bulsik moachigi: jamo typed together build one syllable whichever
+   * order they arrive in (default: false)
+   */
+  moachigi?: boolean;
+  /**
+   * 2-Bulsik: combine double vowels and finals typed in reverse
+   * (ㅏ+ㅗ → ㅘ, ㅅ+ㄱ → ㄳ; default: false)
+   */
+  autoReorder?: boolean;
+  /** What backspace deletes: the last jamo (한 → 하, default) or the whole syllable */
+  backspace?: 'jamo' | 'syllable';
+  /** Combine two finals into one (ㄱ+ㅅ → ㄳ; default: true) */
+  doubleFinals?: boolean;
+  /**
+   * Double a consonant typed twice (ㄱ+ㄱ → ㄲ; default: true)
+   * 2-Bulsik still types ㄲ with Shift; 3-Bulsik Final has no other ㄲ initial
+   */
+  doubleByRepeat?: boolean;
+}
 
 /**
  * Options for HangulIme constructor
  */
-export interface HangulImeOptions {
+export interface HangulImeOptions extends CompositionOptions {
   /** Enable debug logging (default: false) */
   debug?: boolean;
   /** Keyboard layout mode (default: '2bulsik') */
   layout?: LayoutMode;
+  /** Factory for text targets (default: createTextTarget) */
+  createTarget?: (element: HTMLElement) => TextTarget;
+  /**
+   * Framework adapter hook: how input/textarea values are written
+   * (default: setNativeValue, which React/Vue controlled inputs pick up)
+   */
+  setValue?: ValueSetter;
+  /**
+   * Dispatch compositionstart/update/end and beforeinput/input events
+   * (with isComposing) on the field for every change (default: true);
+   * edits made through execCommand get the browser's own input events instead
+   */
+  events?: boolean;
+  /**
+   * Underline/highlight the syllable being composed in inputs, textareas
+   * and contenteditable hosts (default: off)
+   */
+  preedit?: boolean | PreeditOptions;
+  /**
+   * Where the Korean/English mode lives: one mode for all fields ('global',
+   * default) or a mode per field ('field', starting from the global mode)
+   */
+  modeScope?: 'global' | 'field';
+  /**
+   * End the composition after every key, so the field never holds
+   * uncommitted text (password-like fields); the next key still changes
+   * the last syllable while the caret stays after it, and Backspace deletes
+   * it whole (default: false)
+   */
+  commitEachSyllable?: boolean;
 }
 
+/**
+ * Options for setupIme
+ */
+export interface SetupImeOptions extends HangulImeOptions {
+  /**
+   * Hotkey(s) that flip Korean/English in the focused field:
+   * modifiers (Ctrl, Shift, Alt, Meta) and one key (event.code or event.key)
+   * joined with '+', e.g. 'Shift+Space', 'Ctrl+Space', 'AltRight' (Right Alt),
+   * 'HangulMode' (Hangul/한영 key)
+   */
+  toggleKey?: string | string[];
+}
+
+/**
+ * Detail of the `modechange` event
+ */
+export interface ModeChangeDetail {
+  /** true when Korean input is on */
+  enabled: boolean;
+  /** Field whose mode changed ('field' scope), or null for the global mode */
+  field: ImeField | null;
+  /** Current keyboard layout */
+  layout: LayoutMode;
+}
+
+/**
+ * Events dispatched by HangulIme
+ */
+export interface HangulImeEventMap {
+  modechange: CustomEvent<ModeChangeDetail>;
+}
+
+/**
+ * Parsed hotkey
+ */
+export interface Hotkey {
+  ctrl: boolean;
+  shift: boolean;
+  alt: boolean;
+  meta: boolean;
+  key: string;
+}
+
+/**
+ * Key event fields read by the IME
+ * Plain objects such as `{ key: 'r' }` work too.
+ */
+export interface ImeKeyEvent {
+  key?: string;
+  code?: string;
+  shiftKey?: boolean;
+  ctrlKey?: boolean;
+  altKey?: boolean;
+  metaKey?: boolean;
+  isComposing?: boolean;
+  keyCode?: number;
+  getModifierState?(key: string): boolean;
+}
+
+/**
+ * Resolve the US QWERTY character for a key event
+ * Uses event.code and Shift (ignoring Caps Lock); falls back to event.key
+ * @returns The character, or null for non-printable keys
+ */
+export declare function keyFromEvent(event: ImeKeyEvent): string | null;
+
+/**
+ * Parse a hotkey description such as 'Shift+Space' or 'Ctrl+Space'
+ */
+export declare function parseHotkey(spec: string): Hotkey;
+
 /**
  * WebAssembly module with hangul.wasm exports
  */
@@ -55,12 +337,26 @@ export interface HangulWasmExports {
   wasm_alloc(size: number): number;
   wasm_free(ptr: number, size: number): void;
   
+  /** Reset the bump allocator (invalidates every pointer) */
+  wasm_alloc_reset(): void;
+  /** Bytes used in the allocator buffer */
+  wasm_alloc_used(): number;
+  /** Number of live allocations */
+  wasm_alloc_count_active(): number;
+  
   // Core decomposition/composition
-  wasm_decompose(syllable: number, output_ptr: number): boolean;
+  /** Decompose a syllable (form: 0 = compatibility jamo, 1/2 = conjoining) */
+  wasm_decompose(syllable: number, output_ptr: number, form?: number): boolean;
   wasm_decompose_safe(syllable: number, output_ptr: number, output_size: number): boolean;
   wasm_compose(initial: number, medial: number, final: number): number;
   wasm_hasFinal(syllable: number): boolean;
   wasm_isHangulSyllable(char: number): boolean;
+  /** Initial consonant of a syllable (0 if invalid) */
+  wasm_getInitial(syllable: number): number;
+  /** Vowel of a syllable (0 if invalid) */
+  wasm_getMedial(syllable: number): number;
+  /** Final consonant of a syllable (0 if none or invalid) */
+  wasm_getFinal(syllable: number): number;
   
   // Jamo classification
   /** Check if codepoint is a compatibility jamo (consonant or vowel) */
@@ -75,27 +371,410 @@ export interface HangulWasmExports {
   wasm_isDoubleVowel(char: number): boolean;
   
   // String processing
-  /** Decompose UTF-8 string into jamo codepoints */
-  wasm_decomposeString(input_ptr: number, input_len: number, output_ptr: number): number;
-  /** Compose jamo codepoints back into Hangul syllables */
-  wasm_composeString(input_ptr: number, input_len: number, output_ptr: number): number;
+  /** Decompose UTF-8 string into jamo codepoints (form: 0 = compatibility, 1 = conjoining, 2 = NFD; split: 0 = none, 1 = compound, 2 = all) */
+  wasm_decomposeString(input_ptr: number, input_len: number, output_ptr: number, form?: number, split?: number): number;
+  /** Compose jamo codepoints of any form (archaic jamo included) back into Hangul syllables, rejoining jamo split by wasm_decomposeString */
+  wasm_composeString(input_ptr: number, input_len: number, output_ptr: number, split?: number): number;
+  /** Whether wasm_composeString never joins across the point before `c` */
+  wasm_isComposeBoundary(prev: number, c: number, next: number): boolean;
+  /** Romanize UTF-8 text (system: 0 = revised, 1 = McCune–Reischauer, 2 = transliteration). Returns bytes written, or -1 (u32 0xFFFFFFFF) if output is too small */
+  wasm_romanize(input_ptr: number, input_len: number, output_ptr: number, output_len: number, system: number): number;
+  /** Convert transliterated UTF-8 text back into codepoints */
+  wasm_detransliterate(input_ptr: number, input_len: number, output_ptr: number): number;
   
   // IME functions
   wasm_ime_create(): number;
   wasm_ime_destroy(handle: number): void;
   wasm_ime_reset(handle: number): void;
-  /** Process keystroke in 2-Bulsik mode */
-  wasm_ime_processKey(handle: number, jamo_index: number, result_ptr: number): boolean;
-  /** Process keystroke in 3-Bulsik mode */
-  wasm_ime_processKey3(handle: number, ascii: number, result_ptr: number): boolean;
-  wasm_ime_backspace(handle: number): number;
+  /** Process keystroke in 2-Bulsik mode (options bits: 2 = auto-reorder, 4 = no double finals, 8 = no doubles by typing an initial twice) */
+  wasm_ime_processKey(handle: number, jamo_index: number, result_ptr: number, options: number): boolean;
+  /** Process keystroke in 3-Bulsik mode (layout 0 = Final, 1 = 390; options bits as in wasm_ime_processKey, plus 1 = moachigi; writes a 20-byte result buffer) */
+  wasm_ime_processKey3(handle: number, ascii: number, result_ptr: number, layout: number, options: number): boolean;
+  /** Process a 3-Bulsik jamo index (position 0 = initial, 1 = medial, 2 = final) or a literal code point (position 3) */
+  wasm_ime_processJamo3(handle: number, position: number, value: number, result_ptr: number, options: number): boolean;
+  /** Remove the last jamo (options bit 16: the whole syllable); returns the updated codepoint, 0 if now empty */
+  wasm_ime_backspace(handle: number, options: number): number;
   wasm_ime_getState(handle: number, state_ptr: number): void;
-  /** Commit current composition and reset state. Returns finalized codepoint (0 if empty). */
+  /** Commit current composition and reset state. Returns finalized codepoint (0 if empty); a moachigi composition missing its vowel takes one call per jamo. */
   wasm_ime_commit(handle: number): number;
+  /** 3-Bulsik key (ASCII) typing a jamo index (position 0 = initial, 1 = medial, 2 = final) or a literal code point (position 3); 0 if none */
+  wasm_ime_keyFor3(position: number, value: number, layout: number): number;
+  /** Split a double jamo index (position 0 = initial, 1 = medial, 2 = final) into `(first << 8) | second`; 0 if not a double */
+  wasm_ime_splitJamo(position: number, jamo_index: number): number;
+}
+
+/**
+ * Jamo of a decomposed syllable
+ */
+export interface Jamo {
+  /** Initial consonant (초성) */
+  initial: string;
+  /** Vowel (중성) */
+  medial: string;
+  /** Final consonant (종성), '' without 받침 */
+  final: string;
+}
+
+/**
+ * Jamo form for Hangul.decompose/decomposeString
+ * - 'compatibility': Compatibility Jamo, U+3131-U+318E (default)
+ * - 'conjoining': Hangul Jamo, U+1100-U+11FF; compatibility jamo in the text are converted too
+ * - 'nfd': syllables as Hangul Jamo, everything else kept (same as normalize('NFD') for Hangul)
+ */
+export type JamoForm = 'compatibility' | 'conjoining' | 'nfd';
+
+/**
+ * How far decomposeString breaks compound jamo (compatibility form only)
+ * - 'none': ㄺ, ㅘ and ㄲ stay whole (default)
+ * - 'compound': compound vowels and finals split, ㄺ → ㄹㄱ, ㅘ → ㅗㅏ
+ * - 'all': double consonants split too, ㄲ → ㄱㄱ
+ */
+export type SplitMode = 'none' | 'compound' | 'all';
+
+export interface DecomposeOptions {
+  form?: JamoForm;
+}
+
+export interface DecomposeStringOptions extends DecomposeOptions {
+  split?: SplitMode;
+}
+
+export interface ComposeStringOptions {
+  /** The split the jamo were decomposed with */
+  split?: SplitMode;
+}
+
+/**
+ * Romanization system for Hangul.romanize
+ * - 'revised': Revised Romanization, as pronounced (default)
+ * - 'mccune-reischauer': McCune–Reischauer, as pronounced
+ * - 'transliteration': Revised Romanization letter by letter, reversible
+ */
+export type RomanizationSystem = 'revised' | 'mccune-reischauer' | 'transliteration';
+
+export interface RomanizeOptions {
+  system?: RomanizationSystem;
+}
+
+/**
+ * String-level API over the hangul.wasm exports
+ * Handles WASM memory and UTF-8 encoding; characters may be passed as strings
+ * (first character is used) or code points.
+ *
+ * @example
+ * const hangul = new Hangul(wasmModule);
+ * hangul.decompose('한');           // { initial: 'ㅎ', medial: 'ㅏ', final: 'ㄴ' }
+ * hangul.composeString('ㅎㅏㄴㄱㅡㄹ'); // '한글'
+ */
+export declare class Hangul {
+  constructor(wasmModule: HangulWasmModule);
+
+  /** Release the scratch buffer */
+  destroy(): void;
+
+  /** Split a syllable into jamo, or null if it isn't a syllable */
+  decompose(syllable: string | number, options?: DecomposeOptions): Jamo | null;
+  /** Combine jamo into a syllable, or null for an invalid combination */
+  compose(initial: string | number, medial: string | number, final?: string | number): string | null;
+  /** Decompose every syllable ('한글' → 'ㅎㅏㄴㄱㅡㄹ'); other characters pass through */
+  decomposeString(text: string, options?: DecomposeStringOptions): string;
+  /** Compose jamo of any form into syllables ('ㅎㅏㄴㄱㅡㄹ' → '한글'); archaic syllables become conjoining clusters, other characters pass through */
+  composeString(text: string, options?: ComposeStringOptions): string;
+  /** decomposeString as a TransformStream for text of any size; chunks may be strings or UTF-8 bytes */
+  decomposeStream(options?: DecomposeStringOptions): TransformStream<string | BufferSource, string>;
+  /** composeString as a TransformStream; jamo at the end of a chunk wait for the next one */
+  composeStream(options?: ComposeStringOptions): TransformStream<string | BufferSource, string>;
+
+  /** Initial consonant (초성), or null if not a syllable */
+  getInitial(syllable: string | number): string | null;
+  /** Vowel (중성), or null if not a syllable */
+  getMedial(syllable: string | number): string | null;
+  /** Final consonant (종성): '' without 받침, null if not a syllable */
+  getFinal(syllable: string | number): string | null;
+  /** Whether a syllable has a final consonant (받침) */
+  hasFinal(syllable: string | number): boolean;
+
+  /** Precomposed syllable (가-힣) */
+  isHangulSyllable(char: string | number): boolean;
+  /** Compatibility jamo (ㄱ-ㅣ) */
+  isJamo(char: string | number): boolean;
+  /** Consonant jamo (ㄱ-ㅎ) */
+  isConsonant(char: string | number): boolean;
+  /** Vowel jamo (ㅏ-ㅣ) */
+  isVowel(char: string | number): boolean;
+  /** Double consonant (ㄲ, ㄸ, ㅃ, ㅆ, ㅉ) */
+  isDoubleConsonant(char: string | number): boolean;
+  /** Compound vowel (ㅘ, ㅙ, ㅚ, ㅝ, ㅞ, ㅟ, ㅢ) */
+  isDoubleVowel(char: string | number): boolean;
+
+  /** Romanize Korean text ('한국어' → 'hangugeo'); other characters pass through */
+  romanize(text: string, options?: RomanizeOptions): string;
+  /** Restore Hangul from 'transliteration' output ('hangug-eo' → '한국어') */
+  detransliterate(text: string): string;
+
+  /** Final consonant heard at the end of a word (Hangul, number or Latin): a jamo code point, 0 after a vowel, null if unreadable */
+  wordFinal(word: string): number | null;
+  /** Particle form that fits after a word: pickJosa('사과', '을/를') → '를' */
+  pickJosa(word: string | number, particle: string): string;
+  /** Word plus the particle form that fits: josa('사과', '을') → '사과를' */
+  josa(word: string | number, particle: string): string;
+  /** Template tag fixing the particle after each value: josa`${name}을 삭제했습니다` */
+  josa(strings: TemplateStringsArray, ...values: unknown[]): string;
+
+  /** UTF-16 offset of the first match of a Searcher pattern, or -1 */
+  search(text: string, pattern: string): number;
+  /** Every match of a Searcher pattern as [start, end) UTF-16 ranges */
+  rangeSearch(text: string, pattern: string): MatchRange[];
+
+  /** Weighted edit distance compared jamo by jamo (jamoDistance('한', '핟') → 0.5) */
+  jamoDistance(a: string, b: string, options?: DistanceOptions): number;
+  /** jamoDistance scaled to 0-1, where 1 is the same text */
+  similarity(a: string, b: string, options?: DistanceOptions): number;
+  /** The candidates closest to a query by jamoDistance, best first */
+  fuzzySearch(query: string, candidates: Iterable<string>, options?: FuzzySearchOptions<string>): FuzzyMatch<string>[];
+  fuzzySearch<T>(query: string, candidates: Iterable<T>, options: FuzzySearchOptions<T> & { key: (item: T) => string }): FuzzyMatch<T>[];
+
+  /** Keystrokes that type the text on a layout ('안녕' → 'dkssud'); other characters pass through */
+  hangulToKeys(text: string, layout?: LayoutMode): string;
+  /** Text typed by keystrokes on a layout ('dkssud' → '안녕'); keys outside the layout pass through */
+  keysToHangul(keys: string, layout?: LayoutMode): string;
+}
+
+/**
+ * [start, end) UTF-16 offsets of a match, ready for `text.slice(start, end)`
+ */
+export type MatchRange = [number, number];
+
+/**
+ * A candidate kept by Searcher.filter
+ */
+export interface SearchMatch<T> {
+  item: T;
+  ranges: MatchRange[];
+}
+
+/**
+ * Options for Hangul.jamoDistance and Hangul.similarity
+ */
+export interface DistanceOptions {
+  /**
+   * Cost of swapping two different jamo (or other characters). Default: 0.5
+   * for neighbouring 2-Bulsik keys and the same key with Shift (ㄱ/ㄲ), else 1
+   */
+  substitution?: (a: string, b: string) => number;
+}
+
+/**
+ * Options for Hangul.fuzzySearch
+ */
+export interface FuzzySearchOptions<T> extends DistanceOptions {
+  /** Most results returned (default: 10) */
+  limit?: number;
+  /** Drop candidates further than this (default: no limit) */
+  maxDistance?: number;
+  /** Text to compare in each candidate (default: the candidate itself) */
+  key?: (item: T) => string;
+}
+
+/**
+ * A candidate returned by Hangul.fuzzySearch
+ */
+export interface FuzzyMatch<T> {
+  item: T;
+  distance: number;
+  /** 0-1, where 1 is the same text */
+  similarity: number;
+}
+
+/**
+ * Hangul-aware search for autocomplete and search-as-you-type
+ * - A consonant jamo matches a syllable with that initial ('ㅎㄱ' matches '한글')
+ * - The last character may be partly typed ('한ㄱ' matches '한국', '달' matches '닭')
+ * - Anything else matches itself
+ *
+ * @example
+ * ```typescript
+ * const searcher = new Searcher(hangul, 'ㄱㅊ');
+ * searcher.filter(['김철수', '이영희']); // [{ item: '김철수', ranges: [[0, 2]] }]
+ * ```
+ */
+export declare class Searcher {
+  constructor(hangul: Hangul, pattern: string);
+  /** UTF-16 offset of the first match, or -1 (0 for an empty pattern) */
+  search(text: string): number;
+  /** Every non-overlapping match */
+  rangeSearch(text: string): MatchRange[];
+  /** Whether the text contains a match */
+  test(text: string): boolean;
+  /** Candidates that match, in input order, with their ranges */
+  filter(candidates: Iterable<string>): SearchMatch<string>[];
+  filter<T>(candidates: Iterable<T>, key: (item: T) => string): SearchMatch<T>[];
+}
+
+/**
+ * decomposeString over text that arrives in chunks (strings or UTF-8 bytes)
+ * Used by Hangul.decomposeStream and hangul-wasm/node.
+ */
+export declare class StreamDecomposer {
+  constructor(hangul: Hangul, options?: DecomposeStringOptions);
+  /** Jamo for one chunk; a character cut by the chunk boundary waits for the next */
+  write(chunk: string | BufferSource): string;
+  /** Whatever was held back */
+  end(): string;
+}
+
+/**
+ * composeString over text that arrives in chunks (strings or UTF-8 bytes)
+ * The output is exactly composeString of the whole text.
+ */
+export declare class StreamComposer {
+  constructor(hangul: Hangul, options?: ComposeStringOptions);
+  /** Syllables that later input can no longer change */
+  write(chunk: string | BufferSource): string;
+  /** Everything still held back */
+  end(): string;
+}
+
+/**
+ * Options for HangulComposer
+ */
+export interface HangulComposerOptions extends CompositionOptions {
+  /** Enable debug logging */
+  debug?: boolean;
+  /** Keyboard layout mode (default: '2bulsik') */
+  layout?: LayoutMode;
+}
+
+/**
+ * Result of a HangulComposer operation
+ */
+export interface ComposeResult {
+  /** Text that became final; insert it before the preedit */
+  committed: string;
+  /** Syllable still being composed (replaces the previous preedit) */
+  preedit: string;
+  /** false when the key is not part of the layout or there was nothing to do */
+  handled: boolean;
+  /** Raw WASM action (0 = no change, 1 = replace, 2 = emit and new, 3 = literal) */
+  action: number;
+}
+
+/**
+ * Headless Korean composition engine (no DOM required)
+ * 
+ * @example
+ * ```typescript
+ * const composer = new HangulComposer(wasmModule);
+ * let text = '';
+ * for (const key of 'gksrmf') text += composer.feed(key).committed;
+ * text += composer.commit().committed; // '한글'
+ * ```
+ */
+export declare class HangulComposer {
+  /**
+   * Create a new composer
+   * @param wasmModule - The loaded WebAssembly module
+   * @param options - Configuration options
+   * @throws Error if WASM allocation fails
+   */
+  constructor(wasmModule: HangulWasmModule, options?: HangulComposerOptions);
+  
+  /** Syllable currently being composed ('' when idle) */
+  readonly preedit: string;
+  
+  /**
+   * Clean up WASM resources
+   */
+  destroy(): void;
+  
+  /**
+   * Set the keyboard layout mode (drops the current composition)
+   * @param mode - '2bulsik' or '3bulsik'
+   */
+  setLayoutMode(mode: LayoutMode): void;
+  
+  /**
+   * Get the current keyboard layout mode
+   */
+  getLayoutMode(): LayoutMode;
+  
+  /**
+   * Drop the current composition without committing it
+   */
+  reset(): void;
+  
+  /**
+   * Feed one keystroke
+   * Keys outside the layout commit the composition and are returned
+   * unchanged at the end of `committed` (with handled = false)
+   * @param key - Character produced by the key (e.g. 'r', 'R')
+   */
+  feed(key: string): ComposeResult;
+  
+  /**
+   * Remove the last jamo from the composition
+   */
+  backspace(): ComposeResult;
+  
+  /**
+   * Finalize the current composition
+   */
+  commit(): ComposeResult;
+  
+  /**
+   * Get the current WASM composition state
+   */
+  getState(): ImeState;
+}
+
+/**
+ * Text and selection ([start, end]) of a recorded field
+ */
+export interface ImeFieldState {
+  text: string;
+  selection: [number, number];
+}
+
+/**
+ * One thing the IME handled in a recorded field, with the field afterwards
+ */
+export interface ImeRecordingStep extends ImeFieldState {
+  /** Key press, backspace, commit (space, blur, click...) or dropped composition */
+  type: 'key' | 'backspace' | 'commit' | 'reset';
+  /** Layout key the event resolved to ('key' steps) */
+  key?: string;
+  /** KeyboardEvent.code of the key, if the event had one ('key' steps) */
+  code?: string;
+  /** Whether Shift was reported down ('key' steps) */
+  shiftKey?: boolean;
+  /** Composer action ('key' and 'backspace' steps; see ComposeResult) */
+  action?: number;
+  /** false when the key was left to the browser ('key' and 'backspace' steps) */
+  handled?: boolean;
+  /** Layout of the field */
+  layout: LayoutMode;
+  /** Field state before the step, when it changed outside the IME since the last one */
+  before?: ImeFieldState;
+  /** Preedit after the step ('' when not composing) */
+  preedit: string;
+}
+
+/**
+ * Trace of a field's input (from HangulIme.stopRecording), plain JSON data
+ * The top-level text and selection are the field's when recording started.
+ */
+export interface ImeRecording extends ImeFieldState {
+  version: 1;
+  /** Layout of the field when recording started */
+  layout: LayoutMode;
+  /** Options of the recording IME */
+  options: CompositionOptions & { commitEachSyllable?: boolean };
+  steps: ImeRecordingStep[];
 }
 
 /**
  * Korean Input Method Editor using hangul.wasm
+ * Dispatches `modechange` when Korean input is switched on or off
  * 
  * @example
  * ```typescript
@@ -104,7 +783,7 @@ export interface HangulWasmExports {
  * ime.enable();
  * ```
  */
-export declare class HangulIme {
+export declare class HangulIme extends EventTarget {
   /**
    * Create a new HangulIme instance
    * @param wasmModule - The loaded WebAssembly module
@@ -121,18 +800,56 @@ export declare class HangulIme {
   
   /**
    * Enable the IME for Korean input
+   * @param field - Field to switch ('field' scope); omit for the global/default mode
    */
-  enable(): void;
+  enable(field?: ImeField | null): void;
   
   /**
    * Disable the IME (pass-through to browser)
+   * @param field - Field to switch ('field' scope); omit for the global/default mode
+   */
+  disable(field?: ImeField | null): void;
+  
+  /**
+   * Flip between Korean and English input
+   * @returns true if Korean input is now on
+   */
+  toggle(field?: ImeField | null): boolean;
+  
+  /**
+   * Set the Korean/English mode, firing `modechange` if it changed
    */
-  disable(): void;
+  setEnabled(enabled: boolean, field?: ImeField | null): void;
   
   /**
-   * Check if IME is currently enabled
+   * Check if IME is currently enabled for a field: its 'field' scope mode,
+   * else its `data-hangul-enabled` attribute, else the global mode
    */
-  isEnabled(): boolean;
+  isEnabled(field?: ImeField | null): boolean;
+  
+  /** Where the Korean/English mode lives */
+  readonly modeScope: 'global' | 'field';
+  
+  addEventListener<K extends keyof HangulImeEventMap>(
+    type: K,
+    listener: (event: HangulImeEventMap[K]) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  removeEventListener<K extends keyof HangulImeEventMap>(
+    type: K,
+    listener: (event: HangulImeEventMap[K]) => void,
+    options?: boolean | EventListenerOptions
+  ): void;
+  removeEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | EventListenerOptions
+  ): void;
   
   /**
    * Enable or disable debug logging
@@ -152,40 +869,119 @@ export declare class HangulIme {
   
   /**
    * Get the current keyboard layout mode
+   * @param field - Field whose `data-hangul-layout` attribute wins over the IME's layout
    */
-  getLayoutMode(): LayoutMode;
+  getLayoutMode(field?: ImeField | null): LayoutMode;
   
   /**
-   * Reset the IME state (clears current composition)
+   * Reset the active field's IME state (clears current composition)
    */
   reset(): void;
   
+  /**
+   * Check whether a field has a composition in progress
+   * (with commitEachSyllable: a committed syllable the next key may change)
+   */
+  isComposing(field: ImeField): boolean;
+
+  /**
+   * Check that the composing text is still at compositionStart with the caret after it
+   * Drops a composition invalidated by paste, autocomplete, undo or a selection
+   * @returns true if a composition is active and intact
+   */
+  syncComposition(field: ImeField): boolean;
+  
+  /**
+   * Make a field's composition session (own WASM IME handle) the active one
+   * Called automatically by handleKeyPress, handleBackspace and commit
+   */
+  activateField(field: ImeField): void;
+  
+  /**
+   * Commit the current composition (it stays in the field) and reset state
+   * @returns The committed syllable, or null if nothing was composing
+   */
+  commit(field?: ImeField): string | null;
+  
+  /**
+   * Get the text target used to edit a field
+   * Custom TextTarget objects are returned as-is
+   */
+  getTarget(field: ImeField): TextTarget;
+  
   /**
    * Handle a keyboard event
-   * @param event - The keyboard event
-   * @param field - The input field element
+   * Jamo come from the physical key (event.code) and Shift; Caps Lock is ignored
+   * @param event - The keydown (or keypress) event
+   * @param field - The input field, contenteditable host or text target
    * @returns true if event was handled and should be prevented
    */
-  handleKeyPress(event: KeyboardEvent, field: HTMLInputElement | HTMLTextAreaElement): boolean;
+  handleKeyPress(event: ImeKeyEvent, field: ImeField): boolean;
+
+  /**
+   * Handle text from a beforeinput insertText event (soft keyboards)
+   * A single character is composed like a key press; space and longer text
+   * end the composition and are left to the browser
+   * @returns true if the input was handled and should be prevented
+   */
+  handleTextInput(field: ImeField, text: string | null): boolean;
   
   /**
    * Handle backspace key
-   * @param field - The input field element
+   * @param field - The input field, contenteditable host or text target
    * @returns true if event was handled and should be prevented
    */
-  handleBackspace(field: HTMLInputElement | HTMLTextAreaElement): boolean;
+  handleBackspace(field: ImeField): boolean;
   
   /**
    * Get the current IME composition state
    */
   getState(): ImeState;
+
+  /**
+   * Start recording a field's input, for bug reports
+   * Keys, backspaces, commits and dropped compositions are recorded with
+   * the layout, the composer's action and the field's text afterwards;
+   * edits made outside the IME appear as the next step's `before` state.
+   * A recording in progress is discarded.
+   */
+  startRecording(field: ImeField): void;
+
+  /**
+   * Stop recording
+   * @returns The recording, or null if not recording
+   */
+  stopRecording(): ImeRecording | null;
+
+  /**
+   * Replay a recording in a headless IME typing into an in-memory field
+   * @returns The replay's own recording, to compare with the original step by step
+   * @throws Error for an unsupported recording version or step type
+   *
+   * @example
+   * ```typescript
+   * const trace: ImeRecording = JSON.parse(report);
+   * const replay = HangulIme.replay(wasmModule, trace);
+   * replay.steps.find((step, i) => step.text !== trace.steps[i].text);
+   * ```
+   */
+  static replay(wasmModule: HangulWasmModule, recording: ImeRecording): ImeRecording;
   
-  /** Whether there's an active composition */
+  /** Whether the active field has a composition */
   hasComposition: boolean;
   
-  /** Position where current composition started */
+  /** Position where the active field's composition started */
   compositionStart: number;
   
+  /** Preedit text currently shown at compositionStart */
+  compositionText: string;
+  
+  /** Composition engine of the active field (one per field) */
+  readonly composer: HangulComposer;
+  
+  /** Preedit overlay (null unless the preedit option is set) */
+  readonly overlay: PreeditOverlay | null;
+  
   /** Keys pressed in current composition */
   keySequence: string[];
 }
@@ -194,7 +990,9 @@ export declare class HangulIme {
  * Setup IME on input fields with automatic event handling
  * 
  * @param wasmModule - The loaded WebAssembly module
- * @param fieldSelector - CSS selector for input fields (default: 'input[type="text"], textarea')
+ * @param fieldSelector - CSS selector for input fields
+ *   (default: 'input[type="text"], textarea, [contenteditable]:not([contenteditable="false"])')
+ * @param options - HangulIme options plus `toggleKey`
  * @returns The configured HangulIme instance
  * 
  * @example
@@ -206,11 +1004,82 @@ export declare class HangulIme {
  */
 export declare function setupIme(
   wasmModule: HangulWasmModule,
-  fieldSelector?: string
+  fieldSelector?: string,
+  options?: SetupImeOptions
 ): HangulIme;
 
+/**
+ * Drive an existing IME from a single field (used by framework adapters)
+ * 
+ * @param ime - The IME instance
+ * @param field - Input, textarea or contenteditable host, or a text target
+ *   driven by the events of its element
+ * @returns Function that removes the listeners again
+ */
+export declare function attachIme(
+  ime: HangulIme,
+  field: HTMLElement | (TextTarget & { element: HTMLElement }),
+  options?: Pick<SetupImeOptions, 'toggleKey'>
+): () => void;
+
 /**
  * 2-Bulsik (Dubeolsik) keyboard layout mapping
  * Maps ASCII characters to jamo indices
  */
 export declare const LAYOUT_2BULSIK: Record<string, number>;
+
+/**
+ * Where to load hangul.wasm from
+ * - URL or string: fetched (file: URLs and, outside browsers, relative paths are read from disk)
+ * - Response or Promise<Response>: e.g. `fetch('/hangul.wasm')`
+ * - Bytes: ArrayBuffer, Uint8Array, Node Buffer
+ * - WebAssembly.Module: precompiled (e.g. a Cloudflare Workers wasm import)
+ */
+export type WasmSource =
+  | string
+  | URL
+  | Response
+  | Promise<Response>
+  | ArrayBuffer
+  | ArrayBufferView
+  | WebAssembly.Module;
+
+/**
+ * Find and instantiate hangul.wasm in browsers, Node, Bun, Deno and workers
+ * Cached per source; defaults to the hangul.wasm next to hangul-ime.js
+ * (the package's `hangul-wasm/wasm` export).
+ *
+ * @example
+ * ```typescript
+ * const ime = setupIme(await init());
+ * ```
+ */
+export declare function init(source?: WasmSource): Promise<HangulWasmModule>;
+
+/**
+ * Objects returned by loadHangul
+ */
+export interface LoadedHangul {
+  /** The instantiated module (what HangulIme/HangulComposer/setupIme take) */
+  wasmModule: HangulWasmModule;
+  /** Shared string API for this instance */
+  hangul: Hangul;
+  /** hangul.josa, usable without the instance (also as a template tag) */
+  josa: Hangul['josa'];
+  /** Create an IME bound to this instance */
+  createIme(options?: HangulImeOptions): HangulIme;
+  /** setupIme bound to this instance */
+  setupIme(fieldSelector?: string, options?: SetupImeOptions): HangulIme;
+}
+
+/**
+ * Load hangul.wasm (see init) and return ready-to-use objects
+ *
+ * @example
+ * ```typescript
+ * const { hangul, setupIme } = await loadHangul();
+ * hangul.decompose('한');
+ * setupIme('textarea', { toggleKey: 'Shift+Space' });
+ * ```
+ */
+export declare function loadHangul(source?: WasmSource): Promise<LoadedHangul>;
@@ -68,57 +68,2507 @@ const LAYOUT_2BULSIK = {
   Z: 27,
 }
 
-// IME Layout modes
+// IME Layout modes ('3bulsik' is Sebeolsik Final)
 const LAYOUT_MODE_2BULSIK = '2bulsik'
 const LAYOUT_MODE_3BULSIK = '3bulsik'
+const LAYOUT_MODE_3BULSIK_FINAL = '3bulsik-final'
+const LAYOUT_MODE_3BULSIK_390 = '3bulsik-390'
+
+// Keystroke for each 2-Bulsik jamo index; the first key listed wins, so
+// plain keys are preferred over their shifted duplicates
+const KEYS_2BULSIK = Object.fromEntries(
+  Object.entries(LAYOUT_2BULSIK)
+    .reverse()
+    .map(([key, index]) => [index, key]),
+)
+
+// Jamo positions, as wasm_ime_keyFor3/wasm_ime_splitJamo number them
+const JAMO_INITIAL = 0
+const JAMO_MEDIAL = 1
+const JAMO_FINAL = 2
+const KEY_LITERAL = 3 // A 3-Bulsik key typing punctuation or a digit
+const OHI_JAMO_OFFSET = 0x3130 // jamo index = compatibility code point - offset
+
+// Layouts by name. 2-Bulsik layouts map keys to jamo indices; 3-Bulsik
+// layouts are either built into hangul.wasm (`wasmLayout`, the layout
+// argument of wasm_ime_processKey3) or map keys to [position, value]
+// tokens from registerLayout
+const LAYOUTS = new Map([
+  [
+    LAYOUT_MODE_2BULSIK,
+    {
+      type: LAYOUT_MODE_2BULSIK,
+      keys: new Map(Object.entries(LAYOUT_2BULSIK)),
+    },
+  ],
+  [LAYOUT_MODE_3BULSIK, { type: LAYOUT_MODE_3BULSIK, wasmLayout: 0 }],
+  [LAYOUT_MODE_3BULSIK_FINAL, { type: LAYOUT_MODE_3BULSIK, wasmLayout: 0 }],
+  [LAYOUT_MODE_3BULSIK_390, { type: LAYOUT_MODE_3BULSIK, wasmLayout: 1 }],
+])
+const BUILT_IN_LAYOUTS = new Set(LAYOUTS.keys())
+
+const ACTION_NO_CHANGE = 0
+const ACTION_REPLACE = 1
+const ACTION_EMIT_AND_NEW = 2
+const ACTION_LITERAL = 3 // For 3-Bulsik punctuation
+
+// Composition option bits (ime.Options in ime.zig)
+const IME_OPTION_MOACHIGI = 1
+const IME_OPTION_AUTO_REORDER = 2
+const IME_OPTION_NO_DOUBLE_FINALS = 4
+const IME_OPTION_NO_REPEAT_DOUBLES = 8
+const IME_OPTION_BACKSPACE_SYLLABLE = 16
+const BACKSPACE_MODES = ['jamo', 'syllable']
+
+// Format of HangulIme.startRecording() traces; bump on incompatible changes
+const RECORDING_VERSION = 1
+
+// WASM result buffer: action, prev, current, literal and stray codepoints
+const RESULT_BUFFER_SIZE = 20
+
+// Scratch buffer for Hangul string calls; long strings are processed in
+// chunks so one call never needs more than this from the 16KB allocator
+const SCRATCH_SIZE = 4096
+const DECOMPOSE_CHUNK = 256 // ≤ 1KB UTF-8 in, ≤ 768 codepoints out
+const SPLIT_DECOMPOSE_CHUNK = 128 // ≤ 512 bytes in, ≤ 768 codepoints out
+const COMPOSE_CHUNK = 512 // ≤ 512 codepoints in and out
+const ROMANIZE_CHUNK = 64 // syllables; ≤ 192 bytes in, ≤ 640 bytes out
+const ROMANIZE_OVERFLOW = 0xffffffff // wasm_romanize: output buffer too small
+const DETRANSLITERATE_CHUNK = 512 // ≤ 512 bytes in, ≤ 512 codepoints out
+
+// Romanization systems, indexed as wasm_romanize numbers them
+const ROMANIZATION_SYSTEMS = ['revised', 'mccune-reischauer', 'transliteration']
+
+// Jamo output forms, indexed as wasm_decompose/wasm_decomposeString number them
+const JAMO_FORMS = ['compatibility', 'conjoining', 'nfd']
+// How far decomposeString breaks compound jamo, indexed as the WASM split
+const SPLIT_MODES = ['none', 'compound', 'all']
+
+// Debug flag - set to true to enable console logging
+const DEBUG = false
+
+// DOM constants (Node.TEXT_NODE, NodeFilter.SHOW_TEXT) without relying on globals
+const TEXT_NODE = 3
+const SHOW_TEXT = 4
+
+// Default fields handled by setupIme (contenteditable="false" opts out)
+const DEFAULT_FIELD_SELECTOR =
+  'input[type="text"], textarea, [contenteditable]:not([contenteditable="false"])'
+
+// Computed styles copied to the mirror element that measures text in inputs
+const MIRROR_PROPERTIES = [
+  'boxSizing',
+  'width',
+  'borderTopWidth',
+  'borderRightWidth',
+  'borderBottomWidth',
+  'borderLeftWidth',
+  'borderStyle',
+  'paddingTop',
+  'paddingRight',
+  'paddingBottom',
+  'paddingLeft',
+  'fontStyle',
+  'fontVariant',
+  'fontWeight',
+  'fontStretch',
+  'fontSize',
+  'fontFamily',
+  'lineHeight',
+  'textAlign',
+  'textTransform',
+  'textIndent',
+  'letterSpacing',
+  'wordSpacing',
+  'tabSize',
+  'direction',
+]
+
+// Default look of the preedit overlay: underline plus a light highlight
+const DEFAULT_PREEDIT_STYLE = {
+  borderBottom: '2px solid #3b82f6',
+  background: 'rgba(59, 130, 246, 0.15)',
+  borderRadius: '2px',
+}
+
+/**
+ * Write an input's value through the native (prototype) setter
+ * React shadows `value` on the element to track changes; going around it
+ * lets the framework's `input` listener see the new value instead of
+ * reverting it on the next render.
+ * @param {HTMLInputElement|HTMLTextAreaElement} element - Field to update
+ * @param {string} value - New value
+ */
+export function setNativeValue(element, value) {
+  let proto = Object.getPrototypeOf(element)
+  while (proto) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, 'value')
+    if (descriptor?.set) {
+      descriptor.set.call(element, value)
+      return
+    }
+    proto = Object.getPrototypeOf(proto)
+  }
+  element.value = value
+}
+
+// Set while execCommand edits a field; browsers that fire beforeinput for
+// it must not have that event fed back into the composer
+let nativeEditing = false
+
+/**
+ * Check whether a field can be edited through execCommand (it has the focus)
+ */
+function canExecCommand(element) {
+  const doc = element.ownerDocument
+  return (
+    typeof doc.execCommand === 'function' && element.contains(doc.activeElement)
+  )
+}
+
+/**
+ * Replace the document selection inside a focused field as a native edit
+ * execCommand edits join the browser's undo stack (Ctrl+Z restores the
+ * previous text), where value/DOM writes would clear it.
+ * @param {HTMLElement} element - Field that must contain the focus
+ * @param {() => void} select - Selects the text to replace
+ * @param {string} text - Replacement text
+ * @returns {boolean} - false if the edit could not be done natively
+ */
+function execInsertText(element, select, text) {
+  const doc = element.ownerDocument
+  if (!canExecCommand(element)) return false
+
+  select()
+  nativeEditing = true
+  try {
+    return text === ''
+      ? doc.execCommand('delete', false)
+      : doc.execCommand('insertText', false, text)
+  } finally {
+    nativeEditing = false
+  }
+}
+
+/**
+ * Text target for <input> and <textarea> elements
+ * Offsets are UTF-16 indices into field.value
+ */
+export class InputTextTarget {
+  /**
+   * @param {HTMLInputElement|HTMLTextAreaElement} element - Field to edit
+   * @param {{setValue?: (element: HTMLElement, value: string) => void}} [options]
+   *   setValue - how values are written (default: setNativeValue)
+   */
+  constructor(element, options = {}) {
+    this.element = element
+    this.setValue = options.setValue || setNativeValue
+    // A custom setter owns every write; otherwise edit through execCommand
+    this.nativeEdit = !options.setValue
+  }
+
+  getText() {
+    return this.element.value
+  }
+
+  getSelection() {
+    return {
+      start: this.element.selectionStart,
+      end: this.element.selectionEnd,
+    }
+  }
+
+  /**
+   * Check whether replaceRange edits through execCommand, which fires the
+   * browser's own input events
+   */
+  editsNatively() {
+    return this.nativeEdit && canExecCommand(this.element)
+  }
+
+  /**
+   * Replace text between start and end, leaving the caret after the new text
+   * A focused field is edited through execCommand so the browser can undo it
+   */
+  replaceRange(start, end, text) {
+    if (start === end && text === '') return
+
+    const select = () => this.element.setSelectionRange(start, end)
+    if (this.nativeEdit && execInsertText(this.element, select, text)) return
+
+    const value = this.element.value
+    this.setValue(this.element, value.slice(0, start) + text + value.slice(end))
+    this.element.selectionStart = this.element.selectionEnd =
+      start + text.length
+  }
+
+  /**
+   * Viewport rectangle of the text between start and end
+   * Measured with an off-screen mirror element that copies the field's
+   * text layout, then shifted by the field's position and scroll offset.
+   * @returns {{left: number, top: number, width: number, height: number}|null}
+   *   null when the text is scrolled out of view
+   */
+  getRect(start, end) {
+    const element = this.element
+    const doc = element.ownerDocument
+    const style = doc.defaultView.getComputedStyle(element)
+    const isInput = element.tagName === 'INPUT'
+
+    const mirror = doc.createElement('div')
+    for (const property of MIRROR_PROPERTIES) {
+      mirror.style[property] = style[property]
+    }
+    mirror.style.position = 'absolute'
+    mirror.style.visibility = 'hidden'
+    mirror.style.top = '0'
+    mirror.style.left = '-9999px'
+    mirror.style.overflow = 'hidden'
+    mirror.style.whiteSpace = isInput ? 'pre' : 'pre-wrap'
+    mirror.style.overflowWrap = isInput ? 'normal' : 'break-word'
+
+    const value = element.value
+    const span = doc.createElement('span')
+    span.textContent = value.slice(start, end)
+    mirror.append(value.slice(0, start), span)
+    doc.body.appendChild(mirror)
+
+    const field = element.getBoundingClientRect()
+    const left =
+      field.left + element.clientLeft + span.offsetLeft - element.scrollLeft
+    const width = span.offsetWidth
+    const height = span.offsetHeight
+    // Single-line inputs center their text vertically
+    const top = isInput
+      ? field.top + (field.height - height) / 2
+      : field.top + element.clientTop + span.offsetTop - element.scrollTop
+
+    mirror.remove()
+
+    if (
+      left + width < field.left ||
+      left > field.right ||
+      top + height < field.top ||
+      top > field.bottom
+    ) {
+      return null
+    }
+    return { left, top, width, height }
+  }
+}
+
+/**
+ * Text target for contenteditable hosts
+ * Offsets are UTF-16 indices into the concatenated text nodes of the host
+ * (the same string as element.textContent), so composition may span nested
+ * inline nodes like <b> or <span> without losing their formatting.
+ */
+export class ContentEditableTextTarget {
+  constructor(element) {
+    this.element = element
+  }
+
+  getText() {
+    return this.element.textContent
+  }
+
+  getSelection() {
+    const selection = this.element.ownerDocument.getSelection()
+    if (!selection || selection.rangeCount === 0) {
+      const length = this.getText().length
+      return { start: length, end: length }
+    }
+
+    const range = selection.getRangeAt(0)
+    if (!this.element.contains(range.startContainer)) {
+      const length = this.getText().length
+      return { start: length, end: length }
+    }
+
+    const start = this.offsetOf(range.startContainer, range.startOffset)
+    const end = range.collapsed
+      ? start
+      : this.offsetOf(range.endContainer, range.endOffset)
+    return { start, end }
+  }
+
+  /**
+   * Check whether replaceRange edits through execCommand, which fires the
+   * browser's own input events
+   */
+  editsNatively() {
+    return canExecCommand(this.element)
+  }
+
+  /**
+   * Replace text between start and end, leaving the caret after the new text
+   * A focused host is edited through execCommand so the browser can undo it
+   */
+  replaceRange(start, end, text) {
+    if (start === end && text === '') return
+
+    const doc = this.element.ownerDocument
+    const from = this.pointAt(start, true)
+    const to = start === end ? from : this.pointAt(end, false)
+
+    const select = () => {
+      const range = doc.createRange()
+      range.setStart(from.node, from.offset)
+      range.setEnd(to.node, to.offset)
+      const selection = doc.getSelection()
+      selection.removeAllRanges()
+      selection.addRange(range)
+    }
+    if (execInsertText(this.element, select, text)) return
+
+    let caretNode
+    let caretOffset
+
+    if (from.node === to.node && from.node.nodeType === TEXT_NODE) {
+      // Common case: the composing character lives in a single text node
+      from.node.replaceData(from.offset, to.offset - from.offset, text)
+      caretNode = from.node
+      caretOffset = from.offset + text.length
+    } else {
+      const range = doc.createRange()
+      range.setStart(from.node, from.offset)
+      range.setEnd(to.node, to.offset)
+      range.deleteContents()
+
+      if (range.startContainer.nodeType === TEXT_NODE) {
+        range.startContainer.insertData(range.startOffset, text)
+        caretNode = range.startContainer
+        caretOffset = range.startOffset + text.length
+      } else {
+        const node = doc.createTextNode(text)
+        range.insertNode(node)
+        caretNode = node
+        caretOffset = text.length
+      }
+    }
+
+    const selection = doc.getSelection()
+    if (selection) {
+      const caret = doc.createRange()
+      caret.setStart(caretNode, caretOffset)
+      caret.collapse(true)
+      selection.removeAllRanges()
+      selection.addRange(caret)
+    }
+  }
+
+  /**
+   * Viewport rectangle of the text between start and end
+   * @returns {{left: number, top: number, width: number, height: number}|null}
+   */
+  getRect(start, end) {
+    const from = this.pointAt(start, true)
+    const to = this.pointAt(end, false)
+    const range = this.element.ownerDocument.createRange()
+    range.setStart(from.node, from.offset)
+    range.setEnd(to.node, to.offset)
+
+    // Environments without layout (e.g. jsdom) lack Range geometry
+    if (typeof range.getBoundingClientRect !== 'function') return null
+
+    const rect = range.getBoundingClientRect()
+    if (rect.width === 0 && rect.height === 0) return null
+    return {
+      left: rect.left,
+      top: rect.top,
+      width: rect.width,
+      height: rect.height,
+    }
+  }
+
+  /**
+   * Convert a DOM point inside the host to a text offset
+   */
+  offsetOf(node, offset) {
+    const range = this.element.ownerDocument.createRange()
+    range.selectNodeContents(this.element)
+    range.setEnd(node, offset)
+    return range.toString().length
+  }
+
+  /**
+   * Convert a text offset to a DOM point
+   * @param {number} offset - Text offset within the host
+   * @param {boolean} forward - At a node boundary, prefer the following node
+   */
+  pointAt(offset, forward) {
+    // Keep inserting where the caret already is (e.g. inside an empty <b>)
+    const selection = this.element.ownerDocument.getSelection()
+    if (selection && selection.rangeCount > 0) {
+      const range = selection.getRangeAt(0)
+      if (
+        range.collapsed &&
+        this.element.contains(range.startContainer) &&
+        this.offsetOf(range.startContainer, range.startOffset) === offset
+      ) {
+        return { node: range.startContainer, offset: range.startOffset }
+      }
+    }
+
+    const walker = this.element.ownerDocument.createTreeWalker(
+      this.element,
+      SHOW_TEXT,
+    )
+    let remaining = offset
+    let last = null
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const length = node.data.length
+      if (remaining < length || (remaining === length && !forward)) {
+        return { node, offset: remaining }
+      }
+      remaining -= length
+      last = node
+    }
+
+    if (last) return { node: last, offset: last.data.length }
+    return { node: this.element, offset: this.element.childNodes.length }
+  }
+}
+
+/**
+ * Create the default text target for an element
+ * @param {HTMLElement} element - Input, textarea or contenteditable host
+ * @param {{setValue?: (element: HTMLElement, value: string) => void}} [options] - Passed to InputTextTarget
+ * @returns {InputTextTarget|ContentEditableTextTarget}
+ */
+export function createTextTarget(element, options = {}) {
+  if ('value' in element && 'selectionStart' in element) {
+    return new InputTextTarget(element, options)
+  }
+  return new ContentEditableTextTarget(element)
+}
+
+/**
+ * Text target over a plain string, for headless runs (see HangulIme.replay)
+ */
+class MemoryTextTarget {
+  constructor(text = '', start = text.length, end = start) {
+    this.set(text, start, end)
+  }
+
+  /** Replace the whole text and selection, as an edit outside the IME would */
+  set(text, start, end) {
+    this.text = text
+    this.start = start
+    this.end = end
+  }
+
+  getText() {
+    return this.text
+  }
+
+  getSelection() {
+    return { start: this.start, end: this.end }
+  }
+
+  replaceRange(start, end, text) {
+    this.text = this.text.slice(0, start) + text + this.text.slice(end)
+    this.start = start + text.length
+    this.end = this.start
+  }
+}
+
+/**
+ * Preedit overlay - marks the syllable still being composed
+ * A fixed-position box drawn over the text target's getRect() for the
+ * composition, repositioned on scroll and resize while visible.
+ */
+export class PreeditOverlay {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.className='hangul-preedit'] - Class for CSS styling
+   * @param {Object} [options.style] - Inline styles (replaces the default underline/highlight)
+   */
+  constructor(options = {}) {
+    this.className = options.className || 'hangul-preedit'
+    this.style = options.style || DEFAULT_PREEDIT_STYLE
+    this.element = null
+    this.target = null
+    this.start = 0
+    this.end = 0
+    this.resizeObserver = null
+    this.update = this.update.bind(this)
+  }
+
+  /**
+   * Show the overlay over text in a target
+   * @param {TextTarget} target - Text target with a getRect(start, end) method
+   * @param {number} start - Preedit start offset
+   * @param {number} end - Preedit end offset
+   */
+  show(target, start, end) {
+    if (typeof target.getRect !== 'function') return
+
+    const doc = target.element ? target.element.ownerDocument : document
+    if (!this.element) {
+      this.element = doc.createElement('div')
+      this.element.className = this.className
+      this.element.setAttribute('aria-hidden', 'true')
+      Object.assign(this.element.style, this.style, {
+        position: 'fixed',
+        pointerEvents: 'none',
+        boxSizing: 'border-box',
+        zIndex: '2147483647',
+      })
+    }
+    if (!this.element.isConnected) doc.body.appendChild(this.element)
+
+    if (this.target !== target) {
+      this.unobserve()
+      this.target = target
+      this.observe()
+    }
+    this.start = start
+    this.end = end
+    this.update()
+  }
+
+  /**
+   * Reposition the overlay (called on scroll and resize)
+   */
+  update() {
+    if (!this.target || !this.element) return
+
+    const rect = this.target.getRect(this.start, this.end)
+    if (!rect) {
+      this.element.style.display = 'none'
+      return
+    }
+    Object.assign(this.element.style, {
+      display: 'block',
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+    })
+  }
+
+  hide() {
+    this.unobserve()
+    this.target = null
+    if (this.element) this.element.remove()
+  }
+
+  destroy() {
+    this.hide()
+    this.element = null
+  }
+
+  /**
+   * Follow page/field scrolling and window/field resizing
+   */
+  observe() {
+    const element = this.target.element
+    const view = element ? element.ownerDocument.defaultView : null
+    if (!view) return
+
+    // Capture phase sees scroll events of the field and every scroll container
+    view.addEventListener('scroll', this.update, true)
+    view.addEventListener('resize', this.update)
+    if (typeof view.ResizeObserver === 'function') {
+      this.resizeObserver = new view.ResizeObserver(this.update)
+      this.resizeObserver.observe(element)
+    }
+  }
+
+  unobserve() {
+    const element = this.target ? this.target.element : null
+    const view = element ? element.ownerDocument.defaultView : null
+    if (view) {
+      view.removeEventListener('scroll', this.update, true)
+      view.removeEventListener('resize', this.update)
+    }
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect()
+      this.resizeObserver = null
+    }
+  }
+}
+
+/**
+ * Read a data attribute from a field (element or text target with an element)
+ * @returns {string|null}
+ */
+function getFieldAttribute(field, name) {
+  const element =
+    field && typeof field.getAttribute !== 'function' ? field.element : field
+  return element && typeof element.getAttribute === 'function'
+    ? element.getAttribute(name)
+    : null
+}
+
+/**
+ * Whether a target has text at start with a collapsed caret right after it
+ */
+function isTextBeforeCaret(target, start, text) {
+  const end = start + text.length
+  const selection = target.getSelection()
+  return (
+    start >= 0 &&
+    target.getText().slice(start, end) === text &&
+    selection.start === end &&
+    selection.end === end
+  )
+}
+
+/**
+ * Text and selection of a target, as kept in recordings
+ * @returns {{text: string, selection: number[]}}
+ */
+function fieldState(target) {
+  const { start, end } = target.getSelection()
+  return { text: target.getText(), selection: [start, end] }
+}
+
+function sameFieldState(a, b) {
+  return (
+    a.text === b.text &&
+    a.selection[0] === b.selection[0] &&
+    a.selection[1] === b.selection[1]
+  )
+}
+
+/**
+ * Dispatch a composition event (compositionstart/update/end) on an element
+ */
+function dispatchComposition(element, type, data) {
+  element.dispatchEvent(
+    new CompositionEvent(type, { bubbles: true, composed: true, data }),
+  )
+}
+
+// Input events dispatched by the IME itself; the beforeinput listener
+// must not feed them back into the composer
+const ownInputEvents = new WeakSet()
+
+/**
+ * Dispatch an input event (beforeinput/input) on an element
+ * @returns {boolean} - false if a cancelable beforeinput was prevented
+ */
+function dispatchInput(element, type, inputType, data, isComposing) {
+  const event = new InputEvent(type, {
+    bubbles: true,
+    composed: true,
+    // Composition beforeinput events are not cancelable (Input Events spec)
+    cancelable: type === 'beforeinput' && !isComposing,
+    inputType,
+    data,
+    isComposing,
+  })
+  ownInputEvents.add(event)
+  return element.dispatchEvent(event)
+}
+
+/**
+ * Code point of a character argument (a string's first character, or a number as-is)
+ */
+function codePointOf(char) {
+  if (typeof char === 'number') return char
+  return char?.codePointAt(0) || 0
+}
+
+/**
+ * Hangul - String-level API over the hangul.wasm exports
+ * Hides the wasm_alloc/Uint32Array/wasm_free handling and UTF-8 encoding.
+ * Every method works on strings (a syllable/jamo may also be passed as a
+ * code point) and uses one scratch buffer allocated up front: the WASM
+ * bump allocator only reclaims memory once every allocation is freed, so
+ * per-call allocations would slowly exhaust it while an IME is alive.
+ */
+export class Hangul {
+  /**
+   * @param {{instance: WebAssembly.Instance}} wasmModule - Result of WebAssembly.instantiate
+   */
+  constructor(wasmModule) {
+    this.wasmModule = wasmModule
+    this.wasm = wasmModule.instance.exports
+    this.memory = wasmModule.instance.exports.memory
+    this.scratch = this.wasm.wasm_alloc(SCRATCH_SIZE)
+    this.encoder = new TextEncoder()
+    this.decoder = new TextDecoder()
+
+    if (this.scratch === 0) {
+      throw new Error('Failed to initialize Hangul (WASM allocation failed)')
+    }
+  }
+
+  /**
+   * Release the scratch buffer; the instance can't be used afterwards
+   */
+  destroy() {
+    if (this.scratch !== 0) {
+      this.wasm.wasm_free(this.scratch, SCRATCH_SIZE)
+      this.scratch = 0
+    }
+    this.composer?.destroy()
+  }
+
+  /**
+   * Split a syllable into its jamo
+   * @param {string|number} syllable - e.g. '한'
+   * @param {{form?: 'compatibility'|'conjoining'|'nfd'}} [options] - Jamo form (default: 'compatibility')
+   * @returns {{initial: string, medial: string, final: string}|null} - final is '' without 받침; null if not a syllable
+   */
+  decompose(syllable, { form = 'compatibility' } = {}) {
+    if (
+      !this.wasm.wasm_decompose(
+        codePointOf(syllable),
+        this.scratch,
+        jamoFormIndex(form),
+      )
+    ) {
+      return null
+    }
+    const [initial, medial, final] = new Uint32Array(
+      this.memory.buffer,
+      this.scratch,
+      3,
+    )
+    return {
+      initial: String.fromCodePoint(initial),
+      medial: String.fromCodePoint(medial),
+      final: final !== 0 ? String.fromCodePoint(final) : '',
+    }
+  }
+
+  /**
+   * Combine jamo into a syllable
+   * @param {string|number} initial - Initial consonant (초성), e.g. 'ㅎ'
+   * @param {string|number} medial - Vowel (중성), e.g. 'ㅏ'
+   * @param {string|number} [final] - Final consonant (종성), e.g. 'ㄴ'
+   * @returns {string|null} - The syllable, or null for an invalid combination
+   */
+  compose(initial, medial, final = '') {
+    const syllable = this.wasm.wasm_compose(
+      codePointOf(initial),
+      codePointOf(medial),
+      codePointOf(final),
+    )
+    return syllable !== 0 ? String.fromCodePoint(syllable) : null
+  }
+
+  /**
+   * Decompose every syllable of a string into jamo ('한글' → 'ㅎㅏㄴㄱㅡㄹ')
+   * Forms: 'compatibility' jamo (ㄱ U+3131), 'conjoining' jamo (ᄀ U+1100;
+   * compatibility jamo in the text are converted too) or 'nfd', which
+   * matches text.normalize('NFD') for Hangul. Other characters pass through.
+   * Compatibility jamo can be split further: 'compound' breaks compound
+   * vowels and finals (ㅘ → ㅗㅏ, ㄺ → ㄹㄱ), 'all' also double consonants
+   * (ㄲ → ㄱㄱ). composeString with the same split puts them back together.
+   * @param {string} text
+   * @param {{form?: 'compatibility'|'conjoining'|'nfd', split?: 'none'|'compound'|'all'}} [options] - Jamo form (default: 'compatibility') and split (default: 'none')
+   * @returns {string}
+   */
+  decomposeString(text, { form = 'compatibility', split = 'none' } = {}) {
+    const formIndex = jamoFormIndex(form)
+    const splitIndex = splitModeIndex(split)
+    if (splitIndex !== 0 && form !== 'compatibility') {
+      throw new Error(`Split jamo need the compatibility form, not ${form}`)
+    }
+
+    // The WASM decoder stops at NUL, so NULs are kept out of its input
+    if (text.includes('\0')) {
+      return text
+        .split('\0')
+        .map((part) => this.decomposeString(part, { form, split }))
+        .join('\0')
+    }
+
+    const chars = Array.from(text)
+    const chunkSize = splitIndex !== 0 ? SPLIT_DECOMPOSE_CHUNK : DECOMPOSE_CHUNK
+    let result = ''
+    for (let i = 0; i < chars.length; i += chunkSize) {
+      const bytes = this.encoder.encode(chars.slice(i, i + chunkSize).join(''))
+      new Uint8Array(this.memory.buffer, this.scratch, bytes.length).set(bytes)
+
+      const output = this.scratch + Math.ceil(bytes.length / 4) * 4
+      const count = this.wasm.wasm_decomposeString(
+        this.scratch,
+        bytes.length,
+        output,
+        formIndex,
+        splitIndex,
+      )
+      result += String.fromCodePoint(
+        ...new Uint32Array(this.memory.buffer, output, count),
+      )
+    }
+    return result
+  }
+
+  /**
+   * Compose jamo sequences back into syllables ('ㅎㅏㄴㄱㅡㄹ' → '한글')
+   * Accepts every decomposeString form. Syllables with archaic jamo (ㆍ, ㅿ)
+   * have no precomposed code point and become conjoining jamo clusters,
+   * which fonts draw as one block. Other characters pass through unchanged.
+   * Text from a split decomposeString needs the same split; 'all' can't tell
+   * ㄱㄱ from ㄲ after a vowel and joins it when ㄲ fits ('아까' → '악가').
+   * @param {string} text
+   * @param {{split?: 'none'|'compound'|'all'}} [options] - Split the jamo came from (default: 'none')
+   * @returns {string}
+   */
+  composeString(text, { split = 'none' } = {}) {
+    const codepoints = Array.from(text, (char) => char.codePointAt(0))
+    return this.composeCodepoints(codepoints, splitModeIndex(split)).text
+  }
+
+  /**
+   * Compose codepoints chunk by chunk while more than `keep` are left, so a
+   * stream can hold back a tail that later input may still join
+   * @returns {{text: string, end: number}} - Composed text and where it stopped
+   */
+  composeCodepoints(codepoints, splitIndex, start = 0, keep = 0) {
+    let result = ''
+    while (codepoints.length - start > keep) {
+      const end = this.composeBoundary(codepoints, start, splitIndex !== 0)
+      const chunk = codepoints.slice(start, end)
+      new Uint32Array(this.memory.buffer, this.scratch, chunk.length).set(chunk)
+
+      const output = this.scratch + chunk.length * 4
+      const count = this.wasm.wasm_composeString(
+        this.scratch,
+        chunk.length,
+        output,
+        splitIndex,
+      )
+      result += String.fromCodePoint(
+        ...new Uint32Array(this.memory.buffer, output, count),
+      )
+      start = end
+    }
+    return { text: result, end: start }
+  }
+
+  /**
+   * End of the next composeString chunk
+   * Cuts where no syllable can span the boundary (see wasm_isComposeBoundary)
+   */
+  composeBoundary(codepoints, start, split = false) {
+    const limit = start + COMPOSE_CHUNK
+    if (limit >= codepoints.length) return codepoints.length
+
+    for (let k = limit; k > start; k--) {
+      const boundary = split
+        ? this.isSplitBoundary(codepoints, k)
+        : this.wasm.wasm_isComposeBoundary(
+            codepoints[k - 1],
+            codepoints[k],
+            codepoints[k + 1] ?? 0,
+          )
+      if (boundary) return k
+    }
+    return limit // A run of jamo that never forms a syllable
+  }
+
+  /**
+   * Whether split jamo can be cut before codepoints[k]: next to a
+   * non-jamo, or before a lone initial (a consonant between a vowel and at
+   * most one final, and a vowel), which joining never merges with its run
+   */
+  isSplitBoundary(codepoints, k) {
+    const { wasm_isJamo, wasm_isConsonant, wasm_isVowel } = this.wasm
+    const [prev, c] = [codepoints[k - 1], codepoints[k]]
+    if (!wasm_isJamo(prev) || !wasm_isJamo(c)) return true
+    if (!wasm_isConsonant(c) || !wasm_isVowel(codepoints[k + 1] ?? 0)) {
+      return false
+    }
+    return wasm_isVowel(prev) || wasm_isVowel(codepoints[k - 2] ?? 0)
+  }
+
+  /**
+   * decomposeString as a TransformStream, for text of any size
+   * Chunks may be strings or UTF-8 bytes; the output is strings.
+   * @param {{form?: 'compatibility'|'conjoining'|'nfd', split?: 'none'|'compound'|'all'}} [options] - See decomposeString
+   * @returns {TransformStream<string|BufferSource, string>}
+   *
+   * @example
+   * const response = await fetch('/book.txt')
+   * const jamo = response.body.pipeThrough(hangul.decomposeStream())
+   */
+  decomposeStream(options) {
+    return transformStreamOf(new StreamDecomposer(this, options))
+  }
+
+  /**
+   * composeString as a TransformStream, for text of any size
+   * Jamo at the end of a chunk wait for the next one, so a syllable split
+   * across chunks still composes.
+   * @param {{split?: 'none'|'compound'|'all'}} [options] - See composeString
+   * @returns {TransformStream<string|BufferSource, string>}
+   */
+  composeStream(options) {
+    return transformStreamOf(new StreamComposer(this, options))
+  }
+
+  /**
+   * Initial consonant (초성) of a syllable, or null if not a syllable
+   * @param {string|number} syllable
+   * @returns {string|null}
+   */
+  getInitial(syllable) {
+    const jamo = this.wasm.wasm_getInitial(codePointOf(syllable))
+    return jamo !== 0 ? String.fromCodePoint(jamo) : null
+  }
+
+  /**
+   * Vowel (중성) of a syllable, or null if not a syllable
+   * @param {string|number} syllable
+   * @returns {string|null}
+   */
+  getMedial(syllable) {
+    const jamo = this.wasm.wasm_getMedial(codePointOf(syllable))
+    return jamo !== 0 ? String.fromCodePoint(jamo) : null
+  }
+
+  /**
+   * Final consonant (종성) of a syllable: '' without 받침, null if not a syllable
+   * @param {string|number} syllable
+   * @returns {string|null}
+   */
+  getFinal(syllable) {
+    const codepoint = codePointOf(syllable)
+    if (!this.wasm.wasm_isHangulSyllable(codepoint)) return null
+    const jamo = this.wasm.wasm_getFinal(codepoint)
+    return jamo !== 0 ? String.fromCodePoint(jamo) : ''
+  }
+
+  /** Whether a syllable has a final consonant (받침) */
+  hasFinal(syllable) {
+    return Boolean(this.wasm.wasm_hasFinal(codePointOf(syllable)))
+  }
+
+  /** Whether a character is a precomposed Hangul syllable (가-힣) */
+  isHangulSyllable(char) {
+    return Boolean(this.wasm.wasm_isHangulSyllable(codePointOf(char)))
+  }
+
+  /** Whether a character is a compatibility jamo (ㄱ-ㅣ) */
+  isJamo(char) {
+    return Boolean(this.wasm.wasm_isJamo(codePointOf(char)))
+  }
+
+  /** Whether a character is a consonant jamo (ㄱ-ㅎ) */
+  isConsonant(char) {
+    return Boolean(this.wasm.wasm_isConsonant(codePointOf(char)))
+  }
+
+  /** Whether a character is a vowel jamo (ㅏ-ㅣ) */
+  isVowel(char) {
+    return Boolean(this.wasm.wasm_isVowel(codePointOf(char)))
+  }
+
+  /** Whether a character is a double consonant (ㄲ, ㄸ, ㅃ, ㅆ, ㅉ) */
+  isDoubleConsonant(char) {
+    return Boolean(this.wasm.wasm_isDoubleConsonant(codePointOf(char)))
+  }
+
+  /** Whether a character is a compound vowel (ㅘ, ㅙ, ㅚ, ㅝ, ㅞ, ㅟ, ㅢ) */
+  isDoubleVowel(char) {
+    return Boolean(this.wasm.wasm_isDoubleVowel(codePointOf(char)))
+  }
+
+  /**
+   * Romanize Korean text ('한국어' → 'hangugeo')
+   * 'revised' and 'mccune-reischauer' spell each word as it is pronounced
+   * (liaison, nasalization, ㄹ assimilation); 'transliteration' spells it
+   * letter by letter so detransliterate() can restore it.
+   * Other characters pass through unchanged.
+   * @param {string} text
+   * @param {{system?: 'revised'|'mccune-reischauer'|'transliteration'}} [options]
+   * @returns {string}
+   */
+  romanize(text, { system = 'revised' } = {}) {
+    const mode = ROMANIZATION_SYSTEMS.indexOf(system)
+    if (mode === -1) {
+      throw new Error(`Unknown romanization system: ${system}`)
+    }
+
+    // Sound changes stop at word boundaries, so words go through one at a time
+    return text.replace(/[\uac00-\ud7a3]+/g, (word) => {
+      const parts = []
+      let size = ROMANIZE_CHUNK
+      for (let i = 0; i < word.length; ) {
+        const chunk = word.slice(i, i + size)
+        const bytes = this.encoder.encode(chunk)
+        new Uint8Array(this.memory.buffer, this.scratch, bytes.length).set(
+          bytes,
+        )
+
+        const output = this.scratch + bytes.length
+        // u32 result: the overflow sentinel arrives as -1 without >>> 0
+        const length =
+          this.wasm.wasm_romanize(
+            this.scratch,
+            bytes.length,
+            output,
+            SCRATCH_SIZE - bytes.length,
+            mode,
+          ) >>> 0
+        if (length === ROMANIZE_OVERFLOW) {
+          // The romanization did not fit: retry with half as many syllables
+          if (chunk.length === 1) {
+            throw new Error(`Romanization of ${chunk} does not fit the buffer`)
+          }
+          size = Math.ceil(chunk.length / 2)
+          continue
+        }
+        parts.push(
+          this.decoder.decode(
+            new Uint8Array(this.memory.buffer, output, length),
+          ),
+        )
+        i += chunk.length
+      }
+      // A hyphen between chunks keeps long words reversible
+      return parts.join(system === 'transliteration' ? '-' : '')
+    })
+  }
+
+  /**
+   * Restore Hangul from romanize(text, { system: 'transliteration' })
+   * ('hangug-eo' → '한국어'). Other characters pass through unchanged.
+   * @param {string} text
+   * @returns {string}
+   */
+  detransliterate(text) {
+    return text.replace(/[a-z]+(?:-[a-z]+)*/g, (word) => {
+      let result = ''
+      let start = 0
+      while (start < word.length) {
+        // Long words are cut at a hyphen, which already ends a syllable
+        let end = word.length
+        if (end - start > DETRANSLITERATE_CHUNK) {
+          const hyphen = word.lastIndexOf('-', start + DETRANSLITERATE_CHUNK)
+          end = hyphen > start ? hyphen : start + DETRANSLITERATE_CHUNK
+        }
+
+        const bytes = this.encoder.encode(word.slice(start, end))
+        new Uint8Array(this.memory.buffer, this.scratch, bytes.length).set(
+          bytes,
+        )
+
+        const output = this.scratch + Math.ceil(bytes.length / 4) * 4
+        const count = this.wasm.wasm_detransliterate(
+          this.scratch,
+          bytes.length,
+          output,
+        )
+        result += String.fromCodePoint(
+          ...new Uint32Array(this.memory.buffer, output, count),
+        )
+        start = word[end] === '-' ? end + 1 : end
+      }
+      return result
+    })
+  }
+
+  /**
+   * Final consonant heard at the end of a word, for choosing particles
+   * Reads the last Hangul syllable or jamo, number (10 → 십, 1000 → 천) or
+   * Latin word (SQL → 에스큐엘, book → 북), skipping trailing punctuation.
+   * @param {string} word
+   * @returns {number|null} - Compatibility jamo code point, 0 after a vowel, null if nothing is readable
+   */
+  wordFinal(word) {
+    const text = word.replace(/[^\p{L}\p{N}]+$/u, '')
+    const last = text.codePointAt(text.length - 1)
+    if (last === undefined) return null
+
+    if (this.wasm.wasm_isHangulSyllable(last)) {
+      return this.wasm.wasm_getFinal(last)
+    }
+    // A consonant's name ends in that consonant (ㄱ 기역, ㄹ 리을)
+    if (this.wasm.wasm_isJamo(last)) {
+      return this.wasm.wasm_isConsonant(last) ? last : 0
+    }
+
+    const number = /[0-9][0-9,.]*$/.exec(text)
+    if (number) return numberFinal(number[0])
+    const latin = /[A-Za-z]+$/.exec(text)
+    if (latin) return latinFinal(latin[0])
+    return null
+  }
+
+  /**
+   * The form of a particle (조사) that fits after a word
+   * ('사과', '을/를' → '를'). Particles may be given as '을/를', '(으)로',
+   * '(이)다' or any single form ('를', '으로', '이에요'); particles that don't
+   * change ('도', '의') are returned as is.
+   * @param {string|number} word
+   * @param {string} particle
+   * @returns {string}
+   */
+  pickJosa(word, particle) {
+    const forms = josaForms(particle)
+    if (!forms) return particle
+
+    const final = this.wordFinal(String(word))
+    if (final === null) {
+      // Nothing to go by: show both, as in '을(를)' or '(으)로'
+      const stem = forms.consonant.slice(0, -forms.vowel.length)
+      return forms.consonant.endsWith(forms.vowel) && stem
+        ? `(${stem})${forms.vowel}`
+        : `${forms.consonant}(${forms.vowel})`
+    }
+    if (final === 0) return forms.vowel
+    return final === RIEUL ? forms.rieul : forms.consonant
+  }
+
+  /**
+   * A word followed by the particle form that fits it ('사과', '을' → '사과를')
+   * Also works as a template tag, fixing the particle after each value:
+   * hangul.josa`${name}을 삭제했습니다`
+   * @param {string|number|TemplateStringsArray} word
+   * @param {...*} rest - The particle, or the template values
+   * @returns {string}
+   */
+  josa(word, ...rest) {
+    if (!Array.isArray(word)) return `${word}${this.pickJosa(word, rest[0])}`
+
+    let result = word[0]
+    for (let i = 1; i < word.length; i++) {
+      const value = String(rest[i - 1])
+      const particle = JOSA_PATTERN.exec(word[i])?.[0] ?? ''
+      result += value
+      result += particle ? this.pickJosa(value, particle) : ''
+      result += word[i].slice(particle.length)
+    }
+    return result
+  }
+
+  /**
+   * Index of the first match of a search pattern (see Searcher), or -1
+   * @param {string} text - Text to search
+   * @param {string} pattern - e.g. 'ㅎㄱ' or '한ㄱ'
+   * @returns {number}
+   */
+  search(text, pattern) {
+    return new Searcher(this, pattern).search(text)
+  }
+
+  /**
+   * All matches of a search pattern as [start, end) ranges (see Searcher)
+   * @param {string} text - Text to search
+   * @param {string} pattern - e.g. 'ㅎㄱ' or '한ㄱ'
+   * @returns {Array<[number, number]>}
+   */
+  rangeSearch(text, pattern) {
+    return new Searcher(this, pattern).rangeSearch(text)
+  }
+
+  /**
+   * Weighted edit distance compared jamo by jamo, so '한' and '핟' differ
+   * by one final instead of a whole character. Compound jamo count as the
+   * keys that type them (닭 = ㄷㅏㄹㄱ). Inserting or deleting a jamo costs
+   * 1; swapping one costs 1, or 0.5 for neighbouring 2-Bulsik keys and for
+   * the same key with Shift (ㄱ/ㄲ). Other characters are one unit each.
+   * @param {string} a
+   * @param {string} b
+   * @param {{substitution?: (a: string, b: string) => number}} [options] - Cost of swapping two different jamo or characters (default: 2-Bulsik key distance)
+   * @returns {number}
+   */
+  jamoDistance(a, b, { substitution = keyboardCost } = {}) {
+    return editDistance(this.jamoUnits(a), this.jamoUnits(b), substitution)
+  }
+
+  /**
+   * jamoDistance scaled to 0-1: 1 for the same text, 0 for nothing in common
+   * @param {string} a
+   * @param {string} b
+   * @param {{substitution?: (a: string, b: string) => number}} [options] - See jamoDistance
+   * @returns {number}
+   */
+  similarity(a, b, options) {
+    const length = Math.max(this.jamoUnits(a).length, this.jamoUnits(b).length)
+    if (length === 0) return 1
+    return Math.max(0, 1 - this.jamoDistance(a, b, options) / length)
+  }
+
+  /**
+   * The candidates closest to a query by jamoDistance, best first; ties
+   * keep input order
+   * @template T
+   * @param {string} query
+   * @param {Iterable<T>} candidates - Strings, or objects read through `key`
+   * @param {{limit?: number, maxDistance?: number, key?: (item: T) => string, substitution?: (a: string, b: string) => number}} [options] - At most `limit` results (default: 10) within `maxDistance` (default: no limit)
+   * @returns {Array<{item: T, distance: number, similarity: number}>}
+   */
+  fuzzySearch(
+    query,
+    candidates,
+    {
+      limit = 10,
+      maxDistance = Number.POSITIVE_INFINITY,
+      key = String,
+      substitution = keyboardCost,
+    } = {},
+  ) {
+    const queryUnits = this.jamoUnits(query)
+    const matches = []
+    for (const item of candidates) {
+      const units = this.jamoUnits(key(item))
+      // Every extra jamo costs at least one insertion or deletion
+      if (Math.abs(units.length - queryUnits.length) > maxDistance) continue
+
+      const distance = editDistance(queryUnits, units, substitution)
+      if (distance > maxDistance) continue
+      const length = Math.max(units.length, queryUnits.length)
+      const similarity = length ? Math.max(0, 1 - distance / length) : 1
+      matches.push({ item, distance, similarity })
+    }
+    return matches.sort((a, b) => a.distance - b.distance).slice(0, limit)
+  }
+
+  /**
+   * Keystroke-level jamo of a text ('닭 A' → ['ㄷ', 'ㅏ', 'ㄹ', 'ㄱ', ' ', 'A'])
+   */
+  jamoUnits(text) {
+    return Array.from(this.decomposeString(text, { split: 'compound' }))
+  }
+
+  /**
+   * Spell Hangul as the keystrokes that type it, e.g. '안녕' → 'dkssud'
+   * Recovers English typed while the IME was on. Double vowels and finals
+   * are spelled as their two keys (닭 → 'ekfr'). In 3-Bulsik, punctuation
+   * and digits become the keys that type them; anything else passes through.
+   * @param {string} text - Text to convert
+   * @param {string} [layout] - Keyboard layout: built-in or registered (default: '2bulsik')
+   * @returns {string}
+   */
+  hangulToKeys(text, layout = LAYOUT_MODE_2BULSIK) {
+    const keyOf = this.layoutKeys(layout)
+    let keys = ''
+
+    for (const char of text) {
+      const syllable = this.decompose(char)
+      if (syllable) {
+        keys +=
+          this.jamoKeys(syllable.initial, JAMO_INITIAL, keyOf) +
+          this.jamoKeys(syllable.medial, JAMO_MEDIAL, keyOf) +
+          this.jamoKeys(syllable.final, JAMO_FINAL, keyOf)
+      } else if (this.isVowel(char)) {
+        keys += this.jamoKeys(char, JAMO_MEDIAL, keyOf) ?? char
+      } else if (this.isConsonant(char)) {
+        // ㄳ and the like only exist as finals
+        keys +=
+          this.jamoKeys(char, JAMO_INITIAL, keyOf) ??
+          this.jamoKeys(char, JAMO_FINAL, keyOf) ??
+          char
+      } else {
+        keys += keyOf(KEY_LITERAL, codePointOf(char)) ?? char
+      }
+    }
+    return keys
+  }
+
+  /**
+   * Type keystrokes on a Korean layout, e.g. 'dkssud' → '안녕'
+   * Recovers Korean typed while the IME was off. Keys outside the layout
+   * (spaces, digits in 2-Bulsik, ...) pass through.
+   * @param {string} keys - Text typed with the IME off
+   * @param {string} [layout] - Keyboard layout: built-in or registered (default: '2bulsik')
+   * @returns {string}
+   */
+  keysToHangul(keys, layout = LAYOUT_MODE_2BULSIK) {
+    this.layoutKeys(layout) // Validates the layout
+
+    // Kept for the instance's lifetime, like the scratch buffer
+    this.composer ??= new HangulComposer(this.wasmModule)
+    this.composer.setLayoutMode(layout)
+
+    let text = ''
+    for (const key of keys) {
+      text += this.composer.feed(key).committed
+    }
+    return text + this.composer.commit().committed
+  }
+
+  /**
+   * Key lookup for a layout: (position, jamo index or literal code point)
+   * → key, or undefined
+   */
+  layoutKeys(layout) {
+    const definition = LAYOUTS.get(layout)
+    if (!definition) throw new Error(`Unknown keyboard layout: ${layout}`)
+
+    if (definition.wasmLayout !== undefined) {
+      return (position, index) => {
+        const ascii = this.wasm.wasm_ime_keyFor3(
+          position,
+          index,
+          definition.wasmLayout,
+        )
+        return ascii !== 0 ? String.fromCharCode(ascii) : undefined
+      }
+    }
+
+    // The first key listed wins, like KEYS_2BULSIK
+    const twoBulsik = definition.type === LAYOUT_MODE_2BULSIK
+    const keyOf = new Map()
+    for (const [key, token] of definition.keys) {
+      const id = twoBulsik ? token : token.join(':')
+      if (!keyOf.has(id)) keyOf.set(id, key)
+    }
+    // A 2-Bulsik key types its jamo in any position
+    return twoBulsik
+      ? (position, index) =>
+          position !== KEY_LITERAL ? keyOf.get(index) : undefined
+      : (position, value) => keyOf.get(`${position}:${value}`)
+  }
+
+  /**
+   * Keys typing one jamo in a syllable position, or null if it can't be typed
+   * Initials prefer their own key (ㄲ is Shift+R in 2-Bulsik); vowels and
+   * finals prefer their two parts, as typists build ㅘ from ㅗ+ㅏ.
+   */
+  jamoKeys(jamo, position, keyOf) {
+    if (jamo === '') return ''
+
+    const index = codePointOf(jamo) - OHI_JAMO_OFFSET
+    const key = keyOf(position, index)
+    const pair = this.wasm.wasm_ime_splitJamo(position, index)
+
+    if (pair !== 0 && (position !== JAMO_INITIAL || key === undefined)) {
+      const first = keyOf(position, pair >> 8)
+      const second = keyOf(position, pair & 0xff)
+      if (first !== undefined && second !== undefined) return first + second
+    }
+    return key ?? null
+  }
+}
+
+/**
+ * wasm number of a jamo form name
+ */
+function jamoFormIndex(form) {
+  const index = JAMO_FORMS.indexOf(form)
+  if (index === -1) throw new Error(`Unknown jamo form: ${form}`)
+  return index
+}
+
+function splitModeIndex(split) {
+  const index = SPLIT_MODES.indexOf(split)
+  if (index === -1) throw new Error(`Unknown split mode: ${split}`)
+  return index
+}
+
+const RIEUL = 0x3139 // ㄹ
+
+// Particles that change after a final consonant, as [after a consonant,
+// after a vowel]; the two-syllable forms come first so '이에요' isn't '이'
+const JOSA_PAIRS = [
+  ['이에요', '예요'],
+  ['이었', '였'],
+  ['은', '는'],
+  ['이', '가'],
+  ['을', '를'],
+  ['과', '와'],
+  ['아', '야'],
+]
+
+// Copula endings that drop their 이 after a vowel (이다/다, 이나/나)
+const COPULA_ENDINGS = ['나', '다', '든', '라', '랑', '며']
+
+// A particle at the start of template text: '을', '을/를', '(으)로'
+const JOSA_PATTERN = /^(?:\([이으]\))?[\uac00-\ud7a3]+(?:\/[\uac00-\ud7a3]+)?/
+
+/**
+ * Forms of a particle after a consonant, a vowel and ㄹ, or null if it
+ * doesn't change. Text after the particle ('은요') is kept on every form.
+ */
+function josaForms(particle) {
+  const slash = particle.indexOf('/')
+  if (slash !== -1) {
+    const options = [particle.slice(0, slash), particle.slice(slash + 1)]
+    for (const option of options) {
+      const forms = josaForms(option)
+      if (
+        forms &&
+        options.includes(forms.consonant) &&
+        options.includes(forms.vowel)
+      ) {
+        return forms
+      }
+    }
+    return { consonant: options[0], vowel: options[1], rieul: options[0] }
+  }
+
+  const optional = /^\(([이으])\)(.+)$/.exec(particle)
+  if (optional) return stemForms(optional[1], optional[2])
+
+  const pair = JOSA_PAIRS.find(
+    ([consonant, vowel]) =>
+      particle.startsWith(consonant) || particle.startsWith(vowel),
+  )
+  // '이다' and '으로' are 이/으 plus an ending, not the particle '이'
+  if (pair && (pair[0].length > 1 || !/^[이으]./.test(particle))) {
+    const [consonant, vowel] = pair
+    const rest = particle.slice(
+      particle.startsWith(consonant) ? consonant.length : vowel.length,
+    )
+    return {
+      consonant: consonant + rest,
+      vowel: vowel + rest,
+      rieul: consonant + rest,
+    }
+  }
+
+  if (/^[이으]./.test(particle)) {
+    return stemForms(particle[0], particle.slice(1))
+  }
+  if (particle.startsWith('로')) return stemForms('으', particle)
+  if (COPULA_ENDINGS.some((ending) => particle.startsWith(ending))) {
+    return stemForms('이', particle)
+  }
+  return null
+}
+
+/** Forms of 이/으 + ending; 으 also drops after ㄹ ('길로') */
+function stemForms(stem, ending) {
+  return {
+    consonant: stem + ending,
+    vowel: ending,
+    rieul: stem === '으' ? ending : stem + ending,
+  }
+}
+
+// Finals of the digit names 영 일 이 삼 사 오 육 칠 팔 구
+const DIGIT_FINALS = [0x3147, RIEUL, 0, 0x3141, 0, 0, 0x3131, RIEUL, RIEUL, 0]
+// Finals of 십 백 천, and of 만 억 조 경 for each further four zeros
+const TENS_FINALS = [0x3142, 0x3131, 0x3134]
+const MYRIAD_FINALS = [0x3134, 0x3131, 0, 0x3147]
+
+/** Final consonant of a number read in Sino-Korean ('10' 십, '3.14' 사) */
+function numberFinal(number) {
+  // Digits after a decimal point are read one at a time
+  if (number.includes('.')) return DIGIT_FINALS[number.at(-1)]
+
+  const digits = number.replaceAll(',', '')
+  const zeros = digits.length - digits.replace(/0+$/, '').length
+  if (zeros === 0 || zeros === digits.length) {
+    return DIGIT_FINALS[digits.at(-1)]
+  }
+  if (zeros < 4) return TENS_FINALS[zeros - 1]
+  return MYRIAD_FINALS[
+    Math.min(Math.floor(zeros / 4), MYRIAD_FINALS.length) - 1
+  ]
+}
+
+// Letter names that end in a consonant (엘, 엠, 엔, 알)
+const LETTER_FINALS = { L: RIEUL, M: 0x3141, N: 0x3134, R: RIEUL }
+
+/** Final consonant of a Latin word as commonly read in Korean */
+function latinFinal(word) {
+  const last = word.at(-1)
+  // Acronyms and single letters are read letter by letter (SQL 에스큐엘)
+  if (word.length === 1 || (last >= 'A' && last <= 'Z')) {
+    return LETTER_FINALS[last.toUpperCase()] ?? 0
+  }
+
+  const lower = word.toLowerCase()
+  if (/le?$/.test(lower)) return RIEUL // mail 메일, google 구글
+  if (/me?$/.test(lower)) return 0x3141 // game 게임
+  if (/ng$/.test(lower)) return 0x3147 // ring 링
+  if (/ne?$/.test(lower)) return 0x3134 // phone 폰
+  // Stops after a short vowel are kept as finals (book 북, chat 챗)
+  const stop = /[aeiou](ck|[bckpt])$/.exec(lower)
+  if (stop) return { b: 0x3142, p: 0x3142, t: 0x3145 }[stop[1]] ?? 0x3131
+  return 0
+}
+
+// Compound jamo typed as two keystrokes; splitting them lets a partly
+// typed syllable match ('달' → '닭', '고' → '과')
+const JAMO_PARTS = {
+  ㄳ: 'ㄱㅅ',
+  ㄵ: 'ㄴㅈ',
+  ㄶ: 'ㄴㅎ',
+  ㄺ: 'ㄹㄱ',
+  ㄻ: 'ㄹㅁ',
+  ㄼ: 'ㄹㅂ',
+  ㄽ: 'ㄹㅅ',
+  ㄾ: 'ㄹㅌ',
+  ㄿ: 'ㄹㅍ',
+  ㅀ: 'ㄹㅎ',
+  ㅄ: 'ㅂㅅ',
+  ㅘ: 'ㅗㅏ',
+  ㅙ: 'ㅗㅐ',
+  ㅚ: 'ㅗㅣ',
+  ㅝ: 'ㅜㅓ',
+  ㅞ: 'ㅜㅔ',
+  ㅟ: 'ㅜㅣ',
+  ㅢ: 'ㅡㅣ',
+}
+
+/**
+ * Searcher - Hangul-aware search for autocomplete and search-as-you-type
+ * A pattern matches text when, character by character:
+ * - a consonant jamo matches a syllable with that initial (chosung search:
+ *   'ㅎㄱ' matches '한글')
+ * - any other character matches itself
+ * - the last character may be partly typed: its jamo only need to be a
+ *   prefix of the text's jamo ('한ㄱ' matches '한국', '달' matches '닭',
+ *   '한' matches '하나')
+ * Ranges are [start, end) UTF-16 offsets, ready for text.slice().
+ */
+export class Searcher {
+  /**
+   * @param {Hangul} hangul - String API used for decomposition
+   * @param {string} pattern - Search pattern
+   */
+  constructor(hangul, pattern) {
+    this.hangul = hangul
+    this.pattern = Array.from(pattern)
+    this.lastJamo = this.pattern.length
+      ? this.jamoOf(this.pattern[this.pattern.length - 1])
+      : ''
+  }
+
+  /**
+   * Keystroke-level jamo of one character ('닭' → 'ㄷㅏㄹㄱ')
+   */
+  jamoOf(char) {
+    const jamo = this.hangul.decompose(char)
+    const sequence = jamo ? jamo.initial + jamo.medial + jamo.final : char
+    return Array.from(sequence, (part) => JAMO_PARTS[part] || part).join('')
+  }
+
+  /**
+   * Whether a pattern character (not the last) matches a text character
+   */
+  charMatches(patternChar, textChar) {
+    if (patternChar === textChar) return true
+    return (
+      this.hangul.isConsonant(patternChar) &&
+      this.hangul.getInitial(textChar) === patternChar
+    )
+  }
+
+  /**
+   * Match the pattern at one character position
+   * @param {string[]} chars - Text characters
+   * @param {number} start - Index into chars
+   * @returns {number} - Index into chars just after the match, or -1
+   */
+  matchAt(chars, start) {
+    const last = this.pattern.length - 1
+    if (start + last >= chars.length) return -1
+
+    for (let i = 0; i < last; i++) {
+      if (!this.charMatches(this.pattern[i], chars[start + i])) return -1
+    }
+
+    // The last pattern character may spill into the following syllables
+    let jamo = ''
+    let end = start + last
+    while (jamo.length < this.lastJamo.length && end < chars.length) {
+      jamo += this.jamoOf(chars[end])
+      end++
+    }
+    return jamo.startsWith(this.lastJamo) ? end : -1
+  }
+
+  /**
+   * Find every non-overlapping match
+   * @param {string} text - Text to search
+   * @returns {Array<[number, number]>} - [start, end) UTF-16 ranges
+   */
+  rangeSearch(text) {
+    const ranges = []
+    if (this.pattern.length === 0) return ranges
+
+    const chars = Array.from(text)
+    const offsets = [0]
+    for (const char of chars)
+      offsets.push(offsets[offsets.length - 1] + char.length)
+
+    for (let i = 0; i < chars.length; ) {
+      const end = this.matchAt(chars, i)
+      if (end < 0) {
+        i++
+        continue
+      }
+      ranges.push([offsets[i], offsets[end]])
+      i = end
+    }
+    return ranges
+  }
+
+  /**
+   * UTF-16 offset of the first match, or -1 (0 for an empty pattern)
+   * @param {string} text - Text to search
+   * @returns {number}
+   */
+  search(text) {
+    if (this.pattern.length === 0) return 0
+
+    const chars = Array.from(text)
+    let offset = 0
+    for (let i = 0; i < chars.length; i++) {
+      if (this.matchAt(chars, i) >= 0) return offset
+      offset += chars[i].length
+    }
+    return -1
+  }
+
+  /**
+   * Whether the text contains a match
+   * @param {string} text - Text to search
+   * @returns {boolean}
+   */
+  test(text) {
+    return this.search(text) >= 0
+  }
+
+  /**
+   * Keep the candidates that match, with their ranges for highlighting
+   * @template T
+   * @param {Iterable<T>} candidates - Strings, or objects read through `key`
+   * @param {(item: T) => string} [key] - Text to search in each candidate (default: the candidate itself)
+   * @returns {Array<{item: T, ranges: Array<[number, number]>}>} - Matches in input order
+   */
+  filter(candidates, key = String) {
+    const matches = []
+    for (const item of candidates) {
+      const ranges = this.rangeSearch(key(item))
+      if (ranges.length > 0 || this.pattern.length === 0) {
+        matches.push({ item, ranges })
+      }
+    }
+    return matches
+  }
+}
+
+// 2-Bulsik keys by row, for the distance between keys
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm']
+
+// Fuzzy typing costs: a neighbouring key or the same key with Shift is an
+// easier slip than any other substitution
+const NEAR_KEY_COST = 0.5
+
+/**
+ * Default jamoDistance substitution cost: 0.5 for jamo on neighbouring
+ * 2-Bulsik keys (ㄱ/ㄷ, ㅏ/ㅓ) or on the same key (ㄱ/ㄲ), otherwise 1
+ */
+function keyboardCost(a, b) {
+  const keyA = KEYS_2BULSIK[codePointOf(a) - OHI_JAMO_OFFSET]
+  const keyB = KEYS_2BULSIK[codePointOf(b) - OHI_JAMO_OFFSET]
+  if (!keyA || !keyB) return 1
+
+  const [rowA, columnA] = keyPosition(keyA)
+  const [rowB, columnB] = keyPosition(keyB)
+  if (rowA === rowB) return Math.abs(columnA - columnB) <= 1 ? NEAR_KEY_COST : 1
+  if (Math.abs(rowA - rowB) !== 1) return 1
+
+  // Rows are staggered: 'a' sits below 'q' and 'w', 'z' below 'a' and 's'
+  const shift = rowA < rowB ? columnA - columnB : columnB - columnA
+  return shift === 0 || shift === 1 ? NEAR_KEY_COST : 1
+}
+
+function keyPosition(key) {
+  const lower = key.toLowerCase()
+  const row = KEYBOARD_ROWS.findIndex((keys) => keys.includes(lower))
+  return [row, KEYBOARD_ROWS[row].indexOf(lower)]
+}
+
+/**
+ * Levenshtein distance with unit insertions and deletions and a weighted
+ * substitution, keeping one row of the table
+ */
+function editDistance(a, b, substitution) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const swap = a[i - 1] === b[j - 1] ? 0 : substitution(a[i - 1], b[j - 1])
+      row.push(
+        Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + swap),
+      )
+    }
+    previous = row
+  }
+  return previous[b.length]
+}
+
+/**
+ * Text of stream chunks (strings or UTF-8 bytes), holding back a character
+ * cut by the chunk boundary: a partial UTF-8 sequence or a lone high surrogate
+ */
+class ChunkReader {
+  constructor() {
+    this.decoder = new TextDecoder()
+    this.pending = ''
+  }
+
+  /**
+   * Whole characters up to the end of a chunk
+   * @param {string|BufferSource} chunk
+   * @returns {string}
+   */
+  read(chunk) {
+    let text =
+      this.pending +
+      (typeof chunk === 'string'
+        ? chunk
+        : this.decoder.decode(chunk, { stream: true }))
+    this.pending = ''
+
+    const last = text.charCodeAt(text.length - 1)
+    if (last >= 0xd800 && last <= 0xdbff) {
+      this.pending = text.slice(-1)
+      text = text.slice(0, -1)
+    }
+    return text
+  }
+
+  /**
+   * Whatever is left at the end of the stream
+   * @returns {string}
+   */
+  end() {
+    const text = this.pending + this.decoder.decode()
+    this.pending = ''
+    return text
+  }
+}
+
+/**
+ * StreamDecomposer - decomposeString over a text that arrives in chunks
+ * write() returns the jamo for each chunk and end() whatever was held back,
+ * for stream adapters (Hangul.decomposeStream, hangul-wasm/node).
+ */
+export class StreamDecomposer {
+  /**
+   * @param {Hangul} hangul - String API used for decomposition
+   * @param {{form?: 'compatibility'|'conjoining'|'nfd', split?: 'none'|'compound'|'all'}} [options] - See decomposeString
+   */
+  constructor(hangul, options = {}) {
+    this.hangul = hangul
+    this.options = options
+    this.reader = new ChunkReader()
+    // Check the options now rather than at the first chunk
+    hangul.decomposeString('', options)
+  }
+
+  /**
+   * @param {string|BufferSource} chunk - Text or UTF-8 bytes
+   * @returns {string}
+   */
+  write(chunk) {
+    return this.hangul.decomposeString(this.reader.read(chunk), this.options)
+  }
+
+  /**
+   * @returns {string}
+   */
+  end() {
+    return this.hangul.decomposeString(this.reader.end(), this.options)
+  }
+}
+
+/**
+ * StreamComposer - composeString over a text that arrives in chunks
+ * The last COMPOSE_CHUNK + 1 codepoints wait for more input, so the output
+ * is exactly composeString of the whole text.
+ */
+export class StreamComposer {
+  /**
+   * @param {Hangul} hangul - String API used for composition
+   * @param {{split?: 'none'|'compound'|'all'}} [options] - See composeString
+   */
+  constructor(hangul, { split = 'none' } = {}) {
+    this.hangul = hangul
+    this.splitIndex = splitModeIndex(split)
+    this.reader = new ChunkReader()
+    this.codepoints = []
+    this.start = 0 // Composed codepoints kept as context for the next cut
+  }
+
+  /**
+   * @param {string|BufferSource} chunk - Jamo text or UTF-8 bytes
+   * @returns {string}
+   */
+  write(chunk) {
+    for (const char of this.reader.read(chunk)) {
+      this.codepoints.push(char.codePointAt(0))
+    }
+    return this.compose(COMPOSE_CHUNK + 1)
+  }
+
+  /**
+   * @returns {string}
+   */
+  end() {
+    for (const char of this.reader.end()) {
+      this.codepoints.push(char.codePointAt(0))
+    }
+    return this.compose(0)
+  }
+
+  compose(keep) {
+    const { text, end } = this.hangul.composeCodepoints(
+      this.codepoints,
+      this.splitIndex,
+      this.start,
+      keep,
+    )
+    // Boundary checks look up to two codepoints back
+    const from = Math.max(0, end - 2)
+    this.codepoints = this.codepoints.slice(from)
+    this.start = end - from
+    return text
+  }
+}
+
+/**
+ * WHATWG TransformStream driving a StreamDecomposer or StreamComposer
+ */
+function transformStreamOf(stream) {
+  return new TransformStream({
+    transform(chunk, controller) {
+      const text = stream.write(chunk)
+      if (text) controller.enqueue(text)
+    },
+    flush(controller) {
+      const text = stream.end()
+      if (text) controller.enqueue(text)
+    },
+  })
+}
+
+// Modern conjoining jamo in code point order, as compatibility jamo
+const CHOSEONG_JAMO = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ' // U+1100-U+1112
+const JONGSEONG_JAMO = 'ㄱㄲㄳㄴㄵㄶㄷㄹㄺㄻㄼㄽㄾㄿㅀㅁㅂㅄㅅㅆㅇㅈㅊㅋㅌㅍㅎ' // U+11A8-U+11C2
+const JUNGSEONG_FIRST = 0x1161 // ᅡ, in the order of ㅏ-ㅣ (U+314F-U+3163)
+const VOWEL_FIRST = 0x314f
+
+/**
+ * Add a keyboard layout, usable wherever a layout name is (setLayoutMode,
+ * data-hangul-layout, hangulToKeys, keysToHangul)
+ * `keys` maps each key (the character it types, as in KeyboardEvent.key) to a jamo:
+ * - '2bulsik': a jamo typed on a 2-Bulsik key (ㄱ, ㄲ, ㅏ, ㅐ, ...), in any
+ *   form; the IME decides where it goes, so a remapped 2-Bulsik (Dvorak,
+ *   Colemak) only moves the keys
+ * - '3bulsik': a choseong (ᄀ U+1100), jungseong (ᅡ U+1161, or ㅏ) or
+ *   jongseong (ᆨ U+11A8), or any other character to type as is
+ * Keys left out pass through. The first key listed for a jamo is the one
+ * hangulToKeys types. Registering a name again replaces that layout.
+ * @param {string} name - Layout name
+ * @param {{type?: '2bulsik'|'3bulsik', keys: Object<string, string>}} layout - JSON-compatible definition (type defaults to '2bulsik')
+ *
+ * @example
+ * // 2-Bulsik on a Dvorak keyboard: the QWERTY key positions, relabelled
+ * const dvorak = { "'": 'ㅂ', ',': 'ㅈ', '.': 'ㄷ', p: 'ㄱ', y: 'ㅅ', ... }
+ * registerLayout('2bulsik-dvorak', { keys: dvorak })
+ * ime.setLayoutMode('2bulsik-dvorak')
+ */
+export function registerLayout(
+  name,
+  { type = LAYOUT_MODE_2BULSIK, keys } = {},
+) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('Layout name must be a non-empty string')
+  }
+  if (BUILT_IN_LAYOUTS.has(name)) {
+    throw new Error(`Can't replace the built-in layout ${name}`)
+  }
+  if (type !== LAYOUT_MODE_2BULSIK && type !== LAYOUT_MODE_3BULSIK) {
+    throw new Error(`Unknown layout type: ${type}`)
+  }
+  if (keys === null || typeof keys !== 'object') {
+    throw new Error(`Layout ${name} needs a keys table`)
+  }
+
+  const tokens = new Map()
+  for (const [key, jamo] of Object.entries(keys)) {
+    const token =
+      typeof jamo === 'string' && Array.from(jamo).length === 1
+        ? type === LAYOUT_MODE_2BULSIK
+          ? jamoIndex2Bulsik(jamo)
+          : jamoToken3Bulsik(jamo)
+        : undefined
+    if (token === undefined) {
+      throw new Error(
+        `Layout ${name}: key '${key}' can't type ${JSON.stringify(jamo)} in ${type}`,
+      )
+    }
+    tokens.set(key, token)
+  }
+  LAYOUTS.set(name, { type, keys: tokens })
+}
+
+/**
+ * 2-Bulsik jamo index of a compatibility or conjoining jamo, or undefined
+ * if no 2-Bulsik key types it
+ */
+function jamoIndex2Bulsik(jamo) {
+  const [, compat] = conjoiningToCompat(jamo) ?? [undefined, jamo]
+  const index = codePointOf(compat) - OHI_JAMO_OFFSET
+  return KEYS_2BULSIK[index] !== undefined ? index : undefined
+}
+
+/**
+ * [position, value] token of a 3-Bulsik key: a jamo position and index,
+ * or [KEY_LITERAL, code point]; undefined for a compatibility consonant,
+ * which could be either an initial or a final
+ */
+function jamoToken3Bulsik(char) {
+  const conjoining = conjoiningToCompat(char)
+  if (conjoining) {
+    const [position, compat] = conjoining
+    return [position, codePointOf(compat) - OHI_JAMO_OFFSET]
+  }
+  const cp = codePointOf(char)
+  if (cp >= VOWEL_FIRST && cp <= VOWEL_FIRST + 20) {
+    return [JAMO_MEDIAL, cp - OHI_JAMO_OFFSET]
+  }
+  if (cp > OHI_JAMO_OFFSET && cp < VOWEL_FIRST) return undefined
+  return [KEY_LITERAL, cp]
+}
+
+/**
+ * [position, compatibility jamo] of a modern conjoining jamo, or null
+ */
+function conjoiningToCompat(char) {
+  const cp = codePointOf(char)
+  if (cp >= 0x1100 && cp < 0x1100 + CHOSEONG_JAMO.length) {
+    return [JAMO_INITIAL, CHOSEONG_JAMO[cp - 0x1100]]
+  }
+  if (cp >= JUNGSEONG_FIRST && cp <= JUNGSEONG_FIRST + 20) {
+    return [
+      JAMO_MEDIAL,
+      String.fromCodePoint(VOWEL_FIRST + cp - JUNGSEONG_FIRST),
+    ]
+  }
+  if (cp >= 0x11a8 && cp < 0x11a8 + JONGSEONG_JAMO.length) {
+    return [JAMO_FINAL, JONGSEONG_JAMO[cp - 0x11a8]]
+  }
+  return null
+}
+
+/**
+ * ime.Options bits for HangulComposer options
+ */
+function imeOptionBits({
+  moachigi = false,
+  autoReorder = false,
+  backspace = 'jamo',
+  doubleFinals = true,
+  doubleByRepeat = true,
+}) {
+  if (!BACKSPACE_MODES.includes(backspace)) {
+    throw new Error(`Unknown backspace mode: ${backspace}`)
+  }
+  return (
+    (moachigi ? IME_OPTION_MOACHIGI : 0) |
+    (autoReorder ? IME_OPTION_AUTO_REORDER : 0) |
+    (doubleFinals ? 0 : IME_OPTION_NO_DOUBLE_FINALS) |
+    (doubleByRepeat ? 0 : IME_OPTION_NO_REPEAT_DOUBLES) |
+    (backspace === 'syllable' ? IME_OPTION_BACKSPACE_SYLLABLE : 0)
+  )
+}
+
+/**
+ * HangulComposer - Headless Korean composition engine
+ * Drives the WASM state machine (wasm_ime_processKey / wasm_ime_processKey3)
+ * and reports text instead of editing the DOM, so it works in Node, Bun,
+ * workers and tests. HangulIme uses it internally for every keystroke.
+ *
+ * Optional composition modes (constructor options, also HangulIme's):
+ * - moachigi: 3-Bulsik jamo typed together build one syllable whichever
+ *   order they arrive in (ㅏ, ᆫ, ㄱ → 간)
+ * - autoReorder: 2-Bulsik double vowels and finals typed in reverse
+ *   combine (ㅏ+ㅗ → ㅘ, ㅅ+ㄱ → ㄳ)
+ * - backspace: 'jamo' (default, 한 → 하) or 'syllable' (한 → nothing)
+ * - doubleFinals: false keeps finals apart (ㄱ+ㅅ → ㄱㅅ, not ㄳ)
+ * - doubleByRepeat: false stops a consonant typed twice from doubling
+ *   (ㄱ+ㄱ → ㄱㄱ, not ㄲ; Shift still types ㄲ in 2-Bulsik)
+ *
+ * Every operation returns a ComposeResult:
+ * - committed: text that is now final (emit in order, before preedit)
+ * - preedit: syllable still being composed (replaces the previous preedit)
+ * - handled: false when the key is not part of the layout
+ * - action: raw WASM action code (0 = no change, 1 = replace, 2 = emit and new, 3 = literal)
+ */
+export class HangulComposer {
+  constructor(wasmModule, options = {}) {
+    this.wasm = wasmModule.instance.exports
+    this.memory = wasmModule.instance.exports.memory
+    this.handle = this.wasm.wasm_ime_create()
+    this.debug = options.debug !== undefined ? options.debug : DEBUG
+    this.layoutMode = options.layout || LAYOUT_MODE_2BULSIK // Default to 2-Bulsik
+    this.preedit = '' // Syllable currently being composed
+    // Composition options, passed to every WASM keystroke as bits
+    this.options = imeOptionBits(options)
+
+    // Allocate result buffer once (reusable)
+    // 5 × u32 for 3-Bulsik (literal and moachigi stray codepoints)
+    this.resultBuffer = this.wasm.wasm_alloc(RESULT_BUFFER_SIZE)
+
+    if (this.handle === 0 || this.resultBuffer === 0) {
+      throw new Error('Failed to initialize IME (WASM allocation failed)')
+    }
+  }
+
+  destroy() {
+    if (this.resultBuffer !== 0) {
+      this.wasm.wasm_free(this.resultBuffer, RESULT_BUFFER_SIZE)
+      this.resultBuffer = 0
+    }
+    if (this.handle !== 0) {
+      this.wasm.wasm_ime_destroy(this.handle)
+      this.handle = 0
+    }
+  }
+
+  /**
+   * Set the keyboard layout mode (drops the current composition)
+   * @param {string} mode - Built-in layout ('2bulsik', '3bulsik', '3bulsik-final', '3bulsik-390') or one added with registerLayout
+   */
+  setLayoutMode(mode) {
+    if (LAYOUTS.has(mode)) {
+      this.layoutMode = mode
+      this.reset()
+    }
+  }
+
+  getLayoutMode() {
+    return this.layoutMode
+  }
+
+  /**
+   * Drop the current composition without committing it
+   */
+  reset() {
+    this.wasm.wasm_ime_reset(this.handle)
+    this.preedit = ''
+  }
+
+  /**
+   * Feed one keystroke
+   * Keys outside the layout commit the composition and pass through
+   * unchanged in `committed` (with handled = false).
+   * @param {string} key - Character produced by the key (e.g. 'r', 'R')
+   * @returns {{committed: string, preedit: string, handled: boolean, action: number}}
+   */
+  feed(key) {
+    const layout =
+      LAYOUTS.get(this.layoutMode) ?? LAYOUTS.get(LAYOUT_MODE_2BULSIK)
+    const result =
+      layout.type === LAYOUT_MODE_3BULSIK
+        ? this.feed3Bulsik(key, layout)
+        : this.feed2Bulsik(key, layout.keys)
+
+    if (result) return result
+
+    // Not a Korean key: finalize composition, pass the key through
+    const { committed } = this.commit()
+    return {
+      committed: committed + key,
+      preedit: '',
+      handled: false,
+      action: ACTION_NO_CHANGE,
+    }
+  }
+
+  /**
+   * Feed a 2-Bulsik keystroke, or return null if the key is not in the layout
+   */
+  feed2Bulsik(key, keys) {
+    const jamoIndex = keys.get(key)
+
+    if (this.debug) {
+      console.log(
+        `[HangulComposer] 2-Bulsik key: '${key}' → jamo index: ${jamoIndex}`,
+      )
+    }
 
-const _ACTION_NO_CHANGE = 0
-const ACTION_REPLACE = 1
-const ACTION_EMIT_AND_NEW = 2
-const ACTION_LITERAL = 3 // For 3-Bulsik punctuation
+    if (jamoIndex === undefined) return null // Not a Korean key
 
-// Debug flag - set to true to enable console logging
-const DEBUG = false
+    // Process the keystroke through WASM
+    const handled = this.wasm.wasm_ime_processKey(
+      this.handle,
+      jamoIndex,
+      this.resultBuffer,
+      this.options,
+    )
+
+    if (!handled) return null
+
+    // Read result from WASM memory
+    const view = new Uint32Array(this.memory.buffer, this.resultBuffer, 3)
+    return this.toResult(view[0], view[1], view[2], 0)
+  }
+
+  /**
+   * Feed a 3-Bulsik keystroke, or return null if the key is not in the layout
+   */
+  feed3Bulsik(key, layout) {
+    if (layout.keys) return this.feedToken3(key, layout.keys.get(key))
+    if (key.length !== 1) return null
+
+    const ascii = key.charCodeAt(0)
+
+    // 3-Bulsik handles ASCII 33-126
+    if (ascii < 33 || ascii > 126) return null
+
+    if (this.debug) {
+      console.log(`[HangulComposer] 3-Bulsik key: '${key}' (ASCII ${ascii})`)
+    }
+
+    // Process the keystroke through WASM
+    const handled = this.wasm.wasm_ime_processKey3(
+      this.handle,
+      ascii,
+      this.resultBuffer,
+      layout.wasmLayout,
+      this.options,
+    )
+
+    if (!handled) return null
+
+    // Read result from WASM memory (5 × u32 for 3-Bulsik)
+    const view = new Uint32Array(this.memory.buffer, this.resultBuffer, 5)
+    return this.toResult(view[0], view[1], view[2], view[3], view[4])
+  }
+
+  /**
+   * Feed the [position, value] token of a registered 3-Bulsik layout key
+   */
+  feedToken3(key, token) {
+    if (this.debug) {
+      console.log(`[HangulComposer] 3-Bulsik key: '${key}' → token: ${token}`)
+    }
+    if (token === undefined) return null
+
+    const handled = this.wasm.wasm_ime_processJamo3(
+      this.handle,
+      token[0],
+      token[1],
+      this.resultBuffer,
+      this.options,
+    )
+    if (!handled) return null
+
+    const view = new Uint32Array(this.memory.buffer, this.resultBuffer, 5)
+    return this.toResult(view[0], view[1], view[2], view[3], view[4])
+  }
+
+  /**
+   * Convert a WASM action into committed/preedit text
+   * strayCodepoint is a moachigi final emitted after the previous syllable
+   */
+  toResult(
+    action,
+    prevCodepoint,
+    currentCodepoint,
+    literalCodepoint,
+    strayCodepoint = 0,
+  ) {
+    if (this.debug) {
+      console.log(
+        `[HangulComposer]   → WASM result: action=${action}, prev=U+${prevCodepoint.toString(16).toUpperCase().padStart(4, '0')}, current=U+${currentCodepoint.toString(16).toUpperCase().padStart(4, '0')} (${currentCodepoint !== 0 ? String.fromCodePoint(currentCodepoint) : ''})`,
+      )
+    }
+
+    const literal =
+      literalCodepoint !== 0 ? String.fromCodePoint(literalCodepoint) : ''
+    let committed = ''
+
+    switch (action) {
+      case ACTION_REPLACE:
+        this.preedit = String.fromCodePoint(currentCodepoint)
+        break
+
+      case ACTION_EMIT_AND_NEW:
+        // Previous syllable is final; a literal (3-Bulsik punctuation) follows it
+        committed =
+          (prevCodepoint !== 0 ? String.fromCodePoint(prevCodepoint) : '') +
+          (strayCodepoint !== 0 ? String.fromCodePoint(strayCodepoint) : '') +
+          literal
+        this.preedit =
+          currentCodepoint !== 0 ? String.fromCodePoint(currentCodepoint) : ''
+        break
 
-export class HangulIme {
+      case ACTION_LITERAL:
+        committed = literal
+        this.preedit = ''
+        break
+
+      default:
+        // No change
+        break
+    }
+
+    return { committed, preedit: this.preedit, handled: true, action }
+  }
+
+  /**
+   * Remove the last jamo from the composition
+   * @returns {{committed: string, preedit: string, handled: boolean, action: number}}
+   *   handled = false when there is nothing to decompose
+   */
+  backspace() {
+    if (this.preedit === '') {
+      return {
+        committed: '',
+        preedit: '',
+        handled: false,
+        action: ACTION_NO_CHANGE,
+      }
+    }
+
+    const codepoint = this.wasm.wasm_ime_backspace(this.handle, this.options)
+
+    if (this.debug) {
+      console.log(
+        `[HangulComposer]   → WASM backspace returned: U+${codepoint.toString(16).toUpperCase().padStart(4, '0')} (${codepoint !== 0 ? String.fromCodePoint(codepoint) : 'empty'})`,
+      )
+    }
+
+    this.preedit = codepoint !== 0 ? String.fromCodePoint(codepoint) : ''
+    return {
+      committed: '',
+      preedit: this.preedit,
+      handled: true,
+      action: ACTION_REPLACE,
+    }
+  }
+
+  /**
+   * Finalize the current composition and reset state
+   * @returns {{committed: string, preedit: string, handled: boolean, action: number}}
+   */
+  commit() {
+    // A moachigi composition still missing its vowel commits jamo by jamo
+    let committed = ''
+    for (
+      let codepoint = this.wasm.wasm_ime_commit(this.handle);
+      codepoint !== 0;
+      codepoint = this.wasm.wasm_ime_commit(this.handle)
+    ) {
+      committed += String.fromCodePoint(codepoint)
+    }
+    this.preedit = ''
+
+    return {
+      committed,
+      preedit: '',
+      handled: committed !== '',
+      action: ACTION_NO_CHANGE,
+    }
+  }
+
+  /**
+   * Get current WASM composition state (for debugging)
+   */
+  getState() {
+    // The result buffer doubles as scratch space (6 bytes ≤ 20)
+    this.wasm.wasm_ime_getState(this.handle, this.resultBuffer)
+
+    const view = new Uint8Array(this.memory.buffer, this.resultBuffer, 6)
+    return {
+      initial: view[0],
+      initial_flag: view[1],
+      medial: view[2],
+      medial_flag: view[3],
+      final: view[4],
+      final_flag: view[5],
+    }
+  }
+}
+
+/**
+ * HangulIme - Korean IME for text fields
+ * An EventTarget: dispatches `modechange` (detail: { enabled, field, layout })
+ * whenever Korean input is switched on or off.
+ */
+export class HangulIme extends EventTarget {
   constructor(wasmModule, options = {}) {
+    super()
     this.wasm = wasmModule.instance.exports
     this.memory = wasmModule.instance.exports.memory
-    this.handle = this.wasm.wasm_ime_create()
-    this.enabled = false
-    this.hasComposition = false // Track if there's an active composition
-    this.compositionStart = -1 // Track where composition started in the text field
+    this.enabled = false // Global mode (default for every field in 'field' scope)
+    // 'global': one Korean/English mode for all fields; 'field': per field
+    this.modeScope = options.modeScope === 'field' ? 'field' : 'global'
+    this.fieldModes = new WeakMap() // field → enabled ('field' scope only)
+    this.events = options.events !== false // Dispatch composition/input events
+    // Optional preedit underline/highlight (options.preedit: true or overlay options)
+    this.overlay = options.preedit
+      ? new PreeditOverlay(options.preedit === true ? {} : options.preedit)
+      : null
     this.debug = options.debug !== undefined ? options.debug : DEBUG
     this.layoutMode = options.layout || LAYOUT_MODE_2BULSIK // Default to 2-Bulsik
+    // Composition modes and policies for every field's composer (see HangulComposer)
+    this.compositionOptions = {
+      moachigi: options.moachigi,
+      autoReorder: options.autoReorder,
+      backspace: options.backspace,
+      doubleFinals: options.doubleFinals,
+      doubleByRepeat: options.doubleByRepeat,
+    }
+    // End the composition after every key (password-like fields), so the
+    // field never holds uncommitted text
+    this.commitEachSyllable = options.commitEachSyllable === true
+    this.createTarget =
+      options.createTarget ||
+      ((element) => createTextTarget(element, { setValue: options.setValue }))
+    this.targets = new WeakMap() // field → text target
+
+    // One composition session (own WASM IME handle + tracking) per field,
+    // so switching fields never mixes up their compositions
+    this.wasmModule = wasmModule
+    this.sessions = new Map() // field → session (null key: no field yet)
+    this.spareComposers = [] // Composers of removed fields, reused by new ones
+    this.session = this.createSession()
+    this.sessions.set(null, this.session)
+    this.recorder = null // {field, state, recording} while recording (startRecording)
+  }
 
-    // Allocate result buffer once (reusable)
-    // 4 × u32 for 3-Bulsik (includes literal codepoint)
-    this.resultBuffer = this.wasm.wasm_alloc(16)
+  // Composition state of the active field (see activateField)
 
-    if (this.handle === 0 || this.resultBuffer === 0) {
-      throw new Error('Failed to initialize IME (WASM allocation failed)')
-    }
+  /** WASM composition engine of the active field */
+  get composer() {
+    return this.session.composer
+  }
+
+  /** Whether the active field has a composition */
+  get hasComposition() {
+    return this.session.hasComposition
+  }
+
+  set hasComposition(value) {
+    this.session.hasComposition = value
+  }
+
+  /** Where the active field's composition started */
+  get compositionStart() {
+    return this.session.compositionStart
+  }
+
+  set compositionStart(value) {
+    this.session.compositionStart = value
+  }
+
+  /** Preedit text currently shown at compositionStart */
+  get compositionText() {
+    return this.session.compositionText
+  }
+
+  set compositionText(value) {
+    this.session.compositionText = value
+  }
+
+  /** Field holding the active composition */
+  get compositionField() {
+    return this.session.compositionField
+  }
+
+  set compositionField(value) {
+    this.session.compositionField = value
   }
 
   destroy() {
-    if (this.resultBuffer !== 0) {
-      this.wasm.wasm_free(this.resultBuffer, 16)
-      this.resultBuffer = 0
+    for (const session of this.sessions.values()) session.composer.destroy()
+    for (const composer of this.spareComposers) composer.destroy()
+    this.sessions.clear()
+    this.spareComposers = []
+    if (this.overlay) this.overlay.destroy()
+  }
+
+  /**
+   * Create a composition session
+   * Reuses a spare composer when possible: the WASM bump allocator only
+   * reclaims memory once every allocation is freed.
+   */
+  createSession() {
+    const composer =
+      this.spareComposers.pop() ||
+      new HangulComposer(this.wasmModule, {
+        ...this.compositionOptions,
+        debug: this.debug,
+        layout: this.layoutMode,
+      })
+    composer.debug = this.debug
+    composer.reset()
+
+    return {
+      composer,
+      hasComposition: false,
+      compositionStart: -1,
+      compositionText: '',
+      compositionField: null,
+      // commitEachSyllable: {field, start, text} of the syllable committed
+      // after the last key, which the composer may still change
+      committedSyllable: null,
     }
-    if (this.handle !== 0) {
-      this.wasm.wasm_ime_destroy(this.handle)
-      this.handle = 0
+  }
+
+  /**
+   * Make a field's session the active one, creating it on first use
+   * Also applies the field's data-hangul-layout, which may change at any time.
+   * @param {HTMLElement|TextTarget} field - The input field or text target
+   */
+  activateField(field) {
+    let session = this.sessions.get(field)
+    if (!session) {
+      this.pruneSessions()
+      session = this.createSession()
+      this.sessions.set(field, session)
+    }
+    this.session = session
+
+    const layout = this.getLayoutMode(field)
+    if (session.composer.getLayoutMode() !== layout) {
+      this.reset()
+      session.composer.setLayoutMode(layout)
+    }
+    return session
+  }
+
+  /**
+   * Release sessions of fields that were removed from the document
+   */
+  pruneSessions() {
+    for (const [field, session] of this.sessions) {
+      if (field && field.isConnected === false && session !== this.session) {
+        this.spareComposers.push(session.composer)
+        this.sessions.delete(field)
+      }
+    }
+  }
+
+  /**
+   * Run a callback with every session active in turn
+   */
+  forEachSession(callback) {
+    const active = this.session
+    for (const [field, session] of this.sessions) {
+      this.session = session
+      callback(field)
     }
+    this.session = active
   }
 
   /**
    * Set the keyboard layout mode
-   * @param {'2bulsik'|'3bulsik'} mode - Layout mode
+   * @param {string} mode - Built-in layout ('2bulsik', '3bulsik', '3bulsik-final', '3bulsik-390') or one added with registerLayout
    */
   setLayoutMode(mode) {
-    if (mode === LAYOUT_MODE_2BULSIK || mode === LAYOUT_MODE_3BULSIK) {
+    if (LAYOUTS.has(mode)) {
       this.layoutMode = mode
-      this.reset()
+      // Fields with their own data-hangul-layout keep it
+      this.forEachSession((field) => {
+        const layout = this.getLayoutMode(field)
+        if (this.composer.getLayoutMode() !== layout) {
+          this.reset()
+          this.composer.setLayoutMode(layout)
+        }
+      })
       if (this.debug) {
         console.log(`[HangulIme] Layout mode set to: ${mode}`)
       }
@@ -127,28 +2577,95 @@ export class HangulIme {
 
   /**
    * Get the current keyboard layout mode
-   * @returns {'2bulsik'|'3bulsik'} Current layout mode
+   * @param {HTMLElement|TextTarget} [field] - Field whose data-hangul-layout wins over the IME's layout
+   * @returns {string} Current layout mode
    */
-  getLayoutMode() {
+  getLayoutMode(field = null) {
+    const layout = getFieldAttribute(field, 'data-hangul-layout')
+    if (LAYOUTS.has(layout)) return layout
     return this.layoutMode
   }
 
-  enable() {
-    this.enabled = true
-    this.reset()
+  /**
+   * Switch Korean input on
+   * @param {HTMLElement|TextTarget} [field] - Field to switch ('field' scope; omit for the default mode)
+   */
+  enable(field = null) {
+    this.setEnabled(true, field)
+  }
+
+  /**
+   * Switch Korean input off (pass-through to browser)
+   * @param {HTMLElement|TextTarget} [field] - Field to switch ('field' scope; omit for the default mode)
+   */
+  disable(field = null) {
+    this.setEnabled(false, field)
   }
 
-  disable() {
-    this.enabled = false
-    this.reset()
+  /**
+   * Flip between Korean and English input
+   * @param {HTMLElement|TextTarget} [field] - Field to switch ('field' scope; omit for the default mode)
+   * @returns {boolean} - true if Korean input is now on
+   */
+  toggle(field = null) {
+    this.setEnabled(!this.isEnabled(field), field)
+    return this.isEnabled(field)
   }
 
-  isEnabled() {
+  /**
+   * Check if Korean input is on
+   * @param {HTMLElement|TextTarget} [field] - Field to check ('field' scope)
+   */
+  isEnabled(field = null) {
+    if (this.modeScope === 'field' && field && this.fieldModes.has(field)) {
+      return this.fieldModes.get(field)
+    }
+    // data-hangul-enabled="true|false" pins a field (initial mode in 'field' scope)
+    const attribute = getFieldAttribute(field, 'data-hangul-enabled')
+    if (attribute !== null) return attribute !== 'false'
     return this.enabled
   }
 
+  /**
+   * Set the Korean/English mode, firing `modechange` if it changed
+   * The current composition is finalized either way.
+   */
+  setEnabled(enabled, field = null) {
+    const perField = this.modeScope === 'field' && field !== null
+    const changed = this.isEnabled(field) !== enabled
+
+    if (perField) {
+      this.fieldModes.set(field, enabled)
+      this.activateField(field)
+      this.reset()
+    } else {
+      this.enabled = enabled
+      this.forEachSession(() => this.reset())
+    }
+
+    if (changed) {
+      if (this.debug) {
+        console.log(
+          `[HangulIme] Mode changed: ${enabled ? 'Korean' : 'English'}${perField ? ' (field)' : ''}`,
+        )
+      }
+      this.dispatchEvent(
+        new CustomEvent('modechange', {
+          detail: {
+            enabled,
+            field: perField ? field : null,
+            layout: this.layoutMode,
+          },
+        }),
+      )
+    }
+  }
+
   setDebug(enabled) {
     this.debug = enabled
+    for (const session of this.sessions.values()) {
+      session.composer.debug = enabled
+    }
     if (this.debug) {
       console.log('[HangulIme] Debug mode enabled')
     }
@@ -158,223 +2675,299 @@ export class HangulIme {
     return this.debug
   }
 
+  /**
+   * Get the text target used to edit a field
+   * Objects that already implement the target interface are used as-is
+   * @param {HTMLElement|TextTarget} field - Input, textarea, contenteditable host or custom target
+   * @returns {TextTarget}
+   */
+  getTarget(field) {
+    if (typeof field.replaceRange === 'function') return field
+
+    let target = this.targets.get(field)
+    if (!target) {
+      target = this.createTarget(field)
+      this.targets.set(field, target)
+    }
+    return target
+  }
+
+  /**
+   * Check whether a field has a composition in progress
+   * (with commitEachSyllable: a committed syllable the next key may change)
+   * @param {HTMLElement|TextTarget} field - The input field or text target
+   */
+  isComposing(field) {
+    const session = this.sessions.get(field)
+    return session
+      ? session.hasComposition || session.committedSyllable !== null
+      : false
+  }
+
+  /**
+   * Drop the active field's composition (its text stays in the field)
+   */
   reset() {
-    this.wasm.wasm_ime_reset(this.handle)
+    const before =
+      this.hasComposition || this.session.committedSyllable
+        ? this.stepStart()
+        : null
+
+    // Text stays in the field; listeners still need to see the composition end
+    if (this.hasComposition) this.endComposition(this.compositionText)
+    this.composer.reset()
     this.hasComposition = false
     this.compositionStart = -1
+    this.compositionText = ''
+    this.session.committedSyllable = null
+
+    this.recordStep(before, { type: 'reset' })
   }
 
   /**
    * Commit the current composition and reset IME state
    * Use this when the user moves focus away or explicitly finalizes input
-   * @param {HTMLInputElement|HTMLTextAreaElement} [field] - Optional field to update
+   * @param {HTMLElement|TextTarget} [field] - Field whose composition to commit (default: the active one)
    * @returns {string|null} - The committed character, or null if nothing to commit
    */
-  commit(_field = null) {
-    // Call WASM to commit and get the finalized codepoint
-    const codepoint = this.wasm.wasm_ime_commit(this.handle)
+  commit(field = null) {
+    if (field) this.activateField(field)
+    const before =
+      this.hasComposition || this.session.committedSyllable
+        ? this.stepStart(field)
+        : null
+
+    // The syllable is already in the field; finalize it in the composer
+    const { committed } = this.composer.commit()
+    const composition = this.hasComposition
+      ? {
+          field: this.compositionField,
+          start: this.compositionStart,
+          text: this.compositionText,
+        }
+      : this.session.committedSyllable
+    this.session.committedSyllable = null
 
-    if (codepoint === 0) {
-      // Nothing to commit - just reset local state
-      this.hasComposition = false
-      this.compositionStart = -1
-      return null
-    }
+    if (composition) this.finishComposition(composition, committed)
+
+    // Reset local state (composer state already reset by commit)
+    this.hasComposition = false
+    this.compositionStart = -1
+    this.compositionText = ''
 
-    const char = String.fromCodePoint(codepoint)
+    this.recordStep(before, { type: 'commit' })
+
+    if (committed === '') return null
 
     if (this.debug) {
       console.log(
-        `[HangulIme] Committed: ${char} (U+${codepoint.toString(16).toUpperCase()})`,
+        `[HangulIme] Committed: ${committed} (U+${committed.codePointAt(0).toString(16).toUpperCase()})`,
       )
     }
 
-    // Reset local state (WASM state already reset by wasm_ime_commit)
-    this.hasComposition = false
-    this.compositionStart = -1
-
-    return char
+    return committed
   }
 
   /**
-   * Handle a key press event
-   * @param {KeyboardEvent} event - The keyboard event
-   * @param {HTMLInputElement|HTMLTextAreaElement} field - The input field
-   * @returns {boolean} - true if event was handled (and should be prevented)
+   * End a composition the composer has committed
+   * The syllable is already in the field; a moachigi final still waiting
+   * for its vowel isn't, and is inserted right after it.
+   * @param {{field: HTMLElement|TextTarget, start: number, text: string}} composition
+   * @param {string} committed - Text the composer committed
    */
-  handleKeyPress(event, field) {
-    if (!this.enabled) return false
-
-    // Only handle printable single characters (not space, enter, etc.)
-    if (event.key.length !== 1) return false
-
-    // Don't intercept space - let browser handle it
-    if (event.key === ' ') return false
-
-    const char = event.key
-
-    if (this.layoutMode === LAYOUT_MODE_3BULSIK) {
-      return this.handleKeyPress3Bulsik(char, field)
-    } else {
-      return this.handleKeyPress2Bulsik(char, field)
+  finishComposition(composition, committed) {
+    const stray = committed.startsWith(composition.text)
+      ? committed.slice(composition.text.length)
+      : ''
+    if (this.hasComposition) this.endComposition(composition.text)
+    if (stray !== '' && composition.start >= 0) {
+      this.insertCommitted(
+        composition.field,
+        stray,
+        composition.start + composition.text.length,
+      )
     }
   }
 
   /**
-   * Handle key press in 2-Bulsik mode
+   * Check that the composing text is still where the IME left it
+   * Paste, autocomplete, undo or a click can change the field behind the
+   * IME's back. The composition is then dropped, leaving the field as it
+   * is, so the next key starts a new syllable at the cursor (replacing any
+   * selection) instead of overwriting unrelated text.
+   * @param {HTMLElement|TextTarget} field - The input field or text target
+   * @returns {boolean} - true if a composition is active and intact
    */
-  handleKeyPress2Bulsik(char, field) {
-    const jamoIndex = LAYOUT_2BULSIK[char]
+  syncComposition(field) {
+    this.activateField(field)
+    if (this.session.committedSyllable) this.resumeComposition(field)
+    if (!this.hasComposition) return false
+
+    const target = this.getTarget(field)
+    if (
+      isTextBeforeCaret(target, this.compositionStart, this.compositionText)
+    ) {
+      return true
+    }
 
     if (this.debug) {
+      const selection = target.getSelection()
       console.log(
-        `[HangulIme] 2-Bulsik key: '${char}' → jamo index: ${jamoIndex}`,
+        `[HangulIme] Composition '${this.compositionText}' at ${this.compositionStart} is stale (cursor=${selection.start}-${selection.end}), dropping it`,
       )
     }
 
-    if (jamoIndex === undefined) return false // Not a Korean key
-
-    // Process the keystroke through WASM
-    const handled = this.wasm.wasm_ime_processKey(
-      this.handle,
-      jamoIndex,
-      this.resultBuffer,
-    )
-
-    if (!handled) return false
-
-    // Read result from WASM memory
-    const view = new Uint32Array(this.memory.buffer, this.resultBuffer, 3)
-    const action = view[0]
-    const prevCodepoint = view[1]
-    const currentCodepoint = view[2]
-
-    return this.handleResult(
-      char,
-      field,
-      action,
-      prevCodepoint,
-      currentCodepoint,
-    )
+    this.composer.reset()
+    this.endComposition(this.compositionText)
+    return false
   }
 
   /**
-   * Handle key press in 3-Bulsik mode
+   * Reopen the composition over the syllable committed after the last key
+   * (commitEachSyllable), so the next key can still change it
+   * Drops the composer's syllable instead if the text has moved on.
    */
-  handleKeyPress3Bulsik(char, field) {
-    const ascii = char.charCodeAt(0)
-
-    // 3-Bulsik handles ASCII 33-126
-    if (ascii < 33 || ascii > 126) return false
+  resumeComposition(field) {
+    const { start, text } = this.session.committedSyllable
+    this.session.committedSyllable = null
 
-    if (this.debug) {
-      console.log(`[HangulIme] 3-Bulsik key: '${char}' (ASCII ${ascii})`)
+    if (isTextBeforeCaret(this.getTarget(field), start, text)) {
+      this.startComposition(field, start)
+      this.compositionText = text
+    } else {
+      this.composer.reset()
     }
+  }
 
-    // Process the keystroke through WASM
-    const handled = this.wasm.wasm_ime_processKey3(
-      this.handle,
-      ascii,
-      this.resultBuffer,
-    )
+  /**
+   * Handle a key event
+   * Jamo are picked from the physical key (event.code) and Shift, so the
+   * OS keyboard layout and Caps Lock don't matter; events without a code
+   * fall back to event.key.
+   * @param {KeyboardEvent} event - The keydown (or keypress) event
+   * @param {HTMLElement|TextTarget} field - The input field or text target
+   * @returns {boolean} - true if event was handled (and should be prevented)
+   */
+  handleKeyPress(event, field) {
+    if (!this.isEnabled(field)) return false
 
-    if (!handled) return false
+    // Leave shortcuts (Ctrl+C, Cmd+V, AltGr symbols) and keys the OS IME
+    // is already composing to the browser
+    if (event.ctrlKey || event.metaKey || event.altKey) return false
+    if (event.isComposing || event.keyCode === 229) return false
 
-    // Read result from WASM memory (4 × u32 for 3-Bulsik)
-    const view = new Uint32Array(this.memory.buffer, this.resultBuffer, 4)
-    const action = view[0]
-    const prevCodepoint = view[1]
-    const currentCodepoint = view[2]
-    const literalCodepoint = view[3]
+    // Only handle printable single characters (not space, enter, etc.)
+    const key = keyFromEvent(event)
+    if (key === null) return false
 
-    // Handle literal action (3-Bulsik punctuation)
-    if (action === ACTION_LITERAL) {
-      if (literalCodepoint !== 0) {
-        this.insertChar(field, literalCodepoint)
-      }
-      return true
+    // Don't intercept space - let browser handle it
+    if (key === ' ') return false
+
+    const before = this.stepStart(field)
+    this.syncComposition(field)
+
+    const result = this.composer.feed(key)
+
+    let handled = false
+    if (result.handled) {
+      handled = this.handleResult(field, result)
+    } else if (this.hasComposition) {
+      // Composer committed its syllable (and any waiting moachigi final)
+      // ahead of the key; let the browser insert the key itself
+      this.finishComposition(
+        {
+          field: this.compositionField,
+          start: this.compositionStart,
+          text: this.compositionText,
+        },
+        result.committed.slice(0, -key.length),
+      )
     }
 
-    // For emit_and_new with literal, insert the literal after handling
-    if (action === ACTION_EMIT_AND_NEW && literalCodepoint !== 0) {
-      this.handleResult(char, field, action, prevCodepoint, 0)
-      this.insertChar(field, literalCodepoint)
-      this.hasComposition = false
-      this.compositionStart = -1
-      return true
+    this.recordStep(before, {
+      type: 'key',
+      key,
+      code: event.code,
+      shiftKey: event.shiftKey,
+      action: result.action,
+      handled,
+    })
+    return handled
+  }
+
+  /**
+   * Handle text inserted without usable key events
+   * Soft keyboards on Android/iOS report typed letters only through
+   * beforeinput (insertText); a single character is composed like a key
+   * press. Space and multi-character insertions (autocorrect, swipe
+   * typing) end the composition and are left to the browser.
+   * @param {HTMLElement|TextTarget} field - The input field or text target
+   * @param {string} text - Inserted text (InputEvent.data)
+   * @returns {boolean} - true if the text was handled (and the input should be prevented)
+   */
+  handleTextInput(field, text) {
+    if (!this.isEnabled(field) || !text) return false
+
+    if (text.length !== 1 || text === ' ') {
+      if (this.isComposing(field)) this.commit(field)
+      return false
     }
 
-    return this.handleResult(
-      char,
-      field,
-      action,
-      prevCodepoint,
-      currentCodepoint,
-    )
+    return this.handleKeyPress({ key: text }, field)
   }
 
   /**
-   * Handle the result from WASM processing
+   * Apply a composer result to the field
+   * Committed text ends the current composition; a new preedit starts
+   * (or continues) one right after it. Each step dispatches the matching
+   * composition and beforeinput/input events.
+   * @param {HTMLElement|TextTarget} field - The input field or text target
+   * @param {{committed: string, preedit: string}} result - Composer result
+   * @returns {boolean} - true (the key was consumed)
    */
-  handleResult(_char, field, action, prevCodepoint, currentCodepoint) {
+  handleResult(field, result) {
+    const { committed, preedit } = result
+
     if (this.debug) {
       console.log(
-        `[HangulIme]   → WASM result: action=${action}, prev=U+${prevCodepoint.toString(16).toUpperCase().padStart(4, '0')}, current=U+${currentCodepoint.toString(16).toUpperCase().padStart(4, '0')} (${currentCodepoint !== 0 ? String.fromCodePoint(currentCodepoint) : ''})`,
+        `[HangulIme] handleResult: committed="${committed}", preedit="${preedit}", hasComposition=${this.hasComposition}, compositionStart=${this.compositionStart}`,
       )
     }
 
-    switch (action) {
-      case ACTION_REPLACE:
-        // Replace the last character with the new composition
-        // Only replace if we have an active composition, otherwise insert
-        if (this.debug) {
-          console.log(
-            `[HangulIme] ACTION_REPLACE: hasComposition=${this.hasComposition}, compositionStart=${this.compositionStart}`,
-          )
-        }
-        if (this.hasComposition && this.compositionStart >= 0) {
-          this.replaceComposition(field, currentCodepoint)
-        } else {
-          // Starting new composition
-          this.compositionStart = field.selectionStart
-          this.insertChar(field, currentCodepoint)
-        }
-        this.hasComposition = true
-        break
+    if (committed === '' && preedit === this.compositionText) {
+      return true // No change
+    }
 
-      case ACTION_EMIT_AND_NEW:
-        // Emit the previous syllable (replace current char with prev)
-        // Then insert the new syllable
-        if (this.debug) {
-          console.log(
-            `[HangulIme] ACTION_EMIT_AND_NEW: prev=${prevCodepoint !== 0 ? String.fromCodePoint(prevCodepoint) : ''}, current=${currentCodepoint !== 0 ? String.fromCodePoint(currentCodepoint) : ''}, compositionStart=${this.compositionStart}`,
-          )
-        }
-        if (
-          prevCodepoint !== 0 &&
-          this.hasComposition &&
-          this.compositionStart >= 0
-        ) {
-          // Replace the current composition with the emitted syllable
-          this.replaceComposition(field, prevCodepoint)
-        }
-        // Start new composition at the next position
-        this.compositionStart =
-          this.compositionStart >= 0
-            ? this.compositionStart + 1
-            : field.selectionStart
-        // Insert the new character
-        if (currentCodepoint !== 0) {
-          this.insertChar(field, currentCodepoint)
-          this.hasComposition = true
-        } else {
-          this.hasComposition = false
-          this.compositionStart = -1
-        }
-        break
-      default:
-        // Do nothing
-        break
+    let next = -1 // Where a new composition starts (-1 = at the cursor)
+
+    let literal = committed
+
+    if (committed !== '' && this.hasComposition) {
+      // The composer commits one syllable, optionally followed by a
+      // literal (3-Bulsik punctuation) that is inserted as plain text
+      const syllable = String.fromCodePoint(committed.codePointAt(0))
+      literal = committed.slice(syllable.length)
+      next = this.updateComposition(field, syllable) + syllable.length
+      this.endComposition(syllable)
+    }
+
+    if (literal !== '') {
+      next = this.insertCommitted(field, literal, next)
+    }
+
+    if (preedit !== '') {
+      if (!this.hasComposition) this.startComposition(field, next)
+      this.updateComposition(field, preedit)
+    } else if (this.hasComposition) {
+      // Last jamo removed: delete the preedit and end the composition
+      this.updateComposition(field, '')
+      this.endComposition('')
+    }
+
+    if (this.commitEachSyllable && this.hasComposition) {
+      const { compositionStart: start, compositionText: text } = this
+      this.endComposition(text)
+      this.session.committedSyllable = { field, start, text }
     }
 
     return true // Event was handled
@@ -382,15 +2975,25 @@ export class HangulIme {
 
   /**
    * Handle backspace key
-   * @param {HTMLInputElement|HTMLTextAreaElement} field - The input field
+   * @param {HTMLElement|TextTarget} field - The input field or text target
    * @returns {boolean} - true if event was handled (and should be prevented)
    */
   handleBackspace(field) {
-    if (!this.enabled) return false
+    if (!this.isEnabled(field)) return false
+
+    const before = this.stepStart(field)
+    this.activateField(field)
+    if (this.session.committedSyllable) {
+      // Committed text (commitEachSyllable) is deleted as it is, not reopened
+      this.session.committedSyllable = null
+      this.composer.reset()
+    }
+    this.syncComposition(field)
 
     if (this.debug) {
+      const target = this.getTarget(field)
       console.log(
-        `[HangulIme] Backspace: hasComposition=${this.hasComposition}, compositionStart=${this.compositionStart}, cursor=${field.selectionStart}, value="${field.value}"`,
+        `[HangulIme] Backspace: hasComposition=${this.hasComposition}, compositionStart=${this.compositionStart}, cursor=${target.getSelection().start}, value="${target.getText()}"`,
       )
     }
 
@@ -401,247 +3004,783 @@ export class HangulIme {
           `[HangulIme]   → No active composition, letting browser handle`,
         )
       }
+      this.recordStep(before, {
+        type: 'backspace',
+        action: ACTION_NO_CHANGE,
+        handled: false,
+      })
       return false
     }
 
-    const newCodepoint = this.wasm.wasm_ime_backspace(this.handle)
+    const result = this.composer.backspace()
 
-    if (this.debug) {
-      console.log(
-        `[HangulIme]   → WASM backspace returned: U+${newCodepoint.toString(16).toUpperCase().padStart(4, '0')} (${newCodepoint !== 0 ? String.fromCodePoint(newCodepoint) : 'empty'})`,
-      )
+    let handled = false
+    if (result.handled) {
+      // An empty preedit deletes the composition character
+      handled = this.handleResult(field, result)
+    } else {
+      this.endComposition(this.compositionText)
     }
 
-    if (newCodepoint !== 0) {
-      // Replace composition character with decomposed version
-      this.replaceComposition(field, newCodepoint)
+    this.recordStep(before, {
+      type: 'backspace',
+      action: result.action,
+      handled,
+    })
+    return handled
+  }
 
-      if (this.debug) {
-        console.log(
-          `[HangulIme]   → After replace: cursor=${field.selectionStart}, value="${field.value}"`,
-        )
-      }
+  /**
+   * Get the element that receives composition/input events for a field
+   * @returns {HTMLElement|null} - null for custom targets without an element
+   */
+  getEventElement(field) {
+    if (!this.events || !field) return null
+    const element = this.getTarget(field).element || field
+    return typeof element.dispatchEvent === 'function' ? element : null
+  }
 
-      return true
+  /**
+   * Get the element that receives beforeinput/input events for a field
+   * @returns {HTMLElement|null} - null as well when the edit goes through
+   *   execCommand, which fires the browser's own
+   */
+  getInputEventElement(field) {
+    const element = this.getEventElement(field)
+    if (!element || this.getTarget(field).editsNatively?.()) return null
+    return element
+  }
+
+  /**
+   * Begin a composition in a field
+   * @param {number} start - Where the preedit goes (-1 = at the cursor)
+   */
+  startComposition(field, start) {
+    this.hasComposition = true
+    this.compositionStart = start
+    this.compositionText = ''
+    this.compositionField = field
+
+    const element = this.getEventElement(field)
+    if (element) dispatchComposition(element, 'compositionstart', '')
+  }
+
+  /**
+   * Replace the preedit with new text (compositionupdate + input events)
+   * @returns {number} - Offset where the text was written
+   */
+  updateComposition(field, text) {
+    const element = this.getEventElement(field)
+    const inputElement = this.getInputEventElement(field)
+    const inputType =
+      text === '' ? 'deleteCompositionText' : 'insertCompositionText'
+
+    if (element) dispatchComposition(element, 'compositionupdate', text)
+    if (inputElement) {
+      dispatchInput(inputElement, 'beforeinput', inputType, text, true)
     }
 
-    // newCodepoint === 0: IME state is empty
-    // Delete the composition character and reset
-    if (this.debug) {
-      console.log(
-        `[HangulIme]   → IME empty, deleting composition at ${this.compositionStart}`,
-      )
+    const start = this.replaceComposition(field, text)
+    this.compositionStart = start
+    this.compositionText = text
+
+    if (this.overlay) {
+      if (text === '') {
+        this.overlay.hide()
+      } else {
+        this.overlay.show(this.getTarget(field), start, start + text.length)
+      }
     }
 
-    const pos = this.compositionStart
-    if (pos >= 0 && pos < field.value.length) {
-      field.value = field.value.slice(0, pos) + field.value.slice(pos + 1)
-      field.selectionStart = field.selectionEnd = pos
+    if (inputElement) {
+      dispatchInput(inputElement, 'input', inputType, text, true)
     }
 
+    return start
+  }
+
+  /**
+   * End the active composition, leaving its text in the field
+   * @param {string} data - Final composition text
+   */
+  endComposition(data) {
+    const element = this.getEventElement(this.compositionField)
+
     this.hasComposition = false
     this.compositionStart = -1
-    return true // We handled it by deleting the composition
+    this.compositionText = ''
+    this.compositionField = null
+    if (this.overlay) this.overlay.hide()
+
+    if (element) dispatchComposition(element, 'compositionend', data)
+  }
+
+  /**
+   * Insert finalized text outside a composition (insertText events)
+   * @param {number} [at] - Offset to insert at (-1 = at the cursor)
+   * @returns {number} - Offset just after the inserted text
+   */
+  insertCommitted(field, text, at = -1) {
+    const element = this.getInputEventElement(field)
+
+    if (
+      element &&
+      !dispatchInput(element, 'beforeinput', 'insertText', text, false)
+    ) {
+      return at // Prevented by a listener
+    }
+
+    let start = at
+    if (at >= 0) {
+      this.getTarget(field).replaceRange(at, at, text)
+    } else {
+      start = this.insertText(field, text)
+    }
+
+    if (element) dispatchInput(element, 'input', 'insertText', text, false)
+
+    return start + text.length
   }
 
   /**
-   * Replace the composition character at the tracked position
-   * Uses compositionStart to know exactly where to replace
+   * Replace the composition text at the tracked position
+   * Falls back to inserting at the cursor when there is no valid composition
+   * @returns {number} - Offset where the text was written
    */
-  replaceComposition(field, codepoint) {
-    const char = String.fromCodePoint(codepoint)
+  replaceComposition(field, text) {
+    const target = this.getTarget(field)
+    const value = target.getText()
     const pos = this.compositionStart
+    const end = pos + this.compositionText.length
 
     if (this.debug) {
       console.log(
-        `[HangulIme] replaceComposition: '${char}' at compositionStart=${pos}, value="${field.value}"`,
+        `[HangulIme] replaceComposition: '${text}' at compositionStart=${pos}, value="${value}"`,
       )
-      if (pos >= 0 && pos < field.value.length) {
-        console.log(
-          `[HangulIme]   → Replacing char at index ${pos}: '${field.value[pos]}'`,
-        )
-      }
     }
 
-    if (pos < 0 || pos >= field.value.length) {
-      // Invalid position, fall back to insert
-      if (this.debug) {
+    if (pos < 0 || end > value.length) {
+      // No (valid) composition, insert at the cursor
+      if (this.debug && pos >= 0) {
         console.log(`[HangulIme]   → Invalid position, falling back to insert`)
       }
-      this.compositionStart = field.selectionStart
-      this.insertChar(field, codepoint)
-      return
+      return this.insertText(field, text)
     }
 
-    // Replace character at compositionStart
-    field.value = field.value.slice(0, pos) + char + field.value.slice(pos + 1)
-
-    // Set cursor after the composition
-    field.selectionStart = field.selectionEnd = pos + 1
+    // Replace composition, cursor ends up after it
+    target.replaceRange(pos, end, text)
 
     if (this.debug) {
       console.log(
-        `[HangulIme]   → After replace: cursor=${field.selectionStart}, value="${field.value}"`,
+        `[HangulIme]   → After replace: cursor=${target.getSelection().start}, value="${target.getText()}"`,
       )
     }
+
+    return pos
   }
 
   /**
-   * Insert a character at the cursor position
+   * Insert text at the cursor position (replacing any selection)
+   * @returns {number} - Offset where the text was written
    */
-  insertChar(field, codepoint) {
-    const char = String.fromCodePoint(codepoint)
-    const start = field.selectionStart
-    const end = field.selectionEnd
+  insertText(field, text) {
+    const target = this.getTarget(field)
+    const { start, end } = target.getSelection()
 
     if (this.debug) {
       console.log(
-        `[HangulIme] insertChar: '${char}' at cursor=${start}, value="${field.value}"`,
+        `[HangulIme] insertText: '${text}' at cursor=${start}, value="${target.getText()}"`,
       )
     }
 
-    field.value = field.value.slice(0, start) + char + field.value.slice(end)
-
-    field.selectionStart = field.selectionEnd = start + char.length
+    target.replaceRange(start, end, text)
 
     if (this.debug) {
       console.log(
-        `[HangulIme]   → After insert: cursor=${field.selectionStart}, value="${field.value}"`,
+        `[HangulIme]   → After insert: cursor=${target.getSelection().start}, value="${target.getText()}"`,
       )
     }
+
+    return start
   }
 
   /**
-   * Replace the last character at the cursor position
+   * Get current IME state (for debugging)
    */
-  replaceLastChar(field, codepoint) {
-    const char = String.fromCodePoint(codepoint)
-    const start = field.selectionStart
-
-    if (this.debug) {
-      console.log(
-        `[HangulIme] replaceLastChar: '${char}' at cursor=${start}, value="${field.value}"`,
-      )
-      if (start > 0) {
-        console.log(
-          `[HangulIme]   → Replacing char at index ${start - 1}: '${field.value[start - 1]}'`,
-        )
-      }
-    }
+  getState() {
+    return this.composer.getState()
+  }
 
-    if (start === 0) {
-      // Nothing to replace, just insert
-      this.insertChar(field, codepoint)
-      return
+  /**
+   * Start recording a field's input, for bug reports (see stopRecording)
+   * Each key, backspace, commit and reset the IME handles in the field is
+   * kept with the layout, the composer's action code and the field's text,
+   * selection and preedit afterwards. Edits made outside the IME (keys
+   * left to the browser, paste, clicks) show up as the next step's
+   * `before` state. A recording in progress is discarded.
+   * @param {HTMLElement|TextTarget} field - The input field or text target
+   */
+  startRecording(field) {
+    const state = fieldState(this.getTarget(field))
+    this.recorder = {
+      field,
+      state, // Field state after the last step
+      recording: {
+        version: RECORDING_VERSION,
+        layout: this.getLayoutMode(field),
+        options: {
+          ...this.compositionOptions,
+          commitEachSyllable: this.commitEachSyllable,
+        },
+        ...state,
+        steps: [],
+      },
     }
+  }
 
-    field.value =
-      field.value.slice(0, start - 1) + char + field.value.slice(start)
+  /**
+   * Stop recording
+   * @returns {object|null} - The recording (plain JSON data for HangulIme.replay), or null if not recording
+   */
+  stopRecording() {
+    const recording = this.recorder ? this.recorder.recording : null
+    this.recorder = null
+    return recording
+  }
 
-    field.selectionStart = field.selectionEnd = start
+  /**
+   * Field state before a step, if the field is being recorded
+   * @param {HTMLElement|TextTarget} [field] - Field of the step (default: the active one)
+   * @returns {{text: string, selection: number[]}|null}
+   */
+  stepStart(field = null) {
+    const recorder = this.recorder
+    if (!recorder) return null
+    const recorded = field
+      ? field === recorder.field
+      : this.session === this.sessions.get(recorder.field)
+    return recorded ? fieldState(this.getTarget(recorder.field)) : null
+  }
 
-    if (this.debug) {
-      console.log(
-        `[HangulIme]   → After replace: cursor=${field.selectionStart}, value="${field.value}"`,
-      )
-    }
+  /**
+   * Add a step to the recording
+   * @param {{text: string, selection: number[]}|null} before - From stepStart (null: not recorded)
+   * @param {object} step - What the IME saw and did
+   */
+  recordStep(before, step) {
+    if (!before || !this.recorder) return
+    const { field, state, recording } = this.recorder
+    const after = fieldState(this.getTarget(field))
+    recording.steps.push({
+      ...step,
+      layout: this.getLayoutMode(field),
+      // Changed outside the IME since the last step
+      ...(sameFieldState(before, state) ? {} : { before }),
+      ...after,
+      preedit: this.compositionText,
+    })
+    this.recorder.state = after
   }
 
   /**
-   * Get current IME state (for debugging)
+   * Replay a recording in a headless IME
+   * The IME types into an in-memory field, which is set to each step's
+   * `before` state first. The result is recorded the same way, so a
+   * bug report's trace can be compared step by step with its replay.
+   * @param {WebAssembly.WebAssemblyInstantiatedSource} wasmModule - Loaded hangul.wasm
+   * @param {object} recording - From stopRecording (or its JSON, parsed)
+   * @returns {object} - The replay's own recording
    */
-  getState() {
-    const stateBuffer = this.wasm.wasm_alloc(6)
-    this.wasm.wasm_ime_getState(this.handle, stateBuffer)
+  static replay(wasmModule, recording) {
+    if (!recording || recording.version !== RECORDING_VERSION) {
+      throw new Error(`Unsupported recording version: ${recording?.version}`)
+    }
 
-    const view = new Uint8Array(this.memory.buffer, stateBuffer, 6)
-    const state = {
-      initial: view[0],
-      initial_flag: view[1],
-      medial: view[2],
-      medial_flag: view[3],
-      final: view[4],
-      final_flag: view[5],
+    const ime = new HangulIme(wasmModule, {
+      ...recording.options,
+      layout: recording.layout,
+      events: false,
+    })
+    const [start, end] = recording.selection
+    const target = new MemoryTextTarget(recording.text, start, end)
+    ime.enable()
+    ime.startRecording(target)
+
+    try {
+      for (const step of recording.steps) {
+        if (step.before) target.set(step.before.text, ...step.before.selection)
+        if (ime.getLayoutMode(target) !== step.layout) {
+          ime.setLayoutMode(step.layout)
+        }
+
+        if (step.type === 'key') {
+          const { key, code, shiftKey } = step
+          ime.handleKeyPress({ key, code, shiftKey }, target)
+        } else if (step.type === 'backspace') {
+          ime.handleBackspace(target)
+        } else if (step.type === 'commit') {
+          ime.commit(target)
+        } else if (step.type === 'reset') {
+          ime.activateField(target)
+          ime.reset()
+        } else {
+          throw new Error(`Unknown recording step: ${step.type}`)
+        }
+      }
+      return ime.stopRecording()
+    } finally {
+      ime.destroy()
     }
+  }
+}
+
+// US QWERTY characters (unshifted, shifted) for each physical key; the
+// jamo layouts are defined on these, whatever the OS layout is
+const CODE_KEYS = {
+  Backquote: ['`', '~'],
+  Minus: ['-', '_'],
+  Equal: ['=', '+'],
+  BracketLeft: ['[', '{'],
+  BracketRight: [']', '}'],
+  Backslash: ['\\', '|'],
+  Semicolon: [';', ':'],
+  Quote: ["'", '"'],
+  Comma: [',', '<'],
+  Period: ['.', '>'],
+  Slash: ['/', '?'],
+  Space: [' ', ' '],
+}
+for (const letter of 'abcdefghijklmnopqrstuvwxyz') {
+  CODE_KEYS[`Key${letter.toUpperCase()}`] = [letter, letter.toUpperCase()]
+}
+for (const [digit, shifted] of Array.from(')!@#$%^&*(').entries()) {
+  CODE_KEYS[`Digit${digit}`] = [String(digit), shifted]
+}
+
+/**
+ * Resolve the layout key for a keyboard event
+ * Uses the physical key (event.code) and Shift, ignoring Caps Lock, so
+ * Caps+r still types ㄱ and non-QWERTY OS layouts type the same jamo.
+ * Events without a known code (synthetic events, numpad, old browsers)
+ * fall back to event.key.
+ * @param {{key?: string, code?: string, shiftKey?: boolean}} event - Keyboard event
+ * @returns {string|null} - Single character, or null for non-printable keys
+ */
+export function keyFromEvent(event) {
+  const keys = CODE_KEYS[event.code]
+  if (!keys) {
+    return typeof event.key === 'string' && event.key.length === 1
+      ? event.key
+      : null
+  }
+
+  // Synthetic events may report a shifted key without shiftKey; trust that
+  // unless Caps Lock is what produced it
+  const capsLock =
+    typeof event.getModifierState === 'function' &&
+    event.getModifierState('CapsLock')
+  const shifted = event.shiftKey || (!capsLock && event.key === keys[1])
+  return shifted ? keys[1] : keys[0]
+}
+
+// Hotkey name aliases accepted by parseHotkey
+const HOTKEY_ALIASES = {
+  Control: 'Ctrl',
+  Cmd: 'Meta',
+  Hangul: 'HangulMode',
+  RightAlt: 'AltRight',
+}
+
+/**
+ * Parse a hotkey description such as 'Shift+Space', 'Ctrl+Space',
+ * 'AltRight' (Right Alt) or 'HangulMode' (the Hangul/한영 key)
+ * @param {string} spec - Modifiers and one key joined with '+'
+ * @returns {{ctrl: boolean, shift: boolean, alt: boolean, meta: boolean, key: string}}
+ */
+export function parseHotkey(spec) {
+  const hotkey = { ctrl: false, shift: false, alt: false, meta: false, key: '' }
+  for (const raw of spec.split('+')) {
+    const part = HOTKEY_ALIASES[raw.trim()] || raw.trim()
+    if (part === 'Ctrl') hotkey.ctrl = true
+    else if (part === 'Shift') hotkey.shift = true
+    else if (part === 'Alt') hotkey.alt = true
+    else if (part === 'Meta') hotkey.meta = true
+    else hotkey.key = part
+  }
+  return hotkey
+}
+
+/**
+ * Check a keydown event against a parsed hotkey
+ * The key may name either event.code ('Space', 'KeyK') or event.key.
+ */
+function matchesHotkey(event, hotkey) {
+  // Right Alt doubles as the Hangul key on many Korean keyboards; it may
+  // report AltGraph modifiers, so only the physical key is compared
+  if (hotkey.key === 'AltRight') return event.code === 'AltRight'
+  if (hotkey.key === 'HangulMode') {
+    return event.key === 'HangulMode' || event.code === 'Lang1'
+  }
+
+  return (
+    (event.code === hotkey.key || event.key === hotkey.key) &&
+    event.ctrlKey === hotkey.ctrl &&
+    event.shiftKey === hotkey.shift &&
+    event.altKey === hotkey.alt &&
+    event.metaKey === hotkey.meta
+  )
+}
+
+/**
+ * Create the keyboard/focus listeners that drive an IME
+ * @param {HangulIme} ime - The IME instance
+ * @param {(node: EventTarget) => HTMLElement|null} fieldOf - Resolve the field for an event target
+ * @param {Object} [options]
+ * @param {string|string[]} [options.toggleKey] - Hotkey(s) that flip Korean/English
+ */
+function createListeners(ime, fieldOf, options = {}) {
+  const toggleKeys = [].concat(options.toggleKey || []).map(parseHotkey)
+  // Set when keydown already passed on a printable key or Backspace, so
+  // neither the deprecated keypress event (kept as a fallback) nor the
+  // beforeinput it leads to feeds it again; cleared on keyup and input
+  let keydownSeen = false
+
+  return {
+    keydown(e) {
+      const field = fieldOf(e.target)
+      if (!field) return
+      keydownSeen = false
+
+      if (toggleKeys.some((hotkey) => matchesHotkey(e, hotkey))) {
+        e.preventDefault()
+        ime.toggle(field)
+        return
+      }
+
+      if (e.key === 'Backspace') {
+        if (ime.handleBackspace(field)) {
+          e.preventDefault()
+        } else {
+          keydownSeen = true
+        }
+      } else if (e.key === ' ') {
+        // Space finalizes current composition and resets IME
+        // Let the browser handle the actual space insertion naturally
+        if (ime.isEnabled(field) && ime.isComposing(field)) {
+          if (ime.debug) {
+            console.log(
+              '[HangulIme] Space key detected, finalizing composition',
+            )
+          }
+          ime.commit(field)
+          // Don't preventDefault - let browser insert space naturally
+        }
+      } else if (
+        e.key === 'ArrowLeft' ||
+        e.key === 'ArrowRight' ||
+        e.key === 'ArrowUp' ||
+        e.key === 'ArrowDown' ||
+        e.key === 'Home' ||
+        e.key === 'End'
+      ) {
+        // Reset IME on cursor movement
+        ime.commit(field)
+      } else if (keyFromEvent(e) !== null) {
+        if (ime.handleKeyPress(e, field)) {
+          // Also suppresses keypress and the browser's own insertion
+          e.preventDefault()
+        } else {
+          keydownSeen = true
+        }
+      }
+    },
+
+    keypress(e) {
+      const field = fieldOf(e.target)
+      if (!field || keydownSeen) return
+
+      if (ime.handleKeyPress(e, field)) {
+        e.preventDefault()
+      }
+    },
+
+    keyup() {
+      keydownSeen = false
+    },
+
+    // Soft keyboards send no usable keydown/keypress, only beforeinput;
+    // desktop keys handled above were prevented and never get here, and
+    // those keydown passed on are the browser's to insert or delete
+    beforeinput(e) {
+      if (nativeEditing || ownInputEvents.has(e)) return
+      const field = fieldOf(e.target)
+      if (!field) return
+      if (
+        keydownSeen &&
+        (e.inputType === 'insertText' ||
+          e.inputType === 'deleteContentBackward')
+      ) {
+        return
+      }
+
+      if (e.cancelable && e.inputType === 'insertText') {
+        if (ime.handleTextInput(field, e.data)) {
+          e.preventDefault()
+        }
+      } else if (e.cancelable && e.inputType === 'deleteContentBackward') {
+        if (ime.handleBackspace(field)) {
+          e.preventDefault()
+        }
+      } else if (ime.isComposing(field)) {
+        // Any other edit (paste, Enter, OS IME text) ends the composition
+        ime.commit(field)
+      }
+    },
+
+    input() {
+      keydownSeen = false
+    },
+
+    // Reset on mouse click (cursor position change)
+    mousedown(e) {
+      const field = fieldOf(e.target)
+      if (field) {
+        setTimeout(() => ime.commit(field), 0)
+      }
+    },
+
+    // Commit composition on blur (focus loss)
+    focusout(e) {
+      const field = fieldOf(e.target)
+      if (field) {
+        if (ime.isEnabled(field) && ime.isComposing(field)) {
+          if (ime.debug) {
+            console.log('[HangulIme] Focus lost, committing composition')
+          }
+          // Commit finalizes the current syllable and resets state
+          ime.commit(field)
+        }
+      }
+    },
+  }
+}
 
-    this.wasm.wasm_free(stateBuffer, 6)
-    return state
+/**
+ * Attach listeners to an event target
+ * @returns {() => void} - Removes the listeners again
+ */
+function listen(target, listeners) {
+  for (const [type, listener] of Object.entries(listeners)) {
+    target.addEventListener(type, listener)
+  }
+  return () => {
+    for (const [type, listener] of Object.entries(listeners)) {
+      target.removeEventListener(type, listener)
+    }
   }
 }
 
+/**
+ * Drive an existing IME from a single field
+ * Used by the framework adapters (hangul-react.js, hangul-vue.js); events
+ * from nested nodes of a contenteditable host resolve to the host. A text
+ * target is driven by the events of its `element`.
+ * @param {HangulIme} ime - The IME instance
+ * @param {HTMLElement|TextTarget} field - Input, textarea, contenteditable host, or text target with an element
+ * @param {Object} [options]
+ * @param {string|string[]} [options.toggleKey] - Hotkey(s) that flip Korean/English
+ * @returns {() => void} - Detach function
+ */
+export function attachIme(ime, field, options = {}) {
+  return listen(
+    field.element ?? field,
+    createListeners(ime, () => field, options),
+  )
+}
+
 /**
  * Setup IME on input fields
  * @param {WebAssembly.Module} wasmModule - The loaded WASM module
- * @param {string} fieldSelector - CSS selector for input fields (default: 'input[type="text"], textarea')
+ * @param {string} fieldSelector - CSS selector for input fields (default: text inputs, textareas and contenteditable hosts)
+ * @param {Object} [options] - HangulIme options (e.g. preedit overlay, modeScope, setValue for framework adapters), plus:
+ * @param {string|string[]} [options.toggleKey] - Hotkey(s) that flip Korean/English
+ *   in the focused field, e.g. 'Shift+Space', 'Ctrl+Space', 'AltRight', 'HangulMode'
  * @returns {HangulIme} - The IME instance
  */
 export function setupIme(
   wasmModule,
-  fieldSelector = 'input[type="text"], textarea',
+  fieldSelector = DEFAULT_FIELD_SELECTOR,
+  options = {},
 ) {
-  const ime = new HangulIme(wasmModule)
+  const ime = new HangulIme(wasmModule, options)
 
-  // Handle keyboard events on all matching fields
-  document.addEventListener('keydown', (e) => {
-    const field = e.target
-    if (!field.matches(fieldSelector)) return
+  // Resolve the field for an event target
+  // closest() lets clicks on nested inline nodes reach their contenteditable host
+  const fieldOf = (node) =>
+    typeof node.closest === 'function' ? node.closest(fieldSelector) : null
 
-    if (e.key === 'Backspace') {
-      if (ime.handleBackspace(field)) {
-        e.preventDefault()
-      }
-    } else if (e.key === ' ') {
-      // Space finalizes current composition and resets IME
-      // Let the browser handle the actual space insertion naturally
-      if (ime.isEnabled() && ime.hasComposition) {
-        if (ime.debug) {
-          console.log('[HangulIme] Space key detected, finalizing composition')
-        }
-        ime.reset()
-        // Don't preventDefault - let browser insert space naturally
-      }
-    } else if (
-      e.key === 'ArrowLeft' ||
-      e.key === 'ArrowRight' ||
-      e.key === 'ArrowUp' ||
-      e.key === 'ArrowDown' ||
-      e.key === 'Home' ||
-      e.key === 'End'
-    ) {
-      // Reset IME on cursor movement
-      ime.reset()
-    }
-  })
+  // Handle keyboard and focus events on all matching fields (event delegation)
+  listen(document, createListeners(ime, fieldOf, options))
+
+  return ime
+}
+
+// Kept out of bundlers' static analysis; only loaded for file: URLs
+const FS_MODULE = 'node:fs/promises'
+
+// Instantiated modules by source: URL strings in a Map, bytes, compiled
+// modules and responses in a WeakMap, the bundled hangul.wasm under null
+const wasmCache = new Map()
+const wasmObjectCache = new WeakMap()
+const hangulCache = new WeakMap()
 
-  document.addEventListener('keypress', (e) => {
-    const field = e.target
-    if (!field.matches(fieldSelector)) return
+/**
+ * Read a local file (Node, Bun, Deno)
+ * @param {URL|string} path - file: URL or filesystem path
+ * @returns {Promise<Uint8Array>}
+ */
+async function readWasmFile(path) {
+  if (globalThis.Deno) return globalThis.Deno.readFile(path)
+  const fs = await import(FS_MODULE)
+  return fs.readFile(path)
+}
 
-    if (ime.handleKeyPress(e, field)) {
-      e.preventDefault()
+/**
+ * Instantiate from a fetch Response, streaming when the server sends application/wasm
+ */
+async function instantiateResponse(response) {
+  if (!response.ok) {
+    throw new Error(
+      `Failed to load hangul.wasm (${response.status} ${response.statusText})`,
+    )
+  }
+  if (typeof WebAssembly.instantiateStreaming === 'function') {
+    try {
+      return await WebAssembly.instantiateStreaming(response.clone(), {})
+    } catch (error) {
+      // Servers with the wrong MIME type still work via arrayBuffer()
+      if (response.headers.get('Content-Type') === 'application/wasm') {
+        throw error
+      }
     }
-  })
+  }
+  return WebAssembly.instantiate(await response.arrayBuffer(), {})
+}
 
-  // Reset on mouse click (cursor position change)
-  document.addEventListener('mousedown', (e) => {
-    if (e.target.matches(fieldSelector)) {
-      setTimeout(() => ime.reset(), 0)
+/**
+ * Fetch or read hangul.wasm from a location and instantiate it
+ * Absolute URLs are fetched (file: URLs read from disk); relative paths
+ * resolve against the page in browsers and workers, and are file paths
+ * in Node, Bun and Deno.
+ */
+async function instantiateLocation(location) {
+  let url = location instanceof URL ? location : null
+  if (!url) {
+    try {
+      url = new URL(location)
+    } catch {
+      const base = globalThis.location?.href
+      if (!base)
+        return WebAssembly.instantiate(await readWasmFile(location), {})
+      url = new URL(location, base)
     }
-  })
+  }
 
-  // Commit composition on blur (focus loss)
-  // Use focusout with event delegation to catch all matching fields
-  document.addEventListener('focusout', (e) => {
-    if (e.target.matches(fieldSelector)) {
-      if (ime.isEnabled() && ime.hasComposition) {
-        if (ime.debug) {
-          console.log('[HangulIme] Focus lost, committing composition')
-        }
-        // Commit finalizes the current syllable and resets state
-        ime.commit(e.target)
-      }
+  if (url.protocol === 'file:') {
+    return WebAssembly.instantiate(await readWasmFile(url), {})
+  }
+  return instantiateResponse(await fetch(url))
+}
+
+/**
+ * Instantiate hangul.wasm from any supported source
+ * @returns {Promise<{instance: WebAssembly.Instance, module: WebAssembly.Module}>}
+ */
+async function instantiateWasm(source) {
+  if (source instanceof WebAssembly.Module) {
+    // Precompiled module (e.g. a Cloudflare Workers wasm import)
+    return {
+      instance: await WebAssembly.instantiate(source, {}),
+      module: source,
     }
-  })
+  }
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+    return WebAssembly.instantiate(source, {})
+  }
+  if (typeof Response !== 'undefined' && source instanceof Response) {
+    return instantiateResponse(source)
+  }
+  return instantiateLocation(source)
+}
 
-  return ime
+/**
+ * Location of the hangul.wasm shipped next to this module (the package's
+ * `hangul-wasm/wasm` export)
+ */
+function defaultWasmUrl() {
+  try {
+    return new URL('./hangul.wasm', import.meta.url)
+  } catch {
+    throw new Error(
+      'Cannot locate hangul.wasm from this bundle; pass its URL, bytes or a compiled WebAssembly.Module to init()',
+    )
+  }
+}
+
+/**
+ * Find and instantiate hangul.wasm in browsers, Node, Bun, Deno and workers
+ * The result is cached per source, so every caller shares one instance.
+ * It is what HangulIme, HangulComposer, Hangul and setupIme expect.
+ * @param {string|URL|Response|Promise<Response>|ArrayBuffer|ArrayBufferView|WebAssembly.Module} [source]
+ *   Where to load from (default: hangul.wasm next to hangul-ime.js)
+ * @returns {Promise<{instance: WebAssembly.Instance, module: WebAssembly.Module}>}
+ */
+export async function init(source) {
+  const resolved = await source // Accepts fetch('...') directly
+  const key =
+    resolved === undefined
+      ? null
+      : resolved instanceof URL
+        ? resolved.href
+        : resolved
+
+  const cache =
+    typeof key === 'object' && key !== null ? wasmObjectCache : wasmCache
+  let pending = cache.get(key)
+  if (!pending) {
+    pending = instantiateWasm(key === null ? defaultWasmUrl() : resolved)
+    cache.set(key, pending)
+    // A failed load can be retried
+    pending.catch(() => cache.delete(key))
+  }
+  return pending
+}
+
+/**
+ * Load hangul.wasm and return ready-to-use objects
+ * @example
+ * const { hangul, setupIme } = await loadHangul()
+ * hangul.decompose('한')
+ * setupIme('textarea', { toggleKey: 'Shift+Space' })
+ * @param {string|URL|Response|Promise<Response>|ArrayBuffer|ArrayBufferView|WebAssembly.Module} [source] - See init()
+ * @returns {Promise<{wasmModule: Object, hangul: Hangul, createIme: (options?: Object) => HangulIme, setupIme: (fieldSelector?: string, options?: Object) => HangulIme}>}
+ */
+export async function loadHangul(source) {
+  const wasmModule = await init(source)
+
+  // One Hangul per instance: each holds a scratch buffer in WASM memory
+  let hangul = hangulCache.get(wasmModule)
+  if (!hangul || hangul.scratch === 0) {
+    hangul = new Hangul(wasmModule)
+    hangulCache.set(wasmModule, hangul)
+  }
+
+  return {
+    wasmModule,
+    hangul,
+    josa: (...args) => hangul.josa(...args),
+    createIme: (options) => new HangulIme(wasmModule, options),
+    setupIme: (fieldSelector, options) =>
+      setupIme(wasmModule, fieldSelector, options),
+  }
 }
@@ -0,0 +1,35 @@
+/**
+ * hangul-wasm/node - Node.js streams for Hangul text
+ * TypeScript type definitions
+ */
+
+import type { Transform } from 'node:stream';
+import type { ComposeStringOptions, DecomposeStringOptions, Hangul } from './hangul-ime';
+
+/**
+ * Node Transform stream that decomposes Hangul syllables into jamo
+ * Writes Buffers or strings; UTF-8 sequences cut between chunks are carried over.
+ *
+ * @example
+ * ```typescript
+ * const { hangul } = await loadHangul();
+ * await pipeline(
+ *   fs.createReadStream('book.txt'),
+ *   createDecomposeStream(hangul),
+ *   fs.createWriteStream('book.jamo.txt'),
+ * );
+ * ```
+ */
+export declare function createDecomposeStream(
+  hangul: Hangul,
+  options?: DecomposeStringOptions
+): Transform;
+
+/**
+ * Node Transform stream that composes jamo back into syllables
+ * Jamo at the end of a chunk wait for the next one.
+ */
+export declare function createComposeStream(
+  hangul: Hangul,
+  options?: ComposeStringOptions
+): Transform;
@@ -0,0 +1,59 @@
+/**
+ * hangul-node - Node.js streams for Hangul text
+ * Optional entry point: `import { createDecomposeStream } from 'hangul-wasm/node'`
+ *
+ * Transform streams over StreamDecomposer/StreamComposer, for files and
+ * sockets too large for one decomposeString call. Input chunks may be
+ * Buffers or strings; UTF-8 sequences cut between chunks are carried over.
+ */
+
+import { Transform } from 'node:stream'
+import { StreamComposer, StreamDecomposer } from './hangul-ime.js'
+
+/**
+ * Node Transform stream that decomposes Hangul syllables into jamo
+ * @param {import('./hangul-ime.js').Hangul} hangul - String API from loadHangul()
+ * @param {{form?: 'compatibility'|'conjoining'|'nfd', split?: 'none'|'compound'|'all'}} [options] - See Hangul.decomposeString
+ * @returns {Transform} - Writes Buffers or strings, reads UTF-8 Buffers
+ *
+ * @example
+ * const { hangul } = await loadHangul()
+ * await pipeline(
+ *   fs.createReadStream('book.txt'),
+ *   createDecomposeStream(hangul),
+ *   fs.createWriteStream('book.jamo.txt'),
+ * )
+ */
+export function createDecomposeStream(hangul, options) {
+  return transformOf(new StreamDecomposer(hangul, options))
+}
+
+/**
+ * Node Transform stream that composes jamo back into syllables
+ * @param {import('./hangul-ime.js').Hangul} hangul - String API from loadHangul()
+ * @param {{split?: 'none'|'compound'|'all'}} [options] - See Hangul.composeString
+ * @returns {Transform} - Writes Buffers or strings, reads UTF-8 Buffers
+ */
+export function createComposeStream(hangul, options) {
+  return transformOf(new StreamComposer(hangul, options))
+}
+
+function transformOf(stream) {
+  return new Transform({
+    decodeStrings: false,
+    transform(chunk, _encoding, callback) {
+      try {
+        callback(null, stream.write(chunk) || undefined)
+      } catch (error) {
+        callback(error)
+      }
+    },
+    flush(callback) {
+      try {
+        callback(null, stream.end() || undefined)
+      } catch (error) {
+        callback(error)
+      }
+    },
+  })
+}
@@ -0,0 +1,41 @@
+/**
+ * hangul-wasm/react - React hook for HangulIme
+ * TypeScript type definitions
+ */
+
+import type { HangulIme, HangulImeOptions, HangulWasmModule } from './hangul-ime';
+
+/**
+ * Options for useHangulIme
+ */
+export interface UseHangulImeOptions extends HangulImeOptions {
+  /** Korean input on/off (default: true) */
+  enabled?: boolean;
+}
+
+/**
+ * Value returned by useHangulIme
+ */
+export interface UseHangulImeResult {
+  /** Callback ref for the input, textarea or contenteditable element */
+  ref: (element: HTMLElement | null) => void;
+  /** The IME instance (null until the WASM module is available) */
+  ime: HangulIme | null;
+}
+
+/**
+ * Create a HangulIme for one field; works with controlled inputs
+ * 
+ * @param wasmModule - Loaded hangul.wasm (null while loading)
+ * @param options - HangulIme options plus `enabled`; `layout` may change between renders
+ * 
+ * @example
+ * ```tsx
+ * const { ref } = useHangulIme(wasmModule, { layout: '2bulsik' });
+ * return <input ref={ref} value={text} onChange={(e) => setText(e.target.value)} />;
+ * ```
+ */
+export declare function useHangulIme(
+  wasmModule: HangulWasmModule | null,
+  options?: UseHangulImeOptions
+): UseHangulImeResult;
@@ -0,0 +1,65 @@
+/**
+ * hangul-react - React hook for HangulIme
+ * Optional entry point: `import { useHangulIme } from 'hangul-wasm/react'`
+ *
+ * Works with controlled inputs: values are written through the native
+ * setter and announced with `input` events, so `onChange` keeps React
+ * state in sync instead of reverting the Hangul on the next render.
+ */
+
+import { useEffect, useRef, useState } from 'react'
+import { attachIme, HangulIme } from './hangul-ime.js'
+
+/**
+ * Create a HangulIme for one field
+ * @param {WebAssembly.WebAssemblyInstantiatedSource|null} wasmModule - Loaded hangul.wasm (null while loading)
+ * @param {Object} [options] - HangulIme options, plus:
+ * @param {boolean} [options.enabled=true] - Korean input on/off
+ * @param {string} [options.layout] - Keyboard layout name
+ * @returns {{ref: (element: HTMLElement|null) => void, ime: HangulIme|null}}
+ *   Pass `ref` to the input, textarea or contenteditable element
+ *
+ * @example
+ * const { ref } = useHangulIme(wasmModule)
+ * return <input ref={ref} value={text} onChange={(e) => setText(e.target.value)} />
+ */
+export function useHangulIme(wasmModule, options = {}) {
+  const { enabled = true, layout, ...imeOptions } = options
+  const [ime, setIme] = useState(null)
+  const [element, setElement] = useState(null)
+
+  // Constructor options are read once, when the IME is created
+  const optionsRef = useRef(imeOptions)
+
+  useEffect(() => {
+    if (!wasmModule) return undefined
+
+    const instance = new HangulIme(wasmModule, optionsRef.current)
+    setIme(instance)
+
+    return () => {
+      instance.destroy()
+      setIme(null)
+    }
+  }, [wasmModule])
+
+  useEffect(() => {
+    if (ime && layout) ime.setLayoutMode(layout)
+  }, [ime, layout])
+
+  useEffect(() => {
+    if (!ime) return
+    if (enabled) {
+      ime.enable()
+    } else {
+      ime.disable()
+    }
+  }, [ime, enabled])
+
+  useEffect(() => {
+    if (!ime || !element) return undefined
+    return attachIme(ime, element)
+  }, [ime, element])
+
+  return { ref: setElement, ime }
+}
@@ -0,0 +1,39 @@
+/**
+ * hangul-wasm/vue - Vue 3 directive for HangulIme
+ * TypeScript type definitions
+ */
+
+import type { HangulImeOptions, HangulWasmModule, LayoutMode } from './hangul-ime';
+
+/**
+ * Directive binding used by v-hangul
+ * `value` toggles Korean input (default: on), `arg` selects the layout
+ */
+export interface HangulDirectiveBinding {
+  value?: boolean;
+  arg?: LayoutMode | string;
+}
+
+/**
+ * Vue directive hooks (structurally compatible with Vue's ObjectDirective)
+ */
+export interface HangulDirective {
+  mounted(el: HTMLElement, binding: HangulDirectiveBinding): void;
+  updated(el: HTMLElement, binding: HangulDirectiveBinding): void;
+  beforeUnmount(el: HTMLElement): void;
+}
+
+/**
+ * Create a `v-hangul` directive bound to a loaded WASM module
+ * 
+ * @example
+ * ```typescript
+ * app.directive('hangul', createHangulDirective(wasmModule));
+ * // <input v-model="text" v-hangul="korean">
+ * // <textarea v-model="text" v-hangul:3bulsik></textarea>
+ * ```
+ */
+export declare function createHangulDirective(
+  wasmModule: HangulWasmModule,
+  options?: HangulImeOptions
+): HangulDirective;
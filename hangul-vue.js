@@ -0,0 +1,61 @@
+/**
+ * hangul-vue - Vue 3 directive for HangulIme
+ * Optional entry point: `import { createHangulDirective } from 'hangul-wasm/vue'`
+ *
+ * Works alongside v-model: HangulIme dispatches composition and `input`
+ * events like a native IME, so v-model updates when each syllable is
+ * finalized (compositionend), exactly as it does for the OS Korean IME.
+ */
+
+import { attachIme, HangulIme } from './hangul-ime.js'
+
+/**
+ * Create a `v-hangul` directive bound to a loaded WASM module
+ * Binding value toggles Korean input (default on); the argument selects the layout.
+ * @param {WebAssembly.WebAssemblyInstantiatedSource} wasmModule - Loaded hangul.wasm
+ * @param {Object} [options] - HangulIme options shared by every field
+ * @returns {Object} - Vue directive (mounted/updated/beforeUnmount hooks)
+ *
+ * @example
+ * app.directive('hangul', createHangulDirective(wasmModule))
+ * // <input v-model="text" v-hangul="korean">
+ * // <textarea v-model="text" v-hangul:3bulsik></textarea>
+ */
+export function createHangulDirective(wasmModule, options = {}) {
+  const bindings = new WeakMap() // element → { ime, detach }
+
+  const apply = (ime, binding) => {
+    if (binding.arg && binding.arg !== ime.getLayoutMode()) {
+      ime.setLayoutMode(binding.arg)
+    }
+    const enabled = binding.value !== false
+    if (enabled !== ime.isEnabled()) {
+      if (enabled) {
+        ime.enable()
+      } else {
+        ime.disable()
+      }
+    }
+  }
+
+  return {
+    mounted(el, binding) {
+      const ime = new HangulIme(wasmModule, options)
+      bindings.set(el, { ime, detach: attachIme(ime, el) })
+      apply(ime, binding)
+    },
+
+    updated(el, binding) {
+      const state = bindings.get(el)
+      if (state) apply(state.ime, binding)
+    },
+
+    beforeUnmount(el) {
+      const state = bindings.get(el)
+      if (!state) return
+      state.detach()
+      state.ime.destroy()
+      bindings.delete(el)
+    },
+  }
+}
@@ -1,5 +1,7 @@
 const std = @import("std");
 const ime = @import("ime.zig");
+const romanize = @import("romanize.zig");
+const jamo_forms = @import("jamo.zig");
 
 // Hangul Unicode constants
 const HANGUL_SYLLABLE_BASE: u32 = 0xAC00;
@@ -33,8 +35,8 @@ pub const COMPAT_MEDIAL = [_]u32{
 pub const COMPAT_FINAL = [_]u32{
     0x0000, 0x3131, 0x3132, 0x3133, 0x3134, 0x3135, 0x3136, 0x3137,
     0x3139, 0x313A, 0x313B, 0x313C, 0x313D, 0x313E, 0x313F, 0x3140,
-    0x3141, 0x3142, 0x3144, 0x3145, 0x3146, 0x3147, 0x3148, 0x3149,
-    0x314A, 0x314B, 0x314C, 0x314D, 0x314E,
+    0x3141, 0x3142, 0x3144, 0x3145, 0x3146, 0x3147, 0x3148, 0x314A,
+    0x314B, 0x314C, 0x314D, 0x314E,
 };
 
 // Reverse lookup tables for O(1) compose() - generated at comptime
@@ -368,10 +370,11 @@ export fn wasm_compose(initial: u32, medial: u32, final: u32) u32 {
 ///
 /// Writes initial, medial, final to output buffer (3 × u32 = 12 bytes).
 /// Caller MUST allocate at least 12 bytes at output_ptr.
+/// form: 0 = compatibility jamo, 1 = conjoining, 2 = NFD (same as 1 here)
 /// Returns true on success, false if not a valid Hangul syllable.
-export fn wasm_decompose(syllable: u32, output_ptr: u32) bool {
-    const jamo = decompose(syllable);
-    if (jamo) |j| {
+export fn wasm_decompose(syllable: u32, output_ptr: u32, form: u32) bool {
+    const decomposed = jamo_forms.decomposeAs(syllable, toForm(form));
+    if (decomposed) |j| {
         // Cast offset to pointer into WASM linear memory
         const output: [*]u32 = @ptrFromInt(output_ptr);
         output[0] = j.initial;
@@ -432,78 +435,62 @@ export fn wasm_decompose_safe(syllable: u32, output_ptr: u32, output_size: u32)
 
 /// Compose array of jamo codepoints back into Hangul syllables
 /// This is the inverse of decompose - takes jamo and produces syllables
-/// Non-jamo codepoints pass through unchanged
+/// Accepts compatibility, conjoining and NFD jamo, archaic ones included
+/// (see jamo.zig). Non-jamo codepoints pass through unchanged
 /// Returns the number of output codepoints written
 fn composeString(input: [*]const u32, input_len: usize, output: [*]u32) u32 {
-    var out_idx: u32 = 0;
-    var i: usize = 0;
-
-    while (i < input_len) {
-        const c = input[i];
-
-        // Check if this is a consonant that could start a syllable
-        if (isConsonant(c)) {
-            // Look ahead for vowel
-            if (i + 1 < input_len and isVowel(input[i + 1])) {
-                const initial = c;
-                const medial = input[i + 1];
-
-                // Check for final consonant
-                var final: u32 = 0;
-                var consumed: usize = 2;
-
-                if (i + 2 < input_len and isConsonant(input[i + 2])) {
-                    // Check if next char after potential final is a vowel
-                    // If so, the consonant belongs to the next syllable
-                    if (i + 3 < input_len and isVowel(input[i + 3])) {
-                        // Consonant starts next syllable, no final for current
-                        final = 0;
-                        consumed = 2;
-                    } else {
-                        // Consonant is final of current syllable
-                        final = input[i + 2];
-                        consumed = 3;
-                    }
-                }
-
-                // Compose the syllable
-                if (compose(initial, medial, final)) |syllable| {
-                    output[out_idx] = syllable;
-                    out_idx += 1;
-                    i += consumed;
-                    continue;
-                }
-            }
-        }
+    return jamo_forms.composeString(input[0..input_len], output);
+}
 
-        // Pass through non-composable characters
-        output[out_idx] = c;
-        out_idx += 1;
-        i += 1;
-    }
+/// Decomposition form from its wasm number; unknown numbers mean compatibility
+fn toForm(form: u32) jamo_forms.Form {
+    return std.meta.intToEnum(jamo_forms.Form, form) catch .compatibility;
+}
 
-    return out_idx;
+/// WASM export: Whether composition never joins across the point before c.
+///
+/// prev and next are the code points around c (0 at either end of the text).
+/// Callers composing long text in chunks cut it at such points.
+export fn wasm_isComposeBoundary(prev: u32, c: u32, next: u32) bool {
+    return jamo_forms.isComposeBoundary(prev, c, next);
 }
 
 /// WASM export: Compose jamo array back into Hangul syllables.
 ///
-/// Takes an array of jamo code points and combines them into syllables.
-/// Non-jamo characters pass through unchanged.
+/// Takes an array of jamo code points (any form) and combines them into
+/// syllables. Non-jamo characters pass through unchanged.
+/// split: the wasm_decomposeString split the jamo came from; compound jamo
+/// are put back together first (0 = none, 1 = compound, 2 = all)
 /// Returns the number of output code points written.
-export fn wasm_composeString(input_ptr: u32, input_len: u32, output_ptr: u32) u32 {
+export fn wasm_composeString(input_ptr: u32, input_len: u32, output_ptr: u32, split: u32) u32 {
     const input: [*]const u32 = @ptrFromInt(input_ptr);
     const output: [*]u32 = @ptrFromInt(output_ptr);
-    return composeString(input, input_len, output);
+    const jamo_split = std.meta.intToEnum(jamo_forms.Split, split) catch .none;
+    if (jamo_split == .none) return composeString(input, input_len, output);
+
+    // Joining only shrinks the text, so it can be composed in place
+    const joined = jamo_forms.joinJamo(input[0..input_len], jamo_split, output);
+    return composeString(output, joined, output);
 }
 
 /// WASM export: Decompose UTF-8 string into jamo code points.
 ///
 /// Reads UTF-8 bytes and decomposes Hangul syllables into jamo.
-/// Non-Hangul characters pass through unchanged.
+/// form: 0 = compatibility jamo, 1 = conjoining jamo (compatibility jamo in
+/// the text are converted too), 2 = NFD (only syllables change)
+/// split (compatibility form only): 0 = none, 1 = compound vowels and
+/// finals (ㄺ → ㄹㄱ, ㅘ → ㅗㅏ), 2 = also double consonants (ㄲ → ㄱㄱ);
+/// jamo already in the text are split too, up to 6 code points per syllable
+/// Other characters pass through unchanged.
 /// Returns the number of output code points written.
-export fn wasm_decomposeString(input_ptr: u32, input_len: u32, output_ptr: u32) u32 {
+export fn wasm_decomposeString(input_ptr: u32, input_len: u32, output_ptr: u32, form: u32, split: u32) u32 {
     const input: [*]const u8 = @ptrFromInt(input_ptr);
     const output: [*]u32 = @ptrFromInt(output_ptr);
+    const jamo_form = toForm(form);
+    const jamo_split = if (jamo_form == .compatibility)
+        std.meta.intToEnum(jamo_forms.Split, split) catch .none
+    else
+        .none;
     var out_idx: u32 = 0;
     var i: u32 = 0;
 
@@ -512,20 +499,17 @@ export fn wasm_decomposeString(input_ptr: u32, input_len: u32, output_ptr: u32)
         if (c.char == 0) break;
 
         if (isHangulSyllable(c.char)) {
-            const jamo = decompose(c.char);
-            if (jamo) |j| {
-                output[out_idx] = j.initial;
-                out_idx += 1;
-                output[out_idx] = j.medial;
-                out_idx += 1;
+            const decomposed = jamo_forms.decomposeAs(c.char, jamo_form);
+            if (decomposed) |j| {
+                out_idx += jamo_forms.splitJamo(j.initial, jamo_split, output + out_idx);
+                out_idx += jamo_forms.splitJamo(j.medial, jamo_split, output + out_idx);
                 if (j.final != 0) {
-                    output[out_idx] = j.final;
-                    out_idx += 1;
+                    out_idx += jamo_forms.splitJamo(j.final, jamo_split, output + out_idx);
                 }
             }
         } else {
-            output[out_idx] = c.char;
-            out_idx += 1;
+            const converted = jamo_forms.convertJamo(c.char, jamo_form);
+            out_idx += jamo_forms.splitJamo(converted, jamo_split, output + out_idx);
         }
 
         i += c.len;
@@ -539,7 +523,7 @@ export fn wasm_decomposeString(input_ptr: u32, input_len: u32, output_ptr: u32)
 // ============================================================================
 
 /// Result of decoding a single UTF-8 character.
-const Utf8Char = struct {
+pub const Utf8Char = struct {
     /// Decoded Unicode code point (0 if invalid/incomplete).
     char: u32,
     /// Number of bytes consumed (0 if invalid/incomplete).
@@ -550,7 +534,7 @@ const Utf8Char = struct {
 ///
 /// Handles 1-4 byte sequences per UTF-8 spec.
 /// Returns {char=0, len=0} for invalid or incomplete sequences.
-fn decodeUtf8Char(bytes: [*]const u8, start: u32, max_len: u32) Utf8Char {
+pub fn decodeUtf8Char(bytes: [*]const u8, start: u32, max_len: u32) Utf8Char {
     if (start >= max_len) return .{ .char = 0, .len = 0 };
 
     const first = bytes[start];
@@ -705,6 +689,7 @@ export fn wasm_ime_reset(handle: u32) void {
 /// @param handle: IME instance pointer
 /// @param jamo_index: ohi.js jamo index (1-51)
 /// @param result_ptr: Pointer to output buffer (12 bytes = 3 × u32)
+/// @param options: ime.Options bits (2=auto-reorder, 4=no double finals, 8=no doubles by typing an initial twice)
 /// @returns true if key was handled
 ///
 /// Output buffer format (3 × u32):
@@ -715,17 +700,14 @@ export fn wasm_ime_processKey(
     handle: u32,
     jamo_index: i8,
     result_ptr: u32,
+    options: u32,
 ) bool {
     if (handle == 0 or result_ptr == 0) return false;
 
     const state: *ime.ImeState = @ptrFromInt(handle);
     const output: [*]u32 = @ptrFromInt(result_ptr);
 
-    // Determine if consonant or vowel based on ohi.js index range
-    const result = if (jamo_index < 31)
-        ime.processConsonant2Bulsik(state, jamo_index)
-    else
-        ime.processVowel2Bulsik(state, jamo_index);
+    const result = ime.processKey2Bulsik(state, jamo_index, @bitCast(options));
 
     // Write result to output buffer
     output[0] = @intFromEnum(result.action);
@@ -737,10 +719,16 @@ export fn wasm_ime_processKey(
 
 /// Process backspace
 /// @param handle: IME instance pointer
+/// @param options: ime.Options bits (16=delete the whole syllable)
 /// @returns Updated codepoint (0 if state is now empty)
-export fn wasm_ime_backspace(handle: u32) u32 {
+export fn wasm_ime_backspace(handle: u32, options: u32) u32 {
     if (handle == 0) return 0;
     const state: *ime.ImeState = @ptrFromInt(handle);
+    const opts: ime.Options = @bitCast(options);
+    if (opts.backspace_syllable) {
+        state.reset();
+        return 0;
+    }
     return ime.processBackspace(state) orelse 0;
 }
 
@@ -763,6 +751,8 @@ export fn wasm_ime_getState(handle: u32, output_ptr: u32) void {
 
 /// Commit current composition
 /// Finalizes the current syllable and resets the IME state
+/// A moachigi composition with a stray final (see ImeState.strayFinal)
+/// commits as two jamo: call again until it returns 0
 /// @param handle: IME instance pointer
 /// @returns The codepoint of the finalized syllable (0 if empty)
 export fn wasm_ime_commit(handle: u32) u32 {
@@ -772,8 +762,14 @@ export fn wasm_ime_commit(handle: u32) u32 {
     // Get current codepoint before reset
     const codepoint = state.toCodepoint();
 
-    // Reset state for next composition
+    // Reset state for next composition, keeping a stray final for the next call
+    const final = if (state.strayFinal() != 0) state.final else 0;
+    const final_flag = state.final_flag;
     state.reset();
+    if (final != 0) {
+        state.final = final;
+        state.final_flag = final_flag;
+    }
 
     return codepoint;
 }
@@ -781,18 +777,23 @@ export fn wasm_ime_commit(handle: u32) u32 {
 /// Process keystroke in 3-Bulsik layout
 /// @param handle: IME instance pointer
 /// @param ascii: ASCII keycode (33-126)
-/// @param result_ptr: Pointer to output buffer (16 bytes = 4 × u32)
+/// @param result_ptr: Pointer to output buffer (20 bytes = 5 × u32)
+/// @param layout: 0=Sebeolsik Final (default), 1=Sebeolsik 390
+/// @param options: ime.Options bits (1=moachigi; 4 and 8 as in wasm_ime_processKey)
 /// @returns true if key was handled as Hangul
 ///
-/// Output buffer format (4 × u32):
+/// Output buffer format (5 × u32, all written on every call):
 /// [0] action: 0=no_change, 1=replace, 2=emit_and_new, 3=literal
 /// [1] prev_codepoint: Previous character (if action=emit_and_new)
 /// [2] current_codepoint: Current character
 /// [3] literal_codepoint: Literal character to insert (if action=literal)
+/// [4] stray_codepoint: Jamo emitted right after prev_codepoint (moachigi only, else 0)
 export fn wasm_ime_processKey3(
     handle: u32,
     ascii: u8,
     result_ptr: u32,
+    layout: u32,
+    options: u32,
 ) bool {
     if (handle == 0 or result_ptr == 0) return false;
 
@@ -800,54 +801,141 @@ export fn wasm_ime_processKey3(
     const output: [*]u32 = @ptrFromInt(result_ptr);
 
     // Map ASCII to 3-Bulsik token
-    const token = ime.mapKeycode3Bulsik(ascii);
+    const token = ime.mapKeycode3(toLayout3(layout), ascii);
     if (token == null) {
         // Invalid ASCII range
         output[0] = 0; // no_change
         output[1] = 0;
         output[2] = 0;
         output[3] = 0;
+        output[4] = 0;
         return false;
     }
 
-    switch (token.?) {
-        .cho => |idx| {
-            const result = ime.processCho3Bulsik(state, idx);
-            output[0] = @intFromEnum(result.action);
-            output[1] = result.prev_codepoint;
-            output[2] = result.current_codepoint;
-            output[3] = 0;
-        },
-        .jung => |idx| {
-            const result = ime.processJung3Bulsik(state, idx);
-            output[0] = @intFromEnum(result.action);
-            output[1] = result.prev_codepoint;
-            output[2] = result.current_codepoint;
-            output[3] = 0;
-        },
-        .jong => |idx| {
-            const result = ime.processJong3Bulsik(state, idx);
-            output[0] = @intFromEnum(result.action);
-            output[1] = result.prev_codepoint;
-            output[2] = result.current_codepoint;
-            output[3] = 0;
-        },
+    processToken3(state, token.?, output, @bitCast(options));
+    return true;
+}
+
+/// Process a 3-Bulsik jamo or literal directly, for layouts defined in JS
+/// @param handle: IME instance pointer
+/// @param position: 0=initial (cho), 1=medial (jung), 2=final (jong), 3=literal
+/// @param value: ohi.js jamo index (1-51), or the literal's codepoint
+/// @param result_ptr: Pointer to output buffer (20 bytes = 5 × u32), as in
+/// wasm_ime_processKey3
+/// @param options: ime.Options bits, as in wasm_ime_processKey3
+/// @returns false for an invalid position or jamo index
+export fn wasm_ime_processJamo3(
+    handle: u32,
+    position: u32,
+    value: u32,
+    result_ptr: u32,
+    options: u32,
+) bool {
+    if (handle == 0 or result_ptr == 0) return false;
+    const token = toK3Token(position, value) orelse return false;
+    const valid = switch (token) {
+        .cho, .jong => |index| index >= 1 and index <= 30,
+        .jung => |index| index >= OHI_VOWEL_BASE and index <= 51,
+        .other => true,
+    };
+    if (!valid) return false;
+
+    processToken3(@ptrFromInt(handle), token, @ptrFromInt(result_ptr), @bitCast(options));
+    return true;
+}
+
+/// Run a 3-Bulsik token and fill all 5 words of the output buffer
+fn processToken3(state: *ime.ImeState, token: ime.K3Token, output: [*]u32, options: ime.Options) void {
+    const result = switch (token) {
+        .cho, .jung, .jong => ime.processJamo3Bulsik(state, token, options),
         .other => |cp| {
             // Literal character - commit current composition if any
             if (!state.isEmpty()) {
                 output[0] = 2; // emit_and_new
                 output[1] = state.toCodepoint();
+                output[4] = if (options.moachigi) state.strayFinal() else 0;
                 state.reset();
             } else {
                 output[0] = 3; // literal (custom action)
                 output[1] = 0;
+                output[4] = 0;
             }
             output[2] = 0;
             output[3] = cp; // The literal character to insert
+            return;
         },
-    }
+    };
+    output[0] = @intFromEnum(result.action);
+    output[1] = result.prev_codepoint;
+    output[2] = result.current_codepoint;
+    output[3] = 0;
+    output[4] = result.stray_codepoint;
+}
+
+/// 3-Bulsik token from a wasm (position, value) pair
+fn toK3Token(position: u32, value: u32) ?ime.K3Token {
+    if (position < 3 and value > 0xFF) return null;
+    return switch (position) {
+        0 => .{ .cho = @truncate(value) },
+        1 => .{ .jung = @truncate(value) },
+        2 => .{ .jong = @truncate(value) },
+        3 => .{ .other = value },
+        else => null,
+    };
+}
 
-    return true;
+fn toLayout3(layout: u32) ime.Layout3 {
+    return std.meta.intToEnum(ime.Layout3, layout) catch .final;
+}
+
+/// Find the 3-Bulsik key that types a jamo or an ASCII literal
+/// @param position: 0=initial (cho), 1=medial (jung), 2=final (jong), 3=literal
+/// @param value: ohi.js jamo index (1-51), or the literal's codepoint
+/// @param layout: 0=Sebeolsik Final (default), 1=Sebeolsik 390
+/// @returns ASCII keycode, or 0 if no key produces it
+export fn wasm_ime_keyFor3(position: u32, value: u32, layout: u32) u32 {
+    const token = toK3Token(position, value) orelse return 0;
+    return ime.keyFor3Bulsik(toLayout3(layout), token) orelse 0;
+}
+
+/// Split a double jamo into the two jamo typed to build it
+/// (ㄲ → ㄱ+ㄱ, ㅘ → ㅗ+ㅏ, ㄶ → ㄴ+ㅎ)
+/// @param position: 0=initial, 1=medial, 2=final
+/// @param jamo_index: ohi.js jamo index (1-51)
+/// @returns (first << 8) | second as ohi.js indices, or 0 if not a double
+export fn wasm_ime_splitJamo(position: u32, jamo_index: u8) u32 {
+    if (position > @intFromEnum(ime.DoubleJamoType.final)) return 0;
+    const pair = ime.splitDoubleJamo(@enumFromInt(position), jamo_index);
+    return (@as(u32, pair.base) << 8) | pair.second;
+}
+
+// ============================================================================
+// WASM Exports - Romanization
+// ============================================================================
+
+/// WASM export: Romanize a UTF-8 string into UTF-8 Latin text.
+///
+/// system: 0 = Revised Romanization, 1 = McCune–Reischauer,
+/// 2 = letter-by-letter transliteration (reversible)
+/// Non-Hangul characters pass through unchanged.
+/// Returns the number of bytes written, or 0xFFFFFFFF if output_len is too small.
+export fn wasm_romanize(input_ptr: u32, input_len: u32, output_ptr: u32, output_len: u32, system: u32) u32 {
+    if (system > @intFromEnum(romanize.System.transliteration)) return 0;
+    const input: [*]const u8 = @ptrFromInt(input_ptr);
+    const output: [*]u8 = @ptrFromInt(output_ptr);
+    const written = romanize.romanize(input[0..input_len], @enumFromInt(system), output[0..output_len]);
+    return if (written) |len| @intCast(len) else 0xFFFFFFFF;
+}
+
+/// WASM export: Convert transliterated text back into Hangul code points.
+///
+/// Reverses wasm_romanize with system 2. Text that does not spell a
+/// syllable passes through unchanged.
+/// Returns the number of output code points written (at most input_len).
+export fn wasm_detransliterate(input_ptr: u32, input_len: u32, output_ptr: u32) u32 {
+    const input: [*]const u8 = @ptrFromInt(input_ptr);
+    const output: [*]u32 = @ptrFromInt(output_ptr);
+    return romanize.detransliterate(input[0..input_len], output);
 }
 
 // ============================================================================
@@ -872,6 +960,19 @@ test "decompose hangul" {
     }
 }
 
+test "decompose finals after ㅈ" {
+    // ㅉ is never a final, so ㅊ-ㅎ follow ㅈ directly
+    try std.testing.expectEqual(@as(u32, 0x314A), decompose(0xAF43).?.final); // 꽃 → ㅊ
+    try std.testing.expectEqual(@as(u32, 0x314D), decompose(0xC9DA).?.final); // 짚 → ㅍ
+    try std.testing.expectEqual(@as(u32, 0x314E), decompose(0xC88B).?.final); // 좋 → ㅎ
+}
+
+test "compose rejects ㅉ as a final" {
+    try std.testing.expect(compose(0x3148, 0x314F, 0x3149) == null); // ㅈ + ㅏ + ㅉ
+    try std.testing.expectEqual(@as(u32, 0xC7A7), compose(0x3148, 0x314F, 0x314A).?); // 잧
+    try std.testing.expectEqual(@as(u32, 0xC7AB), compose(0x3148, 0x314F, 0x314E).?); // 잫
+}
+
 test "decompose last syllable (힣)" {
     const hit = decompose(0xD7A3); // 힣 - last syllable
     try std.testing.expect(hit != null);
@@ -1013,6 +1114,29 @@ test "UTF-8 decoding invalid continuation byte" {
     try std.testing.expectEqual(@as(u32, 0), c.len);
 }
 
+test "processToken3 writes the stray word without moachigi" {
+    var state = ime.ImeState.init();
+    var output = [_]u32{0xFFFF} ** 5; // Left over from an earlier call
+    const layout = toLayout3(0);
+
+    // ㅎ ㅏ ㄱ (m f k): 하 is emitted when ㄱ starts the next syllable
+    for ("mfk") |key| processToken3(&state, ime.mapKeycode3(layout, key).?, &output, .{});
+    try std.testing.expectEqual(@as(u32, 2), output[0]);
+    try std.testing.expectEqual(@as(u32, 0xD558), output[1]); // 하
+    try std.testing.expectEqual(@as(u32, 0), output[4]);
+
+    // A literal commits the composition
+    @memset(&output, 0xFFFF);
+    processToken3(&state, .{ .other = '.' }, &output, .{});
+    try std.testing.expectEqual(@as(u32, 2), output[0]);
+    try std.testing.expectEqual(@as(u32, 0), output[4]);
+
+    @memset(&output, 0xFFFF);
+    processToken3(&state, .{ .other = '.' }, &output, .{});
+    try std.testing.expectEqual(@as(u32, 3), output[0]);
+    try std.testing.expectEqual(@as(u32, 0), output[4]);
+}
+
 test "composeString: jamo array to syllables" {
     // Test composing jamo back into syllables
     // 한글 decomposed: ㅎ ㅏ ㄴ ㄱ ㅡ ㄹ
@@ -18,6 +18,9 @@ const compose = hangul.compose;
 // Based on ohi.js by Ho-Seok Ee
 // ============================================================================
 
+/// final_flag of a double final typed in reverse (ㅅ+ㄱ → ㄳ, see reorder2Bulsik)
+pub const FINAL_REORDERED: u8 = 2;
+
 /// IME composition state - tracks in-progress syllable assembly
 /// Maps to ohi.js _q array: [initial, initial_flag, medial, medial_flag, final, final_flag]
 pub const ImeState = struct {
@@ -26,7 +29,7 @@ pub const ImeState = struct {
     medial: i8, // 중성 index (0-21), -1 for special states
     medial_flag: u8, // 0 or 1
     final: i8, // 종성 index (0-28, 0=no final), -1 for special states
-    final_flag: u8, // 0 or 1
+    final_flag: u8, // 0, 1, or FINAL_REORDERED
 
     pub fn init() ImeState {
         return .{
@@ -69,6 +72,36 @@ pub const ImeState = struct {
 
         return 0;
     }
+
+    /// Final that toCodepoint leaves out: a moachigi composition can hold
+    /// a final before the initial or vowel it needs to form a syllable
+    /// Returns the final as a single jamo, or 0 if there is none
+    pub fn strayFinal(self: ImeState) u32 {
+        const syllable = self.initial > 0 and self.medial > 0;
+        if (self.final > 0 and !syllable and (self.initial > 0 or self.medial > 0)) {
+            return ohiIndexToSingleJamo(self.final);
+        }
+        return 0;
+    }
+};
+
+/// Optional composition behaviour, passed to the wasm_ime_process* and
+/// wasm_ime_backspace exports as a bit set (bit 0 = moachigi, bit 1 =
+/// auto_reorder, bit 2 = no_double_finals, bit 3 = no_repeat_doubles,
+/// bit 4 = backspace_syllable)
+pub const Options = packed struct(u32) {
+    /// 3-Bulsik: jamo typed together build one syllable in any order
+    moachigi: bool = false,
+    /// 2-Bulsik: combine double vowels and finals typed in reverse
+    /// (ㅏ+ㅗ → ㅘ, ㅅ+ㄱ → ㄳ)
+    auto_reorder: bool = false,
+    /// Never combine two finals (ㄱ+ㅅ starts a new syllable instead of ㄳ)
+    no_double_finals: bool = false,
+    /// Don't double an initial typed twice (ㄱ+ㄱ stays ㄱㄱ, not ㄲ)
+    no_repeat_doubles: bool = false,
+    /// Backspace deletes the whole composition instead of its last jamo
+    backspace_syllable: bool = false,
+    _padding: u27 = 0,
 };
 
 /// Result from keystroke processing
@@ -76,6 +109,7 @@ pub const KeyResult = struct {
     action: Action,
     prev_codepoint: u32, // Emit this first (if action=emit_and_new)
     current_codepoint: u32, // Then emit/replace with this
+    stray_codepoint: u32 = 0, // Emitted right after prev_codepoint (see ImeState.strayFinal)
 
     pub const Action = enum { no_change, replace, emit_and_new };
 };
@@ -139,6 +173,110 @@ pub fn mapKeycode3Bulsik(ascii: u8) ?K3Token {
     }
 }
 
+/// 3-Bulsik layouts, numbered as the `layout` argument of
+/// wasm_ime_processKey3 and wasm_ime_keyFor3
+pub const Layout3 = enum(u32) {
+    /// Sebeolsik Final (최종), the ohi.js table above
+    final = 0,
+    /// Sebeolsik 390
+    @"390" = 1,
+};
+
+/// Sebeolsik 390's shifted keys: a few compound finals and ㅒ, digits laid
+/// out like a numpad on UIO/JKL/M<>, and the punctuation their unshifted
+/// jamo keys displaced. Unshifted keys are the same as Final; any other
+/// key types its own character.
+const LAYOUT_390_SHIFTED = [_]struct { u8, K3Token }{
+    .{ '!', .{ .jong = 24 } }, // ㅈ
+    .{ 'A', .{ .jong = 7 } }, // ㄷ
+    .{ 'C', .{ .jong = 11 } }, // ㄻ
+    .{ 'D', .{ .jong = 10 } }, // ㄺ
+    .{ 'E', .{ .jong = 27 } }, // ㅋ
+    .{ 'F', .{ .jong = 2 } }, // ㄲ
+    .{ 'Q', .{ .jong = 29 } }, // ㅍ
+    .{ 'R', .{ .jung = 34 } }, // ㅒ
+    .{ 'S', .{ .jong = 6 } }, // ㄶ
+    .{ 'V', .{ .jong = 16 } }, // ㅀ
+    .{ 'W', .{ .jong = 28 } }, // ㅌ
+    .{ 'X', .{ .jong = 20 } }, // ㅄ
+    .{ 'Z', .{ .jong = 26 } }, // ㅊ
+    .{ 'B', .{ .other = '!' } },
+    .{ 'G', .{ .other = '/' } },
+    .{ 'H', .{ .other = '\'' } },
+    .{ 'T', .{ .other = ';' } },
+    .{ 'P', .{ .other = '>' } },
+    .{ 'Y', .{ .other = '<' } },
+    .{ 'M', .{ .other = '1' } },
+    .{ '<', .{ .other = '2' } },
+    .{ '>', .{ .other = '3' } },
+    .{ 'J', .{ .other = '4' } },
+    .{ 'K', .{ .other = '5' } },
+    .{ 'L', .{ .other = '6' } },
+    .{ 'U', .{ .other = '7' } },
+    .{ 'I', .{ .other = '8' } },
+    .{ 'O', .{ .other = '9' } },
+    .{ 'N', .{ .other = '0' } },
+};
+
+/// Token of every key (ASCII 33-126) in each Layout3
+const LAYOUT_3_TOKENS = blk: {
+    var tables: [std.meta.fields(Layout3).len][94]K3Token = undefined;
+    for (33..127) |ascii| {
+        const token = mapKeycode3Bulsik(ascii).?;
+        tables[@intFromEnum(Layout3.final)][ascii - 33] = token;
+
+        const unshifted = std.ascii.isLower(ascii) or std.ascii.isDigit(ascii) or
+            std.mem.indexOfScalar(u8, ";'/", ascii) != null;
+        tables[@intFromEnum(Layout3.@"390")][ascii - 33] =
+            if (unshifted) token else .{ .other = ascii };
+    }
+    for (LAYOUT_390_SHIFTED) |change| {
+        tables[@intFromEnum(Layout3.@"390")][change[0] - 33] = change[1];
+    }
+    break :blk tables;
+};
+
+/// Map ASCII keycode to a token of any 3-Bulsik layout
+pub fn mapKeycode3(layout: Layout3, ascii: u8) ?K3Token {
+    if (ascii < 33 or ascii > 126) return null;
+    return LAYOUT_3_TOKENS[@intFromEnum(layout)][ascii - 33];
+}
+
+/// Reverse of LAYOUT_3_TOKENS: the key that types each cho/jung/jong
+/// (indexed by [layout][K3TokenTag][ohi index]) and each ASCII literal
+/// (row 3), 0 = no key. Lowercase keys are taken first, so a jamo found on
+/// two keys (ㅗ on 'v' and '/') gets the letter.
+const KEYS_3BULSIK = blk: {
+    var tables = [_][4][128]u8{[_][128]u8{[_]u8{0} ** 128} ** 4} ** LAYOUT_3_TOKENS.len;
+    for (&tables, LAYOUT_3_TOKENS) |*table, tokens| {
+        for ([_][2]u8{ .{ 'a', 'z' }, .{ 33, 126 } }) |range| {
+            for (range[0]..range[1] + 1) |ascii| {
+                const token = tokens[ascii - 33];
+                const value: u32 = switch (token) {
+                    .other => |cp| cp,
+                    inline else => |index| index,
+                };
+                if (value >= 128) continue;
+                const slot = &table[@intFromEnum(token)][value];
+                if (slot.* == 0) slot.* = ascii;
+            }
+        }
+    }
+    break :blk tables;
+};
+
+/// Find the key that produces a token in a 3-Bulsik layout (reverse of
+/// mapKeycode3). Returns the ASCII keycode, or null if no key produces it
+pub fn keyFor3Bulsik(layout: Layout3, token: K3Token) ?u8 {
+    const value: u32 = switch (token) {
+        .other => |cp| cp,
+        inline else => |index| index,
+    };
+    if (value >= 128) return null;
+    const key = KEYS_3BULSIK[@intFromEnum(layout)][@intFromEnum(token)][value];
+    return if (key != 0) key else null;
+}
+
 // ============================================================================
 // 2-Bulsik (Dubeolsik) Keyboard Layout
 // ============================================================================
@@ -214,9 +352,12 @@ const DOUBLE_FINAL_MAPS = [_]DoubleFinalMap{
     .{ .base = 18, .targets = &[_]u8{21}, .results = &[_]u8{20} }, // ㅂ+ㅅ(21)=ㅄ (final[18])
 };
 
+/// Two ohi indices that combine into a double jamo
+pub const JamoPair = struct { base: u8, second: u8 };
+
 /// Split a double final consonant back into its two components
 /// Returns (base, target) ohi indices, or (0, 0) if not a double final
-pub fn splitDoubleFinal(double_final: u8) struct { base: u8, second: u8 } {
+pub fn splitDoubleFinal(double_final: u8) JamoPair {
     for (DOUBLE_FINAL_MAPS) |map| {
         for (map.targets, 0..) |target, i| {
             if (double_final == map.results[i]) {
@@ -227,6 +368,32 @@ pub fn splitDoubleFinal(double_final: u8) struct { base: u8, second: u8 } {
     return .{ .base = 0, .second = 0 };
 }
 
+/// Split any double jamo back into the two jamo detectDoubleJamo combines
+/// Returns (0, 0) if the jamo is not a double of the given type
+pub fn splitDoubleJamo(jamo_type: DoubleJamoType, double: u8) JamoPair {
+    return switch (jamo_type) {
+        .initial => blk: {
+            for (DOUBLE_INITIAL_RESULT, 0..) |result, i| {
+                if (double == result) {
+                    break :blk .{ .base = DOUBLE_INITIAL_SINGLES[i], .second = DOUBLE_INITIAL_SINGLES[i] };
+                }
+            }
+            break :blk .{ .base = 0, .second = 0 };
+        },
+        .medial => blk: {
+            for (DOUBLE_MEDIAL_MAPS) |map| {
+                for (map.targets, 0..) |target, i| {
+                    if (double == map.results[i]) {
+                        break :blk .{ .base = map.base, .second = target };
+                    }
+                }
+            }
+            break :blk .{ .base = 0, .second = 0 };
+        },
+        .final => splitDoubleFinal(double),
+    };
+}
+
 /// Detect if current + incoming jamo can form double jamo
 /// Returns new compound index or 0 if cannot combine
 pub fn detectDoubleJamo(jamo_type: DoubleJamoType, current: u8, incoming: u8) u8 {
@@ -266,6 +433,100 @@ pub fn detectDoubleJamo(jamo_type: DoubleJamoType, current: u8, incoming: u8) u8
     };
 }
 
+/// Emit the current composition and start a new one from a single jamo
+fn emitAndStart(state: *ImeState, jamo: struct { initial: i8 = 0, medial: i8 = 0, final: i8 = 0 }) KeyResult {
+    const prev = state.toCodepoint();
+    const stray = state.strayFinal();
+    state.reset();
+    state.initial = jamo.initial;
+    state.medial = jamo.medial;
+    state.final = jamo.final;
+    return .{
+        .action = .emit_and_new,
+        .prev_codepoint = prev,
+        .current_codepoint = state.toCodepoint(),
+        .stray_codepoint = stray,
+    };
+}
+
+/// Replace the composition with its updated state
+fn replaced(state: *ImeState) KeyResult {
+    return .{
+        .action = .replace,
+        .prev_codepoint = 0,
+        .current_codepoint = state.toCodepoint(),
+    };
+}
+
+/// Double jamo of two jamo typed in either order (ㅏ+ㅗ → ㅘ), or 0
+fn detectDoubleJamoAnyOrder(jamo_type: DoubleJamoType, current: u8, incoming: u8) u8 {
+    const double_idx = detectDoubleJamo(jamo_type, current, incoming);
+    return if (double_idx != 0) double_idx else detectDoubleJamo(jamo_type, incoming, current);
+}
+
+/// Whether options forbid the double a consonant would form with the
+/// composition (no_repeat_doubles for initials, no_double_finals for finals)
+fn isForbiddenDouble(state: *const ImeState, jamo_type: DoubleJamoType, jamo_index: u8, options: Options) bool {
+    return switch (jamo_type) {
+        .initial => options.no_repeat_doubles and
+            state.initial > 0 and state.medial == 0 and state.final == 0 and
+            detectDoubleJamo(.initial, @intCast(state.initial), jamo_index) != 0,
+        .final => options.no_double_finals and
+            state.final > 0 and state.final_flag == 0 and
+            detectDoubleJamoAnyOrder(.final, @intCast(state.final), jamo_index) != 0,
+        .medial => false,
+    };
+}
+
+/// Process a 2-Bulsik keystroke (consonant or vowel jamo index)
+pub fn processKey2Bulsik(state: *ImeState, jamo_index: i8, options: Options) KeyResult {
+    if (jamo_index > 0 and jamo_index < OHI_VOWEL_BASE) {
+        const jamo_u8: u8 = @intCast(jamo_index);
+        if (isForbiddenDouble(state, .initial, jamo_u8, options) or
+            (state.medial > 0 and isForbiddenDouble(state, .final, jamo_u8, options)))
+        {
+            return emitAndStart(state, .{ .initial = jamo_index });
+        }
+    }
+    if (options.auto_reorder) {
+        if (reorder2Bulsik(state, jamo_index)) |result| return result;
+    }
+    return if (jamo_index < OHI_VOWEL_BASE)
+        processConsonant2Bulsik(state, jamo_index)
+    else
+        processVowel2Bulsik(state, jamo_index);
+}
+
+/// Auto-reorder: a vowel or final that only combines with the previous one
+/// the other way round forms that double (ㅏ+ㅗ → ㅘ, ㅅ+ㄱ → ㄳ)
+/// A reordered final is marked FINAL_REORDERED, so a following vowel splits
+/// it back in the order it was typed (갓+ㄱ+ㅣ → 갓기, not 각시)
+/// Returns null when the key is in order
+fn reorder2Bulsik(state: *ImeState, jamo_index: i8) ?KeyResult {
+    const jamo_u8: u8 = @intCast(jamo_index);
+    if (state.initial <= 0 or state.medial <= 0) return null;
+
+    if (jamo_index < OHI_VOWEL_BASE) {
+        if (state.final <= 0 or state.final_flag != 0) return null;
+        const current: u8 = @intCast(state.final);
+        if (detectDoubleJamo(.final, current, jamo_u8) != 0) return null;
+        const double_idx = detectDoubleJamo(.final, jamo_u8, current);
+        if (double_idx == 0) return null;
+        state.final = @intCast(double_idx);
+        state.final_flag = FINAL_REORDERED;
+        return replaced(state);
+    }
+
+    if (state.final != 0 or state.medial_flag != 0) return null;
+    const current: u8 = @intCast(state.medial);
+    if (detectDoubleJamo(.medial, current, jamo_u8) != 0) return null;
+    const double_idx = detectDoubleJamo(.medial, jamo_u8, current);
+    if (double_idx == 0) return null;
+    state.medial = @intCast(double_idx);
+    state.medial_flag = 1;
+    return replaced(state);
+}
+
 /// Process consonant keystroke in 2-Bulsik mode
 /// Based on ohi.js Hangul2() lines 152-176
 pub fn processConsonant2Bulsik(state: *ImeState, jamo_index: i8) KeyResult {
@@ -293,10 +554,10 @@ pub fn processConsonant2Bulsik(state: *ImeState, jamo_index: i8) KeyResult {
         should_emit = true;
     }
 
-    // If we already have a double final (final_flag == 1), we must emit current syllable
+    // If we already have a double final (final_flag != 0), we must emit current syllable
     // and start new. Cannot add more consonants to a double final.
     // This fixes: "않" + ㄴ → should emit "않" and start "ㄴ", not incorrectly split.
-    if (state.medial > 0 and state.final > 0 and state.final_flag == 1) {
+    if (state.medial > 0 and state.final > 0 and state.final_flag != 0) {
         should_emit = true;
     }
 
@@ -374,8 +635,9 @@ pub fn processVowel2Bulsik(state: *ImeState, jamo_index: i8) KeyResult {
             result.current_codepoint = state.toCodepoint();
             return result;
         }
-        // Cannot double
-        state.medial = -1;
+        // Cannot double: emit the syllable as is, the vowel starts a new one
+        // (구 + ㅏ → 구ㅏ; marking the medial -1 dropped ㅜ and emitted ㄱ)
+        return emitAndStart(state, .{ .medial = jamo_index });
     }
 
     // Scenario 2: Syllable splitting
@@ -384,12 +646,14 @@ pub fn processVowel2Bulsik(state: *ImeState, jamo_index: i8) KeyResult {
         var new_initial: i8 = undefined;
 
         // Check if this is a double final that needs splitting
-        if (state.final_flag == 1) {
+        if (state.final_flag != 0) {
             // Double final: split it - first component stays, second becomes new initial
+            // (the other way round if it was typed in reverse)
             const split = splitDoubleFinal(temp_final);
+            const reordered = state.final_flag == FINAL_REORDERED;
             if (split.base != 0) {
-                state.final = @intCast(split.base);
-                new_initial = @intCast(split.second);
+                state.final = @intCast(if (reordered) split.second else split.base);
+                new_initial = @intCast(if (reordered) split.base else split.second);
             } else {
                 state.final = 0;
                 new_initial = @intCast(temp_final);
@@ -500,8 +764,8 @@ pub fn processJung3Bulsik(state: *ImeState, jung_index: u8) KeyResult {
             result.current_codepoint = state.toCodepoint();
             return result;
         }
-        // Cannot double, mark for new syllable
-        state.medial = -1;
+        // Cannot double: emit the syllable as is, the jung starts a new one
+        return emitAndStart(state, .{ .medial = @intCast(jung_index) });
     }
 
     // ohi.js condition: ((!_q[0] || _q[2]) && (!_q[3] || _q[4])) || _q[2] < 0
@@ -552,8 +816,8 @@ pub fn processJong3Bulsik(state: *ImeState, jong_index: u8) KeyResult {
             result.current_codepoint = state.toCodepoint();
             return result;
         }
-        // Cannot double, mark for new syllable
-        state.final = -1;
+        // Cannot double: emit the syllable as is, the jong stands alone
+        return emitAndStart(state, .{ .final = @intCast(jong_index) });
     }
 
     // Need cho + jung to add jong
@@ -576,6 +840,92 @@ pub fn processJong3Bulsik(state: *ImeState, jong_index: u8) KeyResult {
     return result;
 }
 
+// ============================================================================
+// 3-Bulsik Moachigi (모아치기)
+// Keys pressed together reach the IME in any order, so each jamo fills its
+// own slot of the syllable; only a slot that is already taken (and can't
+// double) starts a new syllable
+// ============================================================================
+
+/// Process initial consonant (cho) in 3-Bulsik moachigi
+pub fn processCho3Moachigi(state: *ImeState, cho_index: u8) KeyResult {
+    if (state.initial > 0 and state.medial == 0 and state.final == 0 and state.initial_flag == 0) {
+        const double_idx = detectDoubleJamo(.initial, @intCast(state.initial), cho_index);
+        if (double_idx != 0) {
+            state.initial = @intCast(double_idx);
+            state.initial_flag = 1;
+            return replaced(state);
+        }
+    }
+    if (state.initial <= 0) {
+        state.initial = @intCast(cho_index);
+        state.initial_flag = 0;
+        return replaced(state);
+    }
+    return emitAndStart(state, .{ .initial = @intCast(cho_index) });
+}
+
+/// Process medial vowel (jung) in 3-Bulsik moachigi
+pub fn processJung3Moachigi(state: *ImeState, jung_index: u8) KeyResult {
+    if (state.medial <= 0) {
+        state.medial = @intCast(jung_index);
+        state.medial_flag = 0;
+        return replaced(state);
+    }
+    if (state.medial_flag == 0) {
+        const double_idx = detectDoubleJamoAnyOrder(.medial, @intCast(state.medial), jung_index);
+        if (double_idx != 0) {
+            state.medial = @intCast(double_idx);
+            state.medial_flag = 1;
+            return replaced(state);
+        }
+    }
+    return emitAndStart(state, .{ .medial = @intCast(jung_index) });
+}
+
+/// Process final consonant (jong) in 3-Bulsik moachigi
+pub fn processJong3Moachigi(state: *ImeState, jong_index: u8) KeyResult {
+    if (state.final <= 0) {
+        state.final = @intCast(jong_index);
+        state.final_flag = 0;
+        return replaced(state);
+    }
+    if (state.final_flag == 0) {
+        const double_idx = detectDoubleJamoAnyOrder(.final, @intCast(state.final), jong_index);
+        if (double_idx != 0) {
+            state.final = @intCast(double_idx);
+            state.final_flag = 1;
+            return replaced(state);
+        }
+    }
+    return emitAndStart(state, .{ .final = @intCast(jong_index) });
+}
+
+/// Process a 3-Bulsik jamo token, in moachigi if the options ask for it
+/// Literals (.other) are handled by the caller and never reach this
+pub fn processJamo3Bulsik(state: *ImeState, token: K3Token, options: Options) KeyResult {
+    const moachigi = options.moachigi;
+    return switch (token) {
+        .cho => |idx| if (isForbiddenDouble(state, .initial, idx, options))
+            emitAndStart(state, .{ .initial = @intCast(idx) })
+        else if (moachigi)
+            processCho3Moachigi(state, idx)
+        else
+            processCho3Bulsik(state, idx),
+        .jung => |idx| if (moachigi)
+            processJung3Moachigi(state, idx)
+        else
+            processJung3Bulsik(state, idx),
+        .jong => |idx| if (isForbiddenDouble(state, .final, idx, options))
+            emitAndStart(state, .{ .final = @intCast(idx) })
+        else if (moachigi)
+            processJong3Moachigi(state, idx)
+        else
+            processJong3Bulsik(state, idx),
+        .other => unreachable,
+    };
+}
+
 /// Process backspace - decomposes syllable step by step
 /// Based on ohi.js keydownHandler() lines 418-427
 pub fn processBackspace(state: *ImeState) ?u32 {
@@ -991,6 +1341,215 @@ test "3-bulsik: jong without cho emits jong alone" {
     try std.testing.expectEqual(@as(i8, 4), state.final);
 }
 
+test "2-bulsik: vowel that can't double starts a new syllable" {
+    var state = ImeState.init();
+    _ = processConsonant2Bulsik(&state, 1); // ㄱ
+    _ = processVowel2Bulsik(&state, 44); // ㅜ
+    const result = processVowel2Bulsik(&state, 31); // ㅏ
+
+    try std.testing.expectEqual(KeyResult.Action.emit_and_new, result.action);
+    try std.testing.expectEqual(@as(u32, 0xAD6C), result.prev_codepoint); // 구
+    try std.testing.expectEqual(@as(u32, 0x314F), result.current_codepoint); // ㅏ
+}
+
+test "3-bulsik: jung and jong that can't double start anew" {
+    var state = ImeState.init();
+    _ = processJung3Bulsik(&state, 43); // ㅛ
+    const jung = processJung3Bulsik(&state, 35); // ㅓ
+    try std.testing.expectEqual(KeyResult.Action.emit_and_new, jung.action);
+    try std.testing.expectEqual(@as(u32, 0x315B), jung.prev_codepoint); // ㅛ
+    try std.testing.expectEqual(@as(u32, 0x3153), jung.current_codepoint); // ㅓ
+
+    state.reset();
+    _ = processCho3Bulsik(&state, 1); // ㄱ
+    _ = processJung3Bulsik(&state, 31); // ㅏ
+    _ = processJong3Bulsik(&state, 4); // ㄴ
+    const jong = processJong3Bulsik(&state, 1); // ㄱ (ㄴ+ㄱ is no double)
+    try std.testing.expectEqual(KeyResult.Action.emit_and_new, jong.action);
+    try std.testing.expectEqual(@as(u32, 0xAC04), jong.prev_codepoint); // 간
+    try std.testing.expectEqual(@as(u32, 0x3131), jong.current_codepoint); // ㄱ
+}
+
+test "3-bulsik: reverse key lookup" {
+    try std.testing.expectEqual(@as(?u8, 'k'), keyFor3Bulsik(.final, .{ .cho = 1 })); // ㄱ
+    try std.testing.expectEqual(@as(?u8, 'f'), keyFor3Bulsik(.final, .{ .jung = 31 })); // ㅏ
+    try std.testing.expectEqual(@as(?u8, '!'), keyFor3Bulsik(.final, .{ .jong = 2 })); // ㄲ
+    try std.testing.expectEqual(@as(?u8, null), keyFor3Bulsik(.final, .{ .cho = 2 })); // ㄲ is typed as ㄱ+ㄱ
+    try std.testing.expectEqual(@as(?u8, null), keyFor3Bulsik(.final, .{ .other = 183 })); // non-ASCII literal
+    try std.testing.expectEqual(@as(?u8, 'F'), keyFor3Bulsik(.@"390", .{ .jong = 2 })); // ㄲ
+
+    // Every key found produces the token it was looked up for
+    for (std.enums.values(Layout3)) |layout| {
+        for (33..127) |ascii| {
+            const token = mapKeycode3(layout, @intCast(ascii)).?;
+            const key = keyFor3Bulsik(layout, token) orelse continue;
+            try std.testing.expectEqual(token, mapKeycode3(layout, key).?);
+        }
+    }
+}
+
+test "3-bulsik 390: shifted keys" {
+    // Letters are shared with Final
+    try std.testing.expectEqual(mapKeycode3(.final, 'k'), mapKeycode3(.@"390", 'k'));
+    try std.testing.expectEqual(mapKeycode3(.final, '9'), mapKeycode3(.@"390", '9'));
+
+    try std.testing.expectEqual(K3Token{ .jong = 24 }, mapKeycode3(.@"390", '!').?); // ㅈ
+    try std.testing.expectEqual(K3Token{ .jong = 2 }, mapKeycode3(.@"390", 'F').?); // ㄲ
+    try std.testing.expectEqual(K3Token{ .jung = 34 }, mapKeycode3(.@"390", 'R').?); // ㅒ
+    try std.testing.expectEqual(K3Token{ .other = '8' }, mapKeycode3(.@"390", 'I').?);
+    try std.testing.expectEqual(K3Token{ .other = ']' }, mapKeycode3(.@"390", ']').?);
+    try std.testing.expectEqual(K3Token{ .other = '<' }, mapKeycode3(.final, ']').?);
+    try std.testing.expect(mapKeycode3(.@"390", ' ') == null);
+}
+
+test "3-bulsik moachigi: jamo in any order build one syllable" {
+    const tokens = [3]K3Token{ .{ .cho = 1 }, .{ .jung = 31 }, .{ .jong = 4 } }; // ㄱ ㅏ ㄴ
+    const orders = [6][3]u8{ .{ 0, 1, 2 }, .{ 0, 2, 1 }, .{ 1, 0, 2 }, .{ 1, 2, 0 }, .{ 2, 0, 1 }, .{ 2, 1, 0 } };
+    for (orders) |order| {
+        var state = ImeState.init();
+        var result: KeyResult = undefined;
+        for (order) |i| {
+            result = switch (tokens[i]) {
+                .cho => |idx| processCho3Moachigi(&state, idx),
+                .jung => |idx| processJung3Moachigi(&state, idx),
+                .jong => |idx| processJong3Moachigi(&state, idx),
+                .other => unreachable,
+            };
+            try std.testing.expectEqual(KeyResult.Action.replace, result.action);
+        }
+        try std.testing.expectEqual(@as(u32, 0xAC04), result.current_codepoint); // 간
+    }
+}
+
+test "3-bulsik moachigi: doubles combine in either order" {
+    var state = ImeState.init();
+    _ = processJong3Moachigi(&state, 24); // ㅈ
+    _ = processJung3Moachigi(&state, 31); // ㅏ
+    _ = processJong3Moachigi(&state, 4); // ㄴ (ㅈ+ㄴ → ㄵ)
+    _ = processCho3Moachigi(&state, 1); // ㄱ
+    const result = processJung3Moachigi(&state, 39); // ㅗ (ㅏ+ㅗ → ㅘ)
+    try std.testing.expectEqual(KeyResult.Action.replace, result.action);
+    try std.testing.expectEqual(@as(u32, 0xAD01), result.current_codepoint); // 괁
+}
+
+test "3-bulsik moachigi: a taken slot starts a new syllable" {
+    var state = ImeState.init();
+    _ = processJong3Moachigi(&state, 4); // ㄴ
+    const held = processCho3Moachigi(&state, 1); // ㄱ, ㄴ waits for a vowel
+    try std.testing.expectEqual(@as(u32, 0x3131), held.current_codepoint); // ㄱ
+    try std.testing.expectEqual(@as(u32, 0x3134), state.strayFinal()); // ㄴ
+    const cho = processCho3Moachigi(&state, 7); // ㄷ
+    try std.testing.expectEqual(KeyResult.Action.emit_and_new, cho.action);
+    try std.testing.expectEqual(@as(u32, 0x3131), cho.prev_codepoint); // ㄱ
+    try std.testing.expectEqual(@as(u32, 0x3134), cho.stray_codepoint); // ㄴ
+    try std.testing.expectEqual(@as(u32, 0x3137), cho.current_codepoint); // ㄷ
+
+    state.reset();
+    _ = processCho3Moachigi(&state, 1); // ㄱ
+    _ = processJong3Moachigi(&state, 4); // ㄴ
+    _ = processJung3Moachigi(&state, 31); // ㅏ
+    const jung = processJung3Moachigi(&state, 35); // ㅓ (ㅏ+ㅓ is no double)
+    try std.testing.expectEqual(KeyResult.Action.emit_and_new, jung.action);
+    try std.testing.expectEqual(@as(u32, 0xAC04), jung.prev_codepoint); // 간
+    try std.testing.expectEqual(@as(u32, 0), jung.stray_codepoint);
+    try std.testing.expectEqual(@as(u32, 0x3153), jung.current_codepoint); // ㅓ
+}
+
+test "2-bulsik auto-reorder: doubles typed in reverse" {
+    const reorder: Options = .{ .auto_reorder = true };
+    var state = ImeState.init();
+    _ = processKey2Bulsik(&state, 1, reorder); // ㄱ
+    _ = processKey2Bulsik(&state, 31, reorder); // ㅏ
+    const vowel = processKey2Bulsik(&state, 39, reorder); // ㅗ (ㅏ+ㅗ → ㅘ)
+    try std.testing.expectEqual(KeyResult.Action.replace, vowel.action);
+    try std.testing.expectEqual(@as(u32, 0xACFC), vowel.current_codepoint); // 과
+
+    state.reset();
+    _ = processKey2Bulsik(&state, 1, reorder); // ㄱ
+    _ = processKey2Bulsik(&state, 31, reorder); // ㅏ
+    _ = processKey2Bulsik(&state, 21, reorder); // ㅅ
+    const final = processKey2Bulsik(&state, 1, reorder); // ㄱ (ㅅ+ㄱ → ㄳ)
+    try std.testing.expectEqual(KeyResult.Action.replace, final.action);
+    try std.testing.expectEqual(@as(u32, 0xAC03), final.current_codepoint); // 갃
+
+    // A vowel splits the reordered final back in typed order
+    const split = processKey2Bulsik(&state, 51, reorder); // ㅣ
+    try std.testing.expectEqual(KeyResult.Action.emit_and_new, split.action);
+    try std.testing.expectEqual(@as(u32, 0xAC13), split.prev_codepoint); // 갓
+    try std.testing.expectEqual(@as(u32, 0xAE30), split.current_codepoint); // 기
+
+    // Without the option the reversed final starts a new syllable
+    state.reset();
+    _ = processKey2Bulsik(&state, 1, .{}); // ㄱ
+    _ = processKey2Bulsik(&state, 31, .{}); // ㅏ
+    _ = processKey2Bulsik(&state, 21, .{}); // ㅅ
+    const strict = processKey2Bulsik(&state, 1, .{}); // ㄱ
+    try std.testing.expectEqual(KeyResult.Action.emit_and_new, strict.action);
+    try std.testing.expectEqual(@as(u32, 0xAC13), strict.prev_codepoint); // 갓
+}
+
+test "policies: no double finals or repeated initials" {
+    const policy: Options = .{ .no_double_finals = true, .no_repeat_doubles = true };
+    var state = ImeState.init();
+    _ = processKey2Bulsik(&state, 1, policy); // ㄱ
+    const repeat = processKey2Bulsik(&state, 1, policy); // ㄱ (no ㄲ)
+    try std.testing.expectEqual(KeyResult.Action.emit_and_new, repeat.action);
+    try std.testing.expectEqual(@as(u32, 0x3131), repeat.prev_codepoint); // ㄱ
+    try std.testing.expectEqual(@as(u32, 0x3131), repeat.current_codepoint); // ㄱ
+
+    _ = processKey2Bulsik(&state, 31, policy); // ㅏ
+    _ = processKey2Bulsik(&state, 1, policy); // ㄱ
+    const final = processKey2Bulsik(&state, 21, policy); // ㅅ (no ㄳ)
+    try std.testing.expectEqual(KeyResult.Action.emit_and_new, final.action);
+    try std.testing.expectEqual(@as(u32, 0xAC01), final.prev_codepoint); // 각
+    try std.testing.expectEqual(@as(u32, 0x3145), final.current_codepoint); // ㅅ
+
+    // 3-Bulsik: ᆨ+ᆺ stay apart, ᄀ+ᄀ stays two initials
+    state.reset();
+    _ = processJamo3Bulsik(&state, .{ .cho = 1 }, policy); // ᄀ
+    const cho = processJamo3Bulsik(&state, .{ .cho = 1 }, policy); // ᄀ
+    try std.testing.expectEqual(KeyResult.Action.emit_and_new, cho.action);
+    _ = processJamo3Bulsik(&state, .{ .jung = 31 }, policy); // ㅏ
+    _ = processJamo3Bulsik(&state, .{ .jong = 1 }, policy); // ᆨ
+    const jong = processJamo3Bulsik(&state, .{ .jong = 21 }, policy); // ᆺ
+    try std.testing.expectEqual(KeyResult.Action.emit_and_new, jong.action);
+    try std.testing.expectEqual(@as(u32, 0xAC01), jong.prev_codepoint); // 각
+    try std.testing.expectEqual(@as(u32, 0x3145), jong.current_codepoint); // ㅅ
+
+    // Default options still combine
+    state.reset();
+    _ = processJamo3Bulsik(&state, .{ .cho = 1 }, .{});
+    const double = processJamo3Bulsik(&state, .{ .cho = 1 }, .{});
+    try std.testing.expectEqual(@as(u32, 0x3132), double.current_codepoint); // ㄲ
+}
+
+test "split double jamo" {
+    const kk = splitDoubleJamo(.initial, 2); // ㄲ
+    try std.testing.expectEqual(@as(u8, 1), kk.base);
+    try std.testing.expectEqual(@as(u8, 1), kk.second);
+
+    const wa = splitDoubleJamo(.medial, 40); // ㅘ
+    try std.testing.expectEqual(@as(u8, 39), wa.base); // ㅗ
+    try std.testing.expectEqual(@as(u8, 31), wa.second); // ㅏ
+
+    const nh = splitDoubleJamo(.final, 6); // ㄶ
+    try std.testing.expectEqual(@as(u8, 4), nh.base); // ㄴ
+    try std.testing.expectEqual(@as(u8, 30), nh.second); // ㅎ
+
+    // Singles don't split, and ㄲ as a final is its own key
+    try std.testing.expectEqual(@as(u8, 0), splitDoubleJamo(.medial, 31).base);
+    try std.testing.expectEqual(@as(u8, 0), splitDoubleJamo(.final, 2).base);
+
+    // Splitting reverses detectDoubleJamo
+    for ([_]DoubleJamoType{ .initial, .medial, .final }) |jamo_type| {
+        for (1..52) |index| {
+            const pair = splitDoubleJamo(jamo_type, @intCast(index));
+            if (pair.base == 0) continue;
+            try std.testing.expectEqual(@as(u8, @intCast(index)), detectDoubleJamo(jamo_type, pair.base, pair.second));
+        }
+    }
+}
+
 test "ime commit finalizes composition" {
     var state = ImeState.init();
 
@@ -1127,6 +1686,32 @@ test "fuzz: random 3-bulsik keystroke sequences never panic" {
     }
 }
 
+test "fuzz: random moachigi sequences never panic" {
+    var state = ImeState.init();
+    var seed: u32 = 0xFEEDFACE;
+
+    var i: usize = 0;
+    while (i < 1000) : (i += 1) {
+        seed = seed *% 1103515245 +% 12345;
+        const rand = (seed >> 16) & 0x7FFF;
+
+        const ascii: u8 = @intCast(33 + (rand % 94));
+        const result = switch (mapKeycode3Bulsik(ascii) orelse continue) {
+            .cho => |idx| processCho3Moachigi(&state, idx),
+            .jung => |idx| processJung3Moachigi(&state, idx),
+            .jong => |idx| processJong3Moachigi(&state, idx),
+            .other => continue,
+        };
+        // The composition always shows something
+        try std.testing.expect(result.current_codepoint != 0);
+        try std.testing.expect(state.toCodepoint() != 0);
+
+        if (rand % 10 == 0) {
+            state.reset();
+        }
+    }
+}
+
 test "fuzz: backspace never corrupts state" {
     var state = ImeState.init();
 
@@ -0,0 +1,652 @@
+const std = @import("std");
+const hangul = @import("hangul.zig");
+const ime = @import("ime.zig");
+
+// Re-export core functions needed by jamo forms
+const JamoDecomp = hangul.JamoDecomp;
+const OHI_JAMO_OFFSET = hangul.OHI_JAMO_OFFSET;
+const decompose = hangul.decompose;
+const isHangulSyllable = hangul.isHangulSyllable;
+const isConsonant = hangul.isConsonant;
+const isVowel = hangul.isVowel;
+
+// ============================================================================
+// Jamo Forms
+// Compatibility jamo (U+3131), conjoining Hangul Jamo (U+1100) and NFD
+// output, and composition from any of them - including archaic jamo,
+// which have no precomposed syllable and compose into conjoining clusters
+// ============================================================================
+
+/// Decomposition output form, matching the `form` argument of wasm_decomposeString
+pub const Form = enum(u32) {
+    /// Compatibility jamo (ㄱ U+3131, ㅏ U+314F); the default
+    compatibility = 0,
+    /// Conjoining jamo (ᄀ U+1100, ᅡ U+1161, ᆨ U+11A8); compatibility jamo
+    /// in the text become their NFKD conjoining form, so no U+3131 block remains
+    conjoining = 1,
+    /// Unicode NFD: syllables become conjoining jamo, everything else is kept
+    nfd = 2,
+};
+
+const SYLLABLE_BASE: u32 = 0xAC00;
+const CHOSEONG_BASE: u32 = 0x1100; // ᄀ
+const JUNGSEONG_BASE: u32 = 0x1161; // ᅡ
+const JONGSEONG_BASE: u32 = 0x11A7; // One before ᆨ: final index 0 is "no final"
+const MEDIAL_COUNT: u32 = 21;
+const FINAL_COUNT: u32 = 28;
+
+// Last conjoining jamo that a precomposed syllable can use
+const MODERN_CHOSEONG_END: u32 = 0x1112; // ᄒ
+const MODERN_JUNGSEONG_END: u32 = 0x1175; // ᅵ
+const MODERN_JONGSEONG_END: u32 = 0x11C2; // ᇂ
+
+const COMPAT_START: u32 = 0x3131; // ㄱ
+const COMPAT_END: u32 = 0x318E; // ㆎ
+
+// Conjoining forms of each compatibility jamo U+3131-U+318E:
+// { NFKD form, choseong, jungseong, jongseong }, 0 = no such form.
+// Generated from the Unicode names (HANGUL LETTER X ↔ HANGUL CHOSEONG X, ...)
+const COMPAT_FORMS = [_][4]u16{
+    .{ 0x1100, 0x1100, 0, 0x11A8 }, // ㄱ
+    .{ 0x1101, 0x1101, 0, 0x11A9 }, // ㄲ
+    .{ 0x11AA, 0, 0, 0x11AA }, // ㄳ
+    .{ 0x1102, 0x1102, 0, 0x11AB }, // ㄴ
+    .{ 0x11AC, 0x115C, 0, 0x11AC }, // ㄵ
+    .{ 0x11AD, 0x115D, 0, 0x11AD }, // ㄶ
+    .{ 0x1103, 0x1103, 0, 0x11AE }, // ㄷ
+    .{ 0x1104, 0x1104, 0, 0xD7CD }, // ㄸ
+    .{ 0x1105, 0x1105, 0, 0x11AF }, // ㄹ
+    .{ 0x11B0, 0xA964, 0, 0x11B0 }, // ㄺ
+    .{ 0x11B1, 0xA968, 0, 0x11B1 }, // ㄻ
+    .{ 0x11B2, 0xA969, 0, 0x11B2 }, // ㄼ
+    .{ 0x11B3, 0xA96C, 0, 0x11B3 }, // ㄽ
+    .{ 0x11B4, 0, 0, 0x11B4 }, // ㄾ
+    .{ 0x11B5, 0, 0, 0x11B5 }, // ㄿ
+    .{ 0x111A, 0x111A, 0, 0x11B6 }, // ㅀ
+    .{ 0x1106, 0x1106, 0, 0x11B7 }, // ㅁ
+    .{ 0x1107, 0x1107, 0, 0x11B8 }, // ㅂ
+    .{ 0x1108, 0x1108, 0, 0xD7E6 }, // ㅃ
+    .{ 0x1121, 0x1121, 0, 0x11B9 }, // ㅄ
+    .{ 0x1109, 0x1109, 0, 0x11BA }, // ㅅ
+    .{ 0x110A, 0x110A, 0, 0x11BB }, // ㅆ
+    .{ 0x110B, 0x110B, 0, 0x11BC }, // ㅇ
+    .{ 0x110C, 0x110C, 0, 0x11BD }, // ㅈ
+    .{ 0x110D, 0x110D, 0, 0xD7F9 }, // ㅉ
+    .{ 0x110E, 0x110E, 0, 0x11BE }, // ㅊ
+    .{ 0x110F, 0x110F, 0, 0x11BF }, // ㅋ
+    .{ 0x1110, 0x1110, 0, 0x11C0 }, // ㅌ
+    .{ 0x1111, 0x1111, 0, 0x11C1 }, // ㅍ
+    .{ 0x1112, 0x1112, 0, 0x11C2 }, // ㅎ
+    .{ 0x1161, 0, 0x1161, 0 }, // ㅏ
+    .{ 0x1162, 0, 0x1162, 0 }, // ㅐ
+    .{ 0x1163, 0, 0x1163, 0 }, // ㅑ
+    .{ 0x1164, 0, 0x1164, 0 }, // ㅒ
+    .{ 0x1165, 0, 0x1165, 0 }, // ㅓ
+    .{ 0x1166, 0, 0x1166, 0 }, // ㅔ
+    .{ 0x1167, 0, 0x1167, 0 }, // ㅕ
+    .{ 0x1168, 0, 0x1168, 0 }, // ㅖ
+    .{ 0x1169, 0, 0x1169, 0 }, // ㅗ
+    .{ 0x116A, 0, 0x116A, 0 }, // ㅘ
+    .{ 0x116B, 0, 0x116B, 0 }, // ㅙ
+    .{ 0x116C, 0, 0x116C, 0 }, // ㅚ
+    .{ 0x116D, 0, 0x116D, 0 }, // ㅛ
+    .{ 0x116E, 0, 0x116E, 0 }, // ㅜ
+    .{ 0x116F, 0, 0x116F, 0 }, // ㅝ
+    .{ 0x1170, 0, 0x1170, 0 }, // ㅞ
+    .{ 0x1171, 0, 0x1171, 0 }, // ㅟ
+    .{ 0x1172, 0, 0x1172, 0 }, // ㅠ
+    .{ 0x1173, 0, 0x1173, 0 }, // ㅡ
+    .{ 0x1174, 0, 0x1174, 0 }, // ㅢ
+    .{ 0x1175, 0, 0x1175, 0 }, // ㅣ
+    .{ 0x1160, 0, 0, 0 }, // U+3164 HANGUL FILLER
+    .{ 0x1114, 0x1114, 0, 0x11FF }, // ㅥ
+    .{ 0x1115, 0x1115, 0, 0x11C6 }, // ㅦ
+    .{ 0x11C7, 0x115B, 0, 0x11C7 }, // ㅧ
+    .{ 0x11C8, 0, 0, 0x11C8 }, // ㅨ
+    .{ 0x11CC, 0, 0, 0x11CC }, // ㅩ
+    .{ 0x11CE, 0xA966, 0, 0x11CE }, // ㅪ
+    .{ 0x11D3, 0, 0, 0x11D3 }, // ㅫ
+    .{ 0x11D7, 0, 0, 0x11D7 }, // ㅬ
+    .{ 0x11D9, 0, 0, 0x11D9 }, // ㅭ
+    .{ 0x111C, 0x111C, 0, 0x11DC }, // ㅮ
+    .{ 0x11DD, 0xA971, 0, 0x11DD }, // ㅯ
+    .{ 0x11DF, 0, 0, 0x11DF }, // ㅰ
+    .{ 0x111D, 0x111D, 0, 0x11E2 }, // ㅱ
+    .{ 0x111E, 0x111E, 0, 0 }, // ㅲ
+    .{ 0x1120, 0x1120, 0, 0xD7E3 }, // ㅳ
+    .{ 0x1122, 0x1122, 0, 0 }, // ㅴ
+    .{ 0x1123, 0x1123, 0, 0xD7E7 }, // ㅵ
+    .{ 0x1127, 0x1127, 0, 0xD7E8 }, // ㅶ
+    .{ 0x1129, 0x1129, 0, 0 }, // ㅷ
+    .{ 0x112B, 0x112B, 0, 0x11E6 }, // ㅸ
+    .{ 0x112C, 0x112C, 0, 0 }, // ㅹ
+    .{ 0x112D, 0x112D, 0, 0x11E7 }, // ㅺ
+    .{ 0x112E, 0x112E, 0, 0 }, // ㅻ
+    .{ 0x112F, 0x112F, 0, 0x11E8 }, // ㅼ
+    .{ 0x1132, 0x1132, 0, 0x11EA }, // ㅽ
+    .{ 0x1136, 0x1136, 0, 0xD7EF }, // ㅾ
+    .{ 0x1140, 0x1140, 0, 0x11EB }, // ㅿ
+    .{ 0x1147, 0x1147, 0, 0x11EE }, // ㆀ
+    .{ 0x114C, 0x114C, 0, 0x11F0 }, // ㆁ
+    .{ 0x11F1, 0, 0, 0x11F1 }, // ㆂ
+    .{ 0x11F2, 0, 0, 0x11F2 }, // ㆃ
+    .{ 0x1157, 0x1157, 0, 0x11F4 }, // ㆄ
+    .{ 0x1158, 0x1158, 0, 0 }, // ㆅ
+    .{ 0x1159, 0x1159, 0, 0x11F9 }, // ㆆ
+    .{ 0x1184, 0, 0x1184, 0 }, // ㆇ
+    .{ 0x1185, 0, 0x1185, 0 }, // ㆈ
+    .{ 0x1188, 0, 0x1188, 0 }, // ㆉ
+    .{ 0x1191, 0, 0x1191, 0 }, // ㆊ
+    .{ 0x1192, 0, 0x1192, 0 }, // ㆋ
+    .{ 0x1194, 0, 0x1194, 0 }, // ㆌ
+    .{ 0x119E, 0, 0x119E, 0 }, // ㆍ
+    .{ 0x11A1, 0, 0x11A1, 0 }, // ㆎ
+};
+
+const NFKD_COLUMN = 0;
+const CHOSEONG_COLUMN = 1;
+const JUNGSEONG_COLUMN = 2;
+const JONGSEONG_COLUMN = 3;
+
+// Reverse of the NFKD column: compatibility jamo for U+1100-U+11FF
+// (0 = none), so a conjoining jamo left on its own composes back to it
+const COMPAT_OF_CONJOINING = blk: {
+    var table = [_]u16{0} ** 0x100;
+    for (COMPAT_FORMS, 0..) |forms, i| {
+        if (forms[NFKD_COLUMN] >= 0x1100 and forms[NFKD_COLUMN] <= 0x11FF) {
+            table[forms[NFKD_COLUMN] - 0x1100] = @intCast(COMPAT_START + i);
+        }
+    }
+    break :blk table;
+};
+
+/// Conjoining form of a compatibility jamo in one column, or 0
+fn compatForm(c: u32, column: usize) u32 {
+    if (c < COMPAT_START or c > COMPAT_END) return 0;
+    return COMPAT_FORMS[c - COMPAT_START][column];
+}
+
+/// Leading consonant (choseong), including archaic ones and the filler U+115F
+pub fn isChoseong(c: u32) bool {
+    return (c >= 0x1100 and c <= 0x115F) or (c >= 0xA960 and c <= 0xA97C);
+}
+
+/// Vowel (jungseong), including archaic ones and the filler U+1160
+pub fn isJungseong(c: u32) bool {
+    return (c >= 0x1160 and c <= 0x11A7) or (c >= 0xD7B0 and c <= 0xD7C6);
+}
+
+/// Trailing consonant (jongseong), including archaic ones
+pub fn isJongseong(c: u32) bool {
+    return (c >= 0x11A8 and c <= 0x11FF) or (c >= 0xD7CB and c <= 0xD7FB);
+}
+
+/// Split a syllable into conjoining jamo (final is 0 without 받침)
+pub fn decomposeConjoining(syllable: u32) ?JamoDecomp {
+    if (!isHangulSyllable(syllable)) return null;
+
+    const index = syllable - SYLLABLE_BASE;
+    const final_index = index % FINAL_COUNT;
+    return JamoDecomp{
+        .initial = CHOSEONG_BASE + index / (MEDIAL_COUNT * FINAL_COUNT),
+        .medial = JUNGSEONG_BASE + (index / FINAL_COUNT) % MEDIAL_COUNT,
+        .final = if (final_index > 0) JONGSEONG_BASE + final_index else 0,
+    };
+}
+
+/// Split a syllable into jamo of the given form
+pub fn decomposeAs(syllable: u32, form: Form) ?JamoDecomp {
+    return switch (form) {
+        .compatibility => decompose(syllable),
+        .conjoining, .nfd => decomposeConjoining(syllable),
+    };
+}
+
+/// Convert a character that is not a syllable to the given form
+/// Only the conjoining form changes anything: compatibility jamo become
+/// their NFKD conjoining jamo (ㄱ → ᄀ, ㄳ → ᆪ, ㆍ → ᆞ).
+pub fn convertJamo(c: u32, form: Form) u32 {
+    if (form != .conjoining) return c;
+    const conjoining = compatForm(c, NFKD_COLUMN);
+    return if (conjoining != 0) conjoining else c;
+}
+
+/// Jamo of one syllable as conjoining code points, and how many input
+/// code points spelled it
+const Syllable = struct {
+    initial: u32,
+    medial: u32,
+    final: u32,
+    len: usize,
+};
+
+/// Read the syllable starting at input[pos], if one starts there
+/// A syllable is spelled in one form: conjoining L V (T), or compatibility
+/// consonant + vowel (+ consonant), where a consonant followed by a vowel
+/// starts the next syllable instead of ending this one. A consonant that is
+/// only an archaic final (ㄸ, ㅃ, ㅉ) ends archaic syllables only, so modern
+/// text such as 가ㅃ keeps its precomposed syllable.
+fn readSyllable(input: []const u32, pos: usize) ?Syllable {
+    const c = input[pos];
+    const next = if (pos + 1 < input.len) input[pos + 1] else 0;
+    const after = if (pos + 2 < input.len) input[pos + 2] else 0;
+
+    if (isChoseong(c)) {
+        if (!isJungseong(next)) return null;
+        if (isJongseong(after)) {
+            return .{ .initial = c, .medial = next, .final = after, .len = 3 };
+        }
+        return .{ .initial = c, .medial = next, .final = 0, .len = 2 };
+    }
+
+    const initial = compatForm(c, CHOSEONG_COLUMN);
+    const medial = compatForm(next, JUNGSEONG_COLUMN);
+    if (initial == 0 or medial == 0) return null;
+
+    const final = compatForm(after, JONGSEONG_COLUMN);
+    const archaic = initial > MODERN_CHOSEONG_END or medial > MODERN_JUNGSEONG_END;
+    const fits = final != 0 and (final <= MODERN_JONGSEONG_END or archaic);
+    const following = if (pos + 3 < input.len) input[pos + 3] else 0;
+    const starts_next = compatForm(after, CHOSEONG_COLUMN) != 0 and
+        compatForm(following, JUNGSEONG_COLUMN) != 0;
+    if (fits and !starts_next) {
+        return .{ .initial = initial, .medial = medial, .final = final, .len = 3 };
+    }
+    return .{ .initial = initial, .medial = medial, .final = 0, .len = 2 };
+}
+
+/// Precomposed syllable for modern conjoining jamo, or null if any is archaic
+fn precompose(initial: u32, medial: u32, final: u32) ?u32 {
+    if (initial < CHOSEONG_BASE or initial > MODERN_CHOSEONG_END) return null;
+    if (medial < JUNGSEONG_BASE or medial > MODERN_JUNGSEONG_END) return null;
+    if (final != 0 and (final <= JONGSEONG_BASE or final > MODERN_JONGSEONG_END)) return null;
+
+    const final_index = if (final != 0) final - JONGSEONG_BASE else 0;
+    return SYLLABLE_BASE +
+        ((initial - CHOSEONG_BASE) * MEDIAL_COUNT + (medial - JUNGSEONG_BASE)) * FINAL_COUNT +
+        final_index;
+}
+
+/// Syllable with no final that a trailing conjoining jongseong can join
+fn acceptsFinal(c: u32) bool {
+    return isHangulSyllable(c) and (c - SYLLABLE_BASE) % FINAL_COUNT == 0;
+}
+
+/// Compose jamo of any form into syllables
+/// Modern jamo become precomposed syllables; syllables using archaic jamo
+/// are written as conjoining clusters (ᄒ ᆞ ᆫ), which fonts render as
+/// one block. A conjoining jongseong after a syllable without 받침 joins it,
+/// as NFC does, and a conjoining jamo left on its own becomes its
+/// compatibility jamo. Everything else passes through unchanged.
+/// Returns the number of output code points written (at most input.len).
+pub fn composeString(input: []const u32, output: [*]u32) u32 {
+    var out: u32 = 0;
+    var i: usize = 0;
+
+    while (i < input.len) {
+        if (readSyllable(input, i)) |s| {
+            if (precompose(s.initial, s.medial, s.final)) |syllable| {
+                output[out] = syllable;
+                out += 1;
+            } else {
+                output[out] = s.initial;
+                output[out + 1] = s.medial;
+                out += 2;
+                if (s.final != 0) {
+                    output[out] = s.final;
+                    out += 1;
+                }
+            }
+            i += s.len;
+            continue;
+        }
+
+        const c = input[i];
+        i += 1;
+
+        if (isJongseong(c) and out > 0 and acceptsFinal(output[out - 1])) {
+            if (c <= MODERN_JONGSEONG_END) {
+                output[out - 1] += c - JONGSEONG_BASE;
+                continue;
+            }
+        }
+
+        const compat = if (c >= 0x1100 and c <= 0x11FF) COMPAT_OF_CONJOINING[c - 0x1100] else 0;
+        output[out] = if (compat != 0) compat else c;
+        out += 1;
+    }
+
+    return out;
+}
+
+/// Whether composeString never joins the code points on either side of the
+/// point before `c` (prev comes before it, next after it, 0 at the ends)
+/// Text can be composed in chunks cut at such points.
+pub fn isComposeBoundary(prev: u32, c: u32, next: u32) bool {
+    if (isChoseong(c)) return true;
+    if (isJungseong(c)) return !isChoseong(prev);
+    if (isJongseong(c)) return !isJungseong(prev) and !acceptsFinal(prev);
+
+    if (compatForm(c, JUNGSEONG_COLUMN) != 0) {
+        return compatForm(prev, CHOSEONG_COLUMN) == 0;
+    }
+    if (compatForm(c, NFKD_COLUMN) == 0) return true; // Not a jamo
+
+    // A consonant ends the syllable before it unless it starts its own
+    if (compatForm(c, CHOSEONG_COLUMN) != 0 and compatForm(next, JUNGSEONG_COLUMN) != 0) {
+        return true;
+    }
+    return compatForm(prev, NFKD_COLUMN) == 0;
+}
+
+// ============================================================================
+// Full Split
+// Compound jamo broken into the jamo they are typed with (ㄺ → ㄹㄱ,
+// ㅘ → ㅗㅏ, optionally ㄲ → ㄱㄱ), using the IME's double-jamo tables
+// ============================================================================
+
+/// How far decomposition splits compound jamo, matching the `split`
+/// argument of wasm_decomposeString/wasm_composeString
+pub const Split = enum(u32) {
+    /// Keep compound jamo whole
+    none = 0,
+    /// Split compound vowels and finals: ㄺ → ㄹㄱ, ㅘ → ㅗㅏ, ㅙ → ㅗㅐ
+    compound = 1,
+    /// Also split double consonants: ㄲ → ㄱㄱ
+    all = 2,
+};
+
+/// Combine two compatibility jamo with an IME double-jamo table, or 0
+fn joinPair(jamo_type: ime.DoubleJamoType, first: u32, second: u32) u32 {
+    const joined = ime.detectDoubleJamo(
+        jamo_type,
+        @intCast(first - OHI_JAMO_OFFSET),
+        @intCast(second - OHI_JAMO_OFFSET),
+    );
+    return if (joined != 0) OHI_JAMO_OFFSET + joined else 0;
+}
+
+/// Write a compatibility jamo split into its parts (other characters are
+/// copied); returns the number of code points written (1 or 2)
+pub fn splitJamo(c: u32, split: Split, output: [*]u32) u32 {
+    output[0] = c;
+    if (split == .none or !(isConsonant(c) or isVowel(c))) return 1;
+
+    const index: u8 = @intCast(c - OHI_JAMO_OFFSET);
+    var pair = if (isVowel(c))
+        ime.splitDoubleJamo(.medial, index)
+    else
+        ime.splitDoubleJamo(.final, index);
+    if (pair.base == 0 and split == .all and isConsonant(c)) {
+        pair = ime.splitDoubleJamo(.initial, index);
+    }
+    if (pair.base == 0) return 1;
+
+    output[0] = OHI_JAMO_OFFSET + pair.base;
+    output[1] = OHI_JAMO_OFFSET + pair.second;
+    return 2;
+}
+
+/// Join two consonants into a final: a compound final (ㄹㄱ → ㄺ) or, with
+/// .all, a double consonant that is also a final (ㄱㄱ → ㄲ, ㅅㅅ → ㅆ); 0 if none
+fn joinFinal(first: u32, second: u32, split: Split) u32 {
+    const joined = joinPair(.final, first, second);
+    if (joined != 0 or split != .all) return joined;
+
+    const double = joinPair(.initial, first, second);
+    return if (double != 0 and compatForm(double, JONGSEONG_COLUMN) <= MODERN_JONGSEONG_END) double else 0;
+}
+
+/// Whether up to two consonants can all be the final of one syllable
+fn isFinalRun(run: []const u32, split: Split) bool {
+    return switch (run.len) {
+        0, 1 => true,
+        2 => joinFinal(run[0], run[1], split) != 0,
+        else => false,
+    };
+}
+
+/// Put split jamo back together (inverse of splitJamo over a whole text)
+/// Vowel pairs rejoin (ㅗㅏ → ㅘ). A consonant run between vowels becomes
+/// the final of the syllable before and the initial of the next, the final
+/// taking as many as fit (ㄹㄱㄱ → ㄺ ㄱ). With .all, ㄱㄱ/ㅅㅅ can be a
+/// final ㄲ/ㅆ as well as an initial, so the split is ambiguous: 학교 and
+/// 쌍쌍 survive the round trip, 아까 comes back as 악가. Consonants
+/// outside syllables stay split.
+/// Returns the number of code points written (at most input.len).
+pub fn joinJamo(input: []const u32, split: Split, output: [*]u32) u32 {
+    var out: u32 = 0;
+    var i: usize = 0;
+
+    while (i < input.len) {
+        const c = input[i];
+
+        if (split != .none and isVowel(c) and i + 1 < input.len and isVowel(input[i + 1])) {
+            const joined = joinPair(.medial, c, input[i + 1]);
+            if (joined != 0) {
+                output[out] = joined;
+                out += 1;
+                i += 2;
+                continue;
+            }
+        }
+
+        if (split == .none or !isConsonant(c)) {
+            output[out] = c;
+            out += 1;
+            i += 1;
+            continue;
+        }
+
+        // A run of consonants: [finals of the syllable before] [next initial]
+        var end = i;
+        while (end < input.len and isConsonant(input[end])) end += 1;
+        const run = input[i..end];
+        const after_vowel = i > 0 and isVowel(input[i - 1]);
+        const before_vowel = end < input.len and isVowel(input[end]);
+
+        var finals = run;
+        var initial: u32 = 0;
+        if (before_vowel) {
+            const double = if (split == .all and run.len >= 2)
+                joinPair(.initial, run[run.len - 2], run[run.len - 1])
+            else
+                0;
+            // After a vowel a single initial wins if the rest is one final
+            const use_double = double != 0 and (!after_vowel or
+                (!isFinalRun(run[0 .. run.len - 1], split) and isFinalRun(run[0 .. run.len - 2], split)));
+            if (use_double) {
+                finals = run[0 .. run.len - 2];
+                initial = double;
+            } else {
+                finals = run[0 .. run.len - 1];
+                initial = run[run.len - 1];
+            }
+        }
+
+        var j: usize = 0;
+        while (j < finals.len) {
+            if (after_vowel and j + 1 < finals.len) {
+                const joined = joinFinal(finals[j], finals[j + 1], split);
+                if (joined != 0) {
+                    output[out] = joined;
+                    out += 1;
+                    j += 2;
+                    continue;
+                }
+            }
+            output[out] = finals[j];
+            out += 1;
+            j += 1;
+        }
+
+        if (initial != 0) {
+            output[out] = initial;
+            out += 1;
+        }
+        i = end;
+    }
+
+    return out;
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+test "decompose in each form" {
+    const han = 0xD55C; // 한
+    const compat = decomposeAs(han, .compatibility).?;
+    try std.testing.expectEqual(@as(u32, 0x314E), compat.initial); // ㅎ
+    try std.testing.expectEqual(@as(u32, 0x3134), compat.final); // ㄴ
+
+    const conjoining = decomposeAs(han, .conjoining).?;
+    try std.testing.expectEqual(@as(u32, 0x1112), conjoining.initial); // ᄒ
+    try std.testing.expectEqual(@as(u32, 0x1161), conjoining.medial); // ᅡ
+    try std.testing.expectEqual(@as(u32, 0x11AB), conjoining.final); // ᆫ
+
+    try std.testing.expectEqual(@as(u32, 0), decomposeAs(0xAC00, .nfd).?.final); // 가
+    try std.testing.expect(decomposeAs('A', .nfd) == null);
+}
+
+test "convert jamo outside syllables" {
+    try std.testing.expectEqual(@as(u32, 0x1100), convertJamo(0x3131, .conjoining)); // ㄱ → ᄀ
+    try std.testing.expectEqual(@as(u32, 0x11AA), convertJamo(0x3133, .conjoining)); // ㄳ → ᆪ
+    try std.testing.expectEqual(@as(u32, 0x119E), convertJamo(0x318D, .conjoining)); // ㆍ → ᆞ
+    try std.testing.expectEqual(@as(u32, 0x3131), convertJamo(0x3131, .nfd)); // NFD keeps ㄱ
+    try std.testing.expectEqual(@as(u32, 'A'), convertJamo('A', .conjoining));
+}
+
+test "compose conjoining jamo" {
+    // ᄒ ᅡ ᆫ ᄀ ᅳ ᆯ → 한글
+    const input = [_]u32{ 0x1112, 0x1161, 0x11AB, 0x1100, 0x1173, 0x11AF };
+    var output: [6]u32 = undefined;
+    const count = composeString(&input, &output);
+    try std.testing.expectEqualSlices(u32, &[_]u32{ 0xD55C, 0xAE00 }, output[0..count]);
+}
+
+test "compose a jongseong onto a syllable without final" {
+    const input = [_]u32{ 0xAC00, 0x11A8, 0xAC01, 0x11A8 }; // 가 ᆨ 각 ᆨ
+    var output: [4]u32 = undefined;
+    const count = composeString(&input, &output);
+    try std.testing.expectEqualSlices(u32, &[_]u32{ 0xAC01, 0xAC01, 0x11A8 }, output[0..count]); // 각 각 ᆨ
+}
+
+test "compose archaic jamo into conjoining clusters" {
+    // ㅎ ㆍ ㄴ (compatibility) → ᄒ ᆞ ᆫ
+    const compat = [_]u32{ 0x314E, 0x318D, 0x3134 };
+    var output: [3]u32 = undefined;
+    var count = composeString(&compat, &output);
+    try std.testing.expectEqualSlices(u32, &[_]u32{ 0x1112, 0x119E, 0x11AB }, output[0..count]);
+
+    // Conjoining clusters are kept as they are
+    const conjoining = [_]u32{ 0x1140, 0x1161 }; // ᅀ ᅡ
+    count = composeString(&conjoining, &output);
+    try std.testing.expectEqualSlices(u32, &conjoining, output[0..count]);
+}
+
+test "modern syllables take no archaic final" {
+    var output: [3]u32 = undefined;
+
+    // ㄱ ㅏ ㅃ → 가 ㅃ, not ᄀ ᅡ ퟦ
+    const gappa = [_]u32{ 0x3131, 0x314F, 0x3143 };
+    var count = composeString(&gappa, &output);
+    try std.testing.expectEqualSlices(u32, &[_]u32{ 0xAC00, 0x3143 }, output[0..count]);
+
+    // ㅇ ㅏ ㅉ → 아 ㅉ
+    const ajj = [_]u32{ 0x3147, 0x314F, 0x3149 };
+    count = composeString(&ajj, &output);
+    try std.testing.expectEqualSlices(u32, &[_]u32{ 0xC544, 0x3149 }, output[0..count]);
+
+    // An archaic initial still takes it: ㅿ ㅏ ㅃ → ᅀ ᅡ ퟦ
+    const archaic = [_]u32{ 0x317F, 0x314F, 0x3143 };
+    count = composeString(&archaic, &output);
+    try std.testing.expectEqualSlices(u32, &[_]u32{ 0x1140, 0x1161, 0xD7E6 }, output[0..count]);
+}
+
+test "lone conjoining jamo compose to compatibility jamo" {
+    const input = [_]u32{ 0x1100, ' ', 0x11AA, 0x1161 }; // ᄀ ᆪ ᅡ
+    var output: [4]u32 = undefined;
+    const count = composeString(&input, &output);
+    try std.testing.expectEqualSlices(u32, &[_]u32{ 0x3131, ' ', 0x3133, 0x314F }, output[0..count]);
+}
+
+test "every syllable round-trips through conjoining jamo" {
+    var syllable: u32 = SYLLABLE_BASE;
+    while (syllable <= 0xD7A3) : (syllable += 1) {
+        const j = decomposeConjoining(syllable).?;
+        const input = [_]u32{ j.initial, j.medial, j.final };
+        const len: usize = if (j.final != 0) 3 else 2;
+        var output: [3]u32 = undefined;
+        const count = composeString(input[0..len], &output);
+        try std.testing.expectEqual(@as(u32, 1), count);
+        try std.testing.expectEqual(syllable, output[0]);
+    }
+}
+
+test "compose boundaries" {
+    try std.testing.expect(isComposeBoundary('A', 0x1100, 0x1161)); // before ᄀ
+    try std.testing.expect(!isComposeBoundary(0x1100, 0x1161, 0)); // ᄀ|ᅡ
+    try std.testing.expect(!isComposeBoundary(0xAC00, 0x11A8, 0)); // 가|ᆨ
+    try std.testing.expect(!isComposeBoundary(0x3131, 0x314F, 0)); // ㄱ|ㅏ
+    try std.testing.expect(!isComposeBoundary(0x314F, 0x3134, 0)); // ㅏ|ㄴ
+    try std.testing.expect(isComposeBoundary(0x314F, 0x3134, 0x314F)); // ㅏ|ㄴㅏ
+    try std.testing.expect(isComposeBoundary(0x314F, 0x314F, 0)); // ㅏ|ㅏ
+    try std.testing.expect(isComposeBoundary(0xAC00, 0x3131, 0)); // 가|ㄱ
+}
+
+test "split compound jamo" {
+    var output: [2]u32 = undefined;
+    try std.testing.expectEqual(@as(u32, 2), splitJamo(0x313A, .compound, &output)); // ㄺ
+    try std.testing.expectEqualSlices(u32, &[_]u32{ 0x3139, 0x3131 }, &output); // ㄹㄱ
+    try std.testing.expectEqual(@as(u32, 2), splitJamo(0x3158, .compound, &output)); // ㅘ
+    try std.testing.expectEqualSlices(u32, &[_]u32{ 0x3157, 0x314F }, &output); // ㅗㅏ
+
+    // Double consonants split only with .all
+    try std.testing.expectEqual(@as(u32, 1), splitJamo(0x3132, .compound, &output)); // ㄲ
+    try std.testing.expectEqual(@as(u32, 2), splitJamo(0x3132, .all, &output));
+    try std.testing.expectEqualSlices(u32, &[_]u32{ 0x3131, 0x3131 }, &output); // ㄱㄱ
+
+    try std.testing.expectEqual(@as(u32, 1), splitJamo(0x313A, .none, &output));
+    try std.testing.expectEqual(@as(u32, 1), splitJamo('A', .all, &output));
+}
+
+test "join split jamo" {
+    // ㄷㅏㄹㄱ ㄱㅗㅏ → ㄷㅏㄺ ㄱㅘ
+    const input = [_]u32{ 0x3137, 0x314F, 0x3139, 0x3131, ' ', 0x3131, 0x3157, 0x314F };
+    var output: [8]u32 = undefined;
+    const count = joinJamo(&input, .compound, &output);
+    try std.testing.expectEqualSlices(u32, &[_]u32{ 0x3137, 0x314F, 0x313A, ' ', 0x3131, 0x3158 }, output[0..count]);
+
+    // ㅎㅏㄱㄱㅛ (학교) keeps ㄱ+ㄱ; ㄱㄱㅗ at the start is ㄲㅗ
+    const doubles = [_]u32{ 0x314E, 0x314F, 0x3131, 0x3131, 0x315B, ' ', 0x3131, 0x3131, 0x3157 };
+    const joined = joinJamo(&doubles, .all, &output);
+    try std.testing.expectEqualSlices(u32, &[_]u32{ 0x314E, 0x314F, 0x3131, 0x3131, 0x315B, ' ', 0x3132, 0x3157 }, output[0..joined]);
+
+    // ㅅㅅㅏㅇㅅㅅㅏㅇ (쌍쌍): ㅇㅅ isn't a final, so ㅅㅅ is the next initial
+    const ssang = [_]u32{ 0x3145, 0x3145, 0x314F, 0x3147, 0x3145, 0x3145, 0x314F, 0x3147 };
+    const ssang_count = joinJamo(&ssang, .all, &output);
+    try std.testing.expectEqualSlices(u32, &[_]u32{ 0x3146, 0x314F, 0x3147, 0x3146, 0x314F, 0x3147 }, output[0..ssang_count]);
+
+    // ㄷㅏㄹㄱㄱㅏ (닭가): the final takes ㄹㄱ before ㄱㄱ can be an initial
+    const dalk = [_]u32{ 0x3137, 0x314F, 0x3139, 0x3131, 0x3131, 0x314F };
+    const dalk_count = joinJamo(&dalk, .all, &output);
+    try std.testing.expectEqualSlices(u32, &[_]u32{ 0x3137, 0x314F, 0x313A, 0x3131, 0x314F }, output[0..dalk_count]);
+}
+
+test "every syllable round-trips through a compound split" {
+    var syllable: u32 = SYLLABLE_BASE;
+    while (syllable <= 0xD7A3) : (syllable += 1) {
+        const j = decompose(syllable).?;
+        var split: [6]u32 = undefined;
+        var len: u32 = 0;
+        for ([_]u32{ j.initial, j.medial, j.final }) |part| {
+            if (part != 0) len += splitJamo(part, .compound, split[len..].ptr);
+        }
+        var joined: [6]u32 = undefined;
+        const count = joinJamo(split[0..len], .compound, &joined);
+        var output: [6]u32 = undefined;
+        try std.testing.expectEqual(@as(u32, 1), composeString(joined[0..count], &output));
+        try std.testing.expectEqual(syllable, output[0]);
+    }
+}
@@ -0,0 +1,744 @@
+const std = @import("std");
+const hangul = @import("hangul.zig");
+
+// Re-export core functions needed by romanization
+const decompose = hangul.decompose;
+const compose = hangul.compose;
+const decodeUtf8Char = hangul.decodeUtf8Char;
+
+// ============================================================================
+// Korean Romanization
+// Revised Romanization (2000), McCune–Reischauer, and the reversible
+// letter-by-letter transliteration from RR §8
+// ============================================================================
+
+/// Romanization system, matching the `system` argument of wasm_romanize
+pub const System = enum(u32) {
+    /// Revised Romanization, spelled as pronounced
+    revised = 0,
+    /// McCune–Reischauer, spelled as pronounced
+    mccune_reischauer = 1,
+    /// Revised Romanization letter by letter, reversible with detransliterate()
+    transliteration = 2,
+};
+
+// Compatibility jamo used by the sound-change rules
+const G: u32 = 0x3131; // ㄱ
+const GG: u32 = 0x3132; // ㄲ
+const GS: u32 = 0x3133; // ㄳ
+const N: u32 = 0x3134; // ㄴ
+const NJ: u32 = 0x3135; // ㄵ
+const NH: u32 = 0x3136; // ㄶ
+const D: u32 = 0x3137; // ㄷ
+const R: u32 = 0x3139; // ㄹ
+const RG: u32 = 0x313A; // ㄺ
+const RM: u32 = 0x313B; // ㄻ
+const RB: u32 = 0x313C; // ㄼ
+const RS: u32 = 0x313D; // ㄽ
+const RT: u32 = 0x313E; // ㄾ
+const RP: u32 = 0x313F; // ㄿ
+const RH: u32 = 0x3140; // ㅀ
+const M: u32 = 0x3141; // ㅁ
+const B: u32 = 0x3142; // ㅂ
+const BS: u32 = 0x3144; // ㅄ
+const S: u32 = 0x3145; // ㅅ
+const SS: u32 = 0x3146; // ㅆ
+const NG: u32 = 0x3147; // ㅇ
+const J: u32 = 0x3148; // ㅈ
+const CH: u32 = 0x314A; // ㅊ
+const K: u32 = 0x314B; // ㅋ
+const T: u32 = 0x314C; // ㅌ
+const P: u32 = 0x314D; // ㅍ
+const H: u32 = 0x314E; // ㅎ
+const WI: u32 = 0x315F; // ㅟ
+const I: u32 = 0x3163; // ㅣ
+
+const CONSONANT_BASE: u32 = 0x3131;
+const VOWEL_BASE: u32 = 0x314F;
+
+// Letters indexed by (consonant - CONSONANT_BASE), ㄱ..ㅎ
+// Entries that cannot appear in that position are empty
+
+const RR_INITIAL = [_][]const u8{
+    "g", "kk", "", "n", "", "", "d", "tt", "r", // ㄱ ㄲ ㄳ ㄴ ㄵ ㄶ ㄷ ㄸ ㄹ
+    "", "", "", "", "", "", "", // ㄺ-ㅀ
+    "m", "b", "pp", "", "s", "ss", "", "j", "jj", // ㅁ ㅂ ㅃ ㅄ ㅅ ㅆ ㅇ ㅈ ㅉ
+    "ch", "k", "t", "p", "h", // ㅊ ㅋ ㅌ ㅍ ㅎ
+};
+
+// RR §8: ㄱ ㄷ ㅂ ㄹ are always g d b l
+const TRANSLIT_INITIAL = [_][]const u8{
+    "g", "kk", "", "n", "", "", "d", "tt", "l", // ㄱ ㄲ ㄳ ㄴ ㄵ ㄶ ㄷ ㄸ ㄹ
+    "", "", "", "", "", "", "", // ㄺ-ㅀ
+    "m", "b", "pp", "", "s", "ss", "", "j", "jj", // ㅁ ㅂ ㅃ ㅄ ㅅ ㅆ ㅇ ㅈ ㅉ
+    "ch", "k", "t", "p", "h", // ㅊ ㅋ ㅌ ㅍ ㅎ
+};
+
+const TRANSLIT_FINAL = [_][]const u8{
+    "g", "kk", "gs", "n", "nj", "nh", "d", "", "l", // ㄱ ㄲ ㄳ ㄴ ㄵ ㄶ ㄷ ㄸ ㄹ
+    "lg", "lm", "lb", "ls", "lt", "lp", "lh", // ㄺ ㄻ ㄼ ㄽ ㄾ ㄿ ㅀ
+    "m", "b", "", "bs", "s", "ss", "ng", "j", "", // ㅁ ㅂ ㅃ ㅄ ㅅ ㅆ ㅇ ㅈ ㅉ
+    "ch", "k", "t", "p", "h", // ㅊ ㅋ ㅌ ㅍ ㅎ
+};
+
+// MR initials; ㄱ ㄷ ㅂ ㅈ ㄹ ㅅ depend on context and are handled in code
+const MR_INITIAL = [_][]const u8{
+    "k", "kk", "", "n", "", "", "t", "tt", "r", // ㄱ ㄲ ㄳ ㄴ ㄵ ㄶ ㄷ ㄸ ㄹ
+    "", "", "", "", "", "", "", // ㄺ-ㅀ
+    "m", "p", "pp", "", "s", "ss", "", "ch", "tch", // ㅁ ㅂ ㅃ ㅄ ㅅ ㅆ ㅇ ㅈ ㅉ
+    "ch’", "k’", "t’", "p’", "h", // ㅊ ㅋ ㅌ ㅍ ㅎ
+};
+
+// Letters indexed by (vowel - VOWEL_BASE), ㅏ..ㅣ
+
+const RR_MEDIAL = [_][]const u8{
+    "a", "ae", "ya", "yae", "eo", "e", "yeo", "ye", // ㅏ ㅐ ㅑ ㅒ ㅓ ㅔ ㅕ ㅖ
+    "o", "wa", "wae", "oe", "yo", // ㅗ ㅘ ㅙ ㅚ ㅛ
+    "u", "wo", "we", "wi", "yu", // ㅜ ㅝ ㅞ ㅟ ㅠ
+    "eu", "ui", "i", // ㅡ ㅢ ㅣ
+};
+
+const MR_MEDIAL = [_][]const u8{
+    "a", "ae", "ya", "yae", "ŏ", "e", "yŏ", "ye", // ㅏ ㅐ ㅑ ㅒ ㅓ ㅔ ㅕ ㅖ
+    "o", "wa", "wae", "oe", "yo", // ㅗ ㅘ ㅙ ㅚ ㅛ
+    "u", "wŏ", "we", "wi", "yu", // ㅜ ㅝ ㅞ ㅟ ㅠ
+    "ŭ", "ŭi", "i", // ㅡ ㅢ ㅣ
+};
+
+/// Final consonant letters after neutralization (both RR and MR)
+fn soundFinal(final: u32) []const u8 {
+    return switch (final) {
+        G => "k",
+        N => "n",
+        D => "t",
+        R => "l",
+        M => "m",
+        B => "p",
+        NG => "ng",
+        else => "",
+    };
+}
+
+// ============================================================================
+// Sound Changes
+// ============================================================================
+
+/// Reduce a final to one of the seven pronounced finals (ㄱ ㄴ ㄷ ㄹ ㅁ ㅂ ㅇ)
+fn neutralize(final: u32) u32 {
+    return switch (final) {
+        GS, GG, K, RG => G,
+        NJ, NH => N,
+        S, SS, J, CH, T, H => D,
+        RB, RS, RT, RH => R,
+        RM => M,
+        P, RP, BS => B,
+        else => final,
+    };
+}
+
+/// Nasalize an obstruent final before ㄴ/ㅁ (ㄱ→ㅇ, ㄷ→ㄴ, ㅂ→ㅁ)
+fn nasalize(final: u32) u32 {
+    return switch (final) {
+        G => NG,
+        D => N,
+        B => M,
+        else => final,
+    };
+}
+
+/// Split a compound final into the part that stays and the part that moves
+/// to a following silent ㅇ
+fn splitCompound(final: u32) ?[2]u32 {
+    return switch (final) {
+        GS => .{ G, S },
+        NJ => .{ N, J },
+        RG => .{ R, G },
+        RM => .{ R, M },
+        RB => .{ R, B },
+        RS => .{ R, S },
+        RT => .{ R, T },
+        RP => .{ R, P },
+        BS => .{ B, S },
+        else => null,
+    };
+}
+
+/// ㄷ/ㅌ before 이 are pronounced ㅈ/ㅊ (굳이 → 구지, 같이 → 가치)
+fn palatalize(initial: u32, medial: u32) u32 {
+    if (medial != I) return initial;
+    return switch (initial) {
+        D => J,
+        T => CH,
+        else => initial,
+    };
+}
+
+/// Pronounced final and initial at a syllable boundary inside a word
+const Boundary = struct {
+    final: u32,
+    initial: u32,
+};
+
+/// Apply the standard pronunciation rules to the final of one syllable and
+/// the initial (plus medial) of the next: liaison, ㅎ aspiration,
+/// nasalization, and ㄹ assimilation.
+///
+/// ㄱ/ㄷ/ㅂ/ㅈ + ㅎ keep the ㅎ, as RR does for nouns (묵호 Mukho).
+/// Tensing is not written by either system and is not modeled.
+fn applyBoundary(final: u32, initial: u32, medial: u32) Boundary {
+    if (final == 0) return .{ .final = 0, .initial = initial };
+
+    // Liaison: the final moves into a following silent ㅇ
+    if (initial == NG) {
+        return switch (final) {
+            NG => .{ .final = NG, .initial = NG },
+            H => .{ .final = 0, .initial = NG },
+            NH => .{ .final = 0, .initial = N },
+            RH => .{ .final = 0, .initial = R },
+            else => if (splitCompound(final)) |parts|
+                .{ .final = parts[0], .initial = palatalize(parts[1], medial) }
+            else
+                .{ .final = 0, .initial = palatalize(final, medial) },
+        };
+    }
+
+    var f = final;
+
+    // ㅎ aspirates a following ㄱ/ㄷ/ㅈ (좋고 → 조코, 많다 → 만타)
+    if (f == H or f == NH or f == RH) {
+        const rest: u32 = switch (f) {
+            NH => N,
+            RH => R,
+            else => 0,
+        };
+        switch (initial) {
+            G => return .{ .final = rest, .initial = K },
+            D => return .{ .final = rest, .initial = T },
+            J => return .{ .final = rest, .initial = CH },
+            S => if (f == H) return .{ .final = 0, .initial = S },
+            else => {},
+        }
+        f = if (rest != 0) rest else D;
+    }
+
+    if (initial == H) return .{ .final = neutralize(f), .initial = H };
+
+    // ㄺ keeps ㄹ before ㄱ (맑게 → 말게)
+    f = if (f == RG and initial == G) R else neutralize(f);
+
+    switch (initial) {
+        R => return switch (f) {
+            // 신라 → 실라
+            R, N => .{ .final = R, .initial = R },
+            // 종로 → 종노
+            M, NG => .{ .final = f, .initial = N },
+            // 독립 → 동닙
+            else => .{ .final = nasalize(f), .initial = N },
+        },
+        // 설날 → 설랄
+        N => if (f == R) return .{ .final = R, .initial = R },
+        else => {},
+    }
+
+    // 국물 → 궁물, 입니다 → 임니다
+    if (initial == N or initial == M) {
+        return .{ .final = nasalize(f), .initial = initial };
+    }
+
+    return .{ .final = f, .initial = initial };
+}
+
+// ============================================================================
+// Transliteration Parsing
+// ============================================================================
+
+const Letters = struct {
+    text: []const u8,
+    jamo: u32,
+};
+
+// Longest spellings first so matching is greedy
+const INITIAL_LETTERS = [_]Letters{
+    .{ .text = "kk", .jamo = GG },     .{ .text = "tt", .jamo = 0x3138 },
+    .{ .text = "pp", .jamo = 0x3143 }, .{ .text = "ss", .jamo = SS },
+    .{ .text = "jj", .jamo = 0x3149 }, .{ .text = "ch", .jamo = CH },
+    .{ .text = "g", .jamo = G },       .{ .text = "n", .jamo = N },
+    .{ .text = "d", .jamo = D },       .{ .text = "l", .jamo = R },
+    .{ .text = "m", .jamo = M },       .{ .text = "b", .jamo = B },
+    .{ .text = "s", .jamo = S },       .{ .text = "j", .jamo = J },
+    .{ .text = "k", .jamo = K },       .{ .text = "t", .jamo = T },
+    .{ .text = "p", .jamo = P },       .{ .text = "h", .jamo = H },
+};
+
+const MEDIAL_LETTERS = [_]Letters{
+    .{ .text = "yae", .jamo = 0x3152 }, .{ .text = "yeo", .jamo = 0x3155 },
+    .{ .text = "wae", .jamo = 0x3159 }, .{ .text = "ae", .jamo = 0x3150 },
+    .{ .text = "ya", .jamo = 0x3151 },  .{ .text = "eo", .jamo = 0x3153 },
+    .{ .text = "ye", .jamo = 0x3156 },  .{ .text = "wa", .jamo = 0x3158 },
+    .{ .text = "oe", .jamo = 0x315A },  .{ .text = "yo", .jamo = 0x315B },
+    .{ .text = "wo", .jamo = 0x315D },  .{ .text = "we", .jamo = 0x315E },
+    .{ .text = "wi", .jamo = WI },      .{ .text = "yu", .jamo = 0x3160 },
+    .{ .text = "eu", .jamo = 0x3161 },  .{ .text = "ui", .jamo = 0x3162 },
+    .{ .text = "a", .jamo = 0x314F },   .{ .text = "e", .jamo = 0x3154 },
+    .{ .text = "o", .jamo = 0x3157 },   .{ .text = "u", .jamo = 0x315C },
+    .{ .text = "i", .jamo = I },
+};
+
+const FINAL_LETTERS = [_]Letters{
+    .{ .text = "kk", .jamo = GG }, .{ .text = "gs", .jamo = GS },
+    .{ .text = "nj", .jamo = NJ }, .{ .text = "nh", .jamo = NH },
+    .{ .text = "lg", .jamo = RG }, .{ .text = "lm", .jamo = RM },
+    .{ .text = "lb", .jamo = RB }, .{ .text = "ls", .jamo = RS },
+    .{ .text = "lt", .jamo = RT }, .{ .text = "lp", .jamo = RP },
+    .{ .text = "lh", .jamo = RH }, .{ .text = "bs", .jamo = BS },
+    .{ .text = "ss", .jamo = SS }, .{ .text = "ng", .jamo = NG },
+    .{ .text = "ch", .jamo = CH }, .{ .text = "g", .jamo = G },
+    .{ .text = "n", .jamo = N },   .{ .text = "d", .jamo = D },
+    .{ .text = "l", .jamo = R },   .{ .text = "m", .jamo = M },
+    .{ .text = "b", .jamo = B },   .{ .text = "s", .jamo = S },
+    .{ .text = "j", .jamo = J },   .{ .text = "k", .jamo = K },
+    .{ .text = "t", .jamo = T },   .{ .text = "p", .jamo = P },
+    .{ .text = "h", .jamo = H },
+};
+
+fn isLetter(c: u8) bool {
+    return c >= 'a' and c <= 'z';
+}
+
+fn matchLetters(table: []const Letters, text: []const u8, pos: usize) ?Letters {
+    for (table) |entry| {
+        if (std.mem.startsWith(u8, text[pos..], entry.text)) return entry;
+    }
+    return null;
+}
+
+/// True if a consonant-initial syllable (initial + vowel) starts at pos
+fn startsSyllable(text: []const u8, pos: usize) bool {
+    for (INITIAL_LETTERS) |entry| {
+        if (!std.mem.startsWith(u8, text[pos..], entry.text)) continue;
+        if (matchLetters(&MEDIAL_LETTERS, text, pos + entry.text.len) != null) return true;
+    }
+    return false;
+}
+
+/// True if a syllable may end at pos: end of text, a non-letter, or the
+/// start of the next consonant-initial syllable
+fn endsSyllable(text: []const u8, pos: usize) bool {
+    return pos >= text.len or !isLetter(text[pos]) or startsSyllable(text, pos);
+}
+
+const Parsed = struct {
+    syllable: u32,
+    end: usize,
+};
+
+/// Parse one transliterated syllable at pos.
+/// A vowel-initial spelling means silent ㅇ and is only accepted when
+/// `vowel_initial` is set (start of a word or after a hyphen).
+fn parseSyllable(text: []const u8, pos: usize, vowel_initial: bool) ?Parsed {
+    var initial: u32 = NG;
+    var p = pos;
+    for (INITIAL_LETTERS) |entry| {
+        if (!std.mem.startsWith(u8, text[p..], entry.text)) continue;
+        if (matchLetters(&MEDIAL_LETTERS, text, p + entry.text.len) == null) continue;
+        initial = entry.jamo;
+        p += entry.text.len;
+        break;
+    }
+    if (initial == NG and !vowel_initial) return null;
+
+    const medial = matchLetters(&MEDIAL_LETTERS, text, p) orelse return null;
+    p += medial.text.len;
+
+    var final: u32 = 0;
+    for (FINAL_LETTERS) |entry| {
+        if (!std.mem.startsWith(u8, text[p..], entry.text)) continue;
+        if (!endsSyllable(text, p + entry.text.len)) continue;
+        final = entry.jamo;
+        p += entry.text.len;
+        break;
+    }
+    if (final == 0 and !endsSyllable(text, p)) return null;
+
+    const syllable = compose(initial, medial.jamo, final) orelse return null;
+    return .{ .syllable = syllable, .end = p };
+}
+
+/// True if `next` appended to `prev` would not read back unambiguously,
+/// so the two syllables need a hyphen between them (RR §8)
+fn needsHyphen(prev: []const u8, prev_final_start: usize, next: []const u8) bool {
+    var buf: [16]u8 = undefined;
+    @memcpy(buf[0..prev.len], prev);
+    @memcpy(buf[prev.len..][0..next.len], next);
+    const text = buf[0 .. prev.len + next.len];
+
+    // Exactly one way to end the previous syllable, and it must be ours
+    var readings: u32 = 0;
+    var ours = false;
+    for (FINAL_LETTERS) |entry| {
+        if (!std.mem.startsWith(u8, text[prev_final_start..], entry.text)) continue;
+        const end = prev_final_start + entry.text.len;
+        if (!endsSyllable(text, end)) continue;
+        readings += 1;
+        if (end == prev.len) ours = true;
+    }
+    if (endsSyllable(text, prev_final_start)) {
+        readings += 1;
+        if (prev_final_start == prev.len) ours = true;
+    }
+    return readings != 1 or !ours;
+}
+
+// ============================================================================
+// Romanization
+// ============================================================================
+
+const Writer = struct {
+    buf: []u8,
+    len: usize = 0,
+    overflow: bool = false,
+
+    fn write(self: *Writer, text: []const u8) void {
+        if (self.len + text.len > self.buf.len) {
+            self.overflow = true;
+            return;
+        }
+        @memcpy(self.buf[self.len..][0..text.len], text);
+        self.len += text.len;
+    }
+};
+
+/// A syllable waiting for the next one to settle its final
+const Pending = struct {
+    initial: u32,
+    medial: u32,
+    final: u32,
+    /// Pronounced final of the syllable before, null at the start of a word
+    prev_final: ?u32,
+};
+
+/// Letters for the initial consonant of a pronounced syllable
+fn initialLetters(system: System, pending: Pending) []const u8 {
+    const idx = pending.initial - CONSONANT_BASE;
+    const after = pending.prev_final;
+
+    if (pending.initial == R and after != null and after.? == R) return "l";
+    if (system == .revised) return RR_INITIAL[idx];
+
+    // MR voices ㄱ ㄷ ㅂ ㅈ between voiced sounds
+    const voiced = if (after) |f| f == 0 or f == N or f == R or f == M or f == NG else false;
+    return switch (pending.initial) {
+        G => if (voiced) "g" else "k",
+        D => if (voiced) "d" else "t",
+        B => if (voiced) "b" else "p",
+        J => if (voiced) "j" else "ch",
+        S => if (pending.medial == I or pending.medial == WI) "sh" else "s",
+        else => MR_INITIAL[idx],
+    };
+}
+
+/// Write a pronounced syllable in RR or MR
+fn writeSpoken(w: *Writer, system: System, pending: Pending, final: u32) void {
+    // MR separates n+g from ng (한국 Han’guk)
+    if (system == .mccune_reischauer and pending.initial == G) {
+        if (pending.prev_final) |f| {
+            if (f == N) w.write("’");
+        }
+    }
+    w.write(initialLetters(system, pending));
+    const vowels = if (system == .revised) &RR_MEDIAL else &MR_MEDIAL;
+    w.write(vowels[pending.medial - VOWEL_BASE]);
+    w.write(soundFinal(final));
+}
+
+/// Transliteration spelling of a syllable; returns the offset of its final
+fn spell(buf: *[16]u8, jamo: hangul.JamoDecomp) struct { len: usize, final_start: usize } {
+    var len: usize = 0;
+    const parts = [_][]const u8{
+        TRANSLIT_INITIAL[jamo.initial - CONSONANT_BASE],
+        RR_MEDIAL[jamo.medial - VOWEL_BASE],
+    };
+    for (parts) |part| {
+        @memcpy(buf[len..][0..part.len], part);
+        len += part.len;
+    }
+    const final_start = len;
+    if (jamo.final != 0) {
+        const part = TRANSLIT_FINAL[jamo.final - CONSONANT_BASE];
+        @memcpy(buf[len..][0..part.len], part);
+        len += part.len;
+    }
+    return .{ .len = len, .final_start = final_start };
+}
+
+/// Transliterate UTF-8 text letter by letter.
+/// Silent ㅇ inside a word and ambiguous joins are written with a hyphen,
+/// so detransliterate() restores the original syllables.
+fn transliterate(input: []const u8, w: *Writer) void {
+    var prev_buf: [16]u8 = undefined;
+    var prev_len: usize = 0;
+    var prev_final_start: usize = 0;
+    var in_word = false;
+    var i: u32 = 0;
+
+    while (i < input.len) {
+        const c = decodeUtf8Char(input.ptr, i, @intCast(input.len));
+        if (c.char == 0) break;
+        i += c.len;
+
+        const jamo = decompose(c.char) orelse {
+            in_word = false;
+            w.write(input[i - c.len .. i]);
+            continue;
+        };
+
+        var buf: [16]u8 = undefined;
+        const spelled = spell(&buf, jamo);
+        if (in_word and (jamo.initial == NG or
+            needsHyphen(prev_buf[0..prev_len], prev_final_start, buf[0..spelled.len])))
+        {
+            w.write("-");
+        }
+        w.write(buf[0..spelled.len]);
+
+        prev_buf = buf;
+        prev_len = spelled.len;
+        prev_final_start = spelled.final_start;
+        in_word = true;
+    }
+}
+
+/// Romanize UTF-8 text into `output`.
+/// Hangul syllables are romanized a word at a time so sound changes apply
+/// across syllables; everything else is copied unchanged.
+/// Returns the number of bytes written, or null if `output` is too small.
+pub fn romanize(input: []const u8, system: System, output: []u8) ?usize {
+    var w = Writer{ .buf = output };
+
+    if (system == .transliteration) {
+        transliterate(input, &w);
+        return if (w.overflow) null else w.len;
+    }
+
+    var pending: ?Pending = null;
+    var i: u32 = 0;
+
+    while (i < input.len) {
+        const c = decodeUtf8Char(input.ptr, i, @intCast(input.len));
+        if (c.char == 0) break;
+        i += c.len;
+
+        const jamo = decompose(c.char) orelse {
+            // End of word: finals are pronounced in their neutral form
+            if (pending) |p| writeSpoken(&w, system, p, neutralize(p.final));
+            pending = null;
+            w.write(input[i - c.len .. i]);
+            continue;
+        };
+
+        var next = Pending{
+            .initial = jamo.initial,
+            .medial = jamo.medial,
+            .final = jamo.final,
+            .prev_final = null,
+        };
+        if (pending) |p| {
+            const change = applyBoundary(p.final, jamo.initial, jamo.medial);
+            writeSpoken(&w, system, p, change.final);
+            next.initial = change.initial;
+            next.prev_final = change.final;
+        }
+        pending = next;
+    }
+    if (pending) |p| writeSpoken(&w, system, p, neutralize(p.final));
+
+    return if (w.overflow) null else w.len;
+}
+
+/// Restore Hangul from transliterate() output, writing code points.
+/// Letters that do not spell a syllable are copied unchanged.
+/// Returns the number of code points written (at most `input.len`).
+pub fn detransliterate(input: []const u8, output: [*]u32) u32 {
+    var out_idx: u32 = 0;
+    var i: usize = 0;
+    var vowel_initial = true;
+
+    while (i < input.len) {
+        const c = input[i];
+
+        // A hyphen between syllables is a separator, or marks silent ㅇ
+        if (c == '-' and !vowel_initial and i + 1 < input.len and isLetter(input[i + 1])) {
+            if (parseSyllable(input, i + 1, true)) |parsed| {
+                output[out_idx] = parsed.syllable;
+                out_idx += 1;
+                i = parsed.end;
+                continue;
+            }
+        }
+
+        if (isLetter(c)) {
+            if (parseSyllable(input, i, vowel_initial)) |parsed| {
+                output[out_idx] = parsed.syllable;
+                out_idx += 1;
+                i = parsed.end;
+                vowel_initial = false;
+                continue;
+            }
+        }
+
+        // Copy anything else through, one UTF-8 character at a time
+        const decoded = decodeUtf8Char(input.ptr, @intCast(i), @intCast(input.len));
+        if (decoded.char == 0) break;
+        output[out_idx] = decoded.char;
+        out_idx += 1;
+        i += decoded.len;
+        vowel_initial = !isLetter(c);
+    }
+
+    return out_idx;
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+fn expectRomanized(system: System, input: []const u8, expected: []const u8) !void {
+    var buf: [256]u8 = undefined;
+    const len = romanize(input, system, &buf) orelse return error.TestUnexpectedResult;
+    try std.testing.expectEqualStrings(expected, buf[0..len]);
+}
+
+fn expectRoundTrip(input: []const u8, expected: []const u8) !void {
+    try expectRomanized(.transliteration, input, expected);
+
+    var codepoints: [64]u32 = undefined;
+    const count = detransliterate(expected, &codepoints);
+    var buf: [256]u8 = undefined;
+    var len: usize = 0;
+    for (codepoints[0..count]) |cp| {
+        len += try std.unicode.utf8Encode(@intCast(cp), buf[len..]);
+    }
+    try std.testing.expectEqualStrings(input, buf[0..len]);
+}
+
+test "revised: plain syllables" {
+    try expectRomanized(.revised, "한글", "hangeul");
+    try expectRomanized(.revised, "서울", "seoul");
+    try expectRomanized(.revised, "부산", "busan");
+    try expectRomanized(.revised, "라면", "ramyeon");
+}
+
+test "revised: final neutralization" {
+    try expectRomanized(.revised, "닭", "dak");
+    try expectRomanized(.revised, "여덟", "yeodeol");
+    try expectRomanized(.revised, "월곶", "wolgot");
+    try expectRomanized(.revised, "벚꽃", "beotkkot");
+    try expectRomanized(.revised, "한밭", "hanbat");
+}
+
+test "revised: liaison" {
+    try expectRomanized(.revised, "있어요", "isseoyo");
+    try expectRomanized(.revised, "읽어", "ilgeo");
+    try expectRomanized(.revised, "값이", "gapsi");
+    try expectRomanized(.revised, "좋아", "joa");
+    try expectRomanized(.revised, "많아", "mana");
+    try expectRomanized(.revised, "백암", "baegam");
+    try expectRomanized(.revised, "맛있다", "masitda");
+}
+
+test "revised: palatalization" {
+    try expectRomanized(.revised, "같이", "gachi");
+    try expectRomanized(.revised, "해돋이", "haedoji");
+}
+
+test "revised: nasalization" {
+    try expectRomanized(.revised, "백마", "baengma");
+    try expectRomanized(.revised, "입니다", "imnida");
+    try expectRomanized(.revised, "종로", "jongno");
+    try expectRomanized(.revised, "독립", "dongnip");
+    try expectRomanized(.revised, "왕십리", "wangsimni");
+    try expectRomanized(.revised, "놓는", "nonneun");
+}
+
+test "revised: ㄹ assimilation" {
+    try expectRomanized(.revised, "신라", "silla");
+    try expectRomanized(.revised, "설날", "seollal");
+    try expectRomanized(.revised, "대관령", "daegwallyeong");
+    try expectRomanized(.revised, "뚫는", "ttulleun");
+}
+
+test "revised: ㅎ aspiration" {
+    try expectRomanized(.revised, "좋고", "joko");
+    try expectRomanized(.revised, "많다", "manta");
+    try expectRomanized(.revised, "낳지", "nachi");
+    try expectRomanized(.revised, "묵호", "mukho");
+    try expectRomanized(.revised, "집현전", "jiphyeonjeon");
+}
+
+test "revised: words are romanized separately" {
+    try expectRomanized(.revised, "한국 사람!", "hanguk saram!");
+    try expectRomanized(.revised, "밥 먹어", "bap meogeo");
+}
+
+test "mccune-reischauer" {
+    try expectRomanized(.mccune_reischauer, "서울", "sŏul");
+    try expectRomanized(.mccune_reischauer, "부산", "pusan");
+    try expectRomanized(.mccune_reischauer, "대구", "taegu");
+    try expectRomanized(.mccune_reischauer, "인천", "inch’ŏn");
+    try expectRomanized(.mccune_reischauer, "광주", "kwangju");
+    try expectRomanized(.mccune_reischauer, "한국", "han’guk");
+    try expectRomanized(.mccune_reischauer, "독립", "tongnip");
+    try expectRomanized(.mccune_reischauer, "신라", "shilla");
+    try expectRomanized(.mccune_reischauer, "학교", "hakkyo");
+}
+
+test "transliteration: RR §8 examples round-trip" {
+    try expectRoundTrip("집", "jib");
+    try expectRoundTrip("짚", "jip");
+    try expectRoundTrip("밖", "bakk");
+    try expectRoundTrip("값", "gabs");
+    try expectRoundTrip("붓꽃", "buskkoch");
+    try expectRoundTrip("먹는", "meogneun");
+    try expectRoundTrip("독립", "doglib");
+    try expectRoundTrip("문리", "munli");
+    try expectRoundTrip("물엿", "mul-yeos");
+    try expectRoundTrip("굳이", "gud-i");
+    try expectRoundTrip("좋다", "johda");
+    try expectRoundTrip("가곡", "gagog");
+    try expectRoundTrip("조랑말", "jolangmal");
+    try expectRoundTrip("없었습니다", "eobs-eoss-seubnida");
+}
+
+test "transliteration: ambiguous joins get a hyphen" {
+    try expectRoundTrip("바깥", "ba-kkat");
+    try expectRoundTrip("간가", "ganga");
+    try expectRoundTrip("강가", "gangga");
+    try expectRoundTrip("넋세 넉쎄", "neogs-se neog-sse");
+    try expectRoundTrip("한국 IME!", "hangug IME!");
+}
+
+test "transliteration: every syllable pair round-trips" {
+    // Pair each syllable with a sample of followers and read it back
+    var first: u32 = 0xAC00;
+    while (first <= 0xD7A3) : (first += 1) {
+        var second: u32 = 0xAC00 + (first % 97);
+        while (second <= 0xD7A3) : (second += 997) {
+            var text: [6]u8 = undefined;
+            _ = try std.unicode.utf8Encode(@intCast(first), text[0..3]);
+            _ = try std.unicode.utf8Encode(@intCast(second), text[3..6]);
+
+            var buf: [32]u8 = undefined;
+            const len = romanize(&text, .transliteration, &buf).?;
+            var codepoints: [32]u32 = undefined;
+            const count = detransliterate(buf[0..len], &codepoints);
+            try std.testing.expectEqual(@as(u32, 2), count);
+            try std.testing.expectEqual(first, codepoints[0]);
+            try std.testing.expectEqual(second, codepoints[1]);
+        }
+    }
+}
+
+test "romanize reports a short output buffer" {
+    var buf: [4]u8 = undefined;
+    try std.testing.expectEqual(@as(?usize, null), romanize("한글", .revised, &buf));
+}
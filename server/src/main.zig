@@ -14,6 +14,7 @@ const allowed_files = [_][]const u8{
     "/hangul.wasm",
     "/hangul-ime.js",
     "/hangul-ime.d.ts",
+    "/hangul-elements.js",
     "/screenshot.png",
     "/favicon.svg",
     "/README.md",
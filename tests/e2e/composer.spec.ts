@@ -0,0 +1,91 @@
+import { expect, test } from './fixtures'
+
+// Each step is [committed, preedit] after one feed, backspace, commit or reset
+test.describe('HangulComposer', () => {
+  test('composes 2-Bulsik keystrokes', async ({ page }) => {
+    const steps = await page.evaluate(async () => {
+      const { HangulComposer, init } = await import('/hangul-ime.js')
+      const composer = new HangulComposer(await init())
+      const steps: [string, string][] = []
+      const step = (result: { committed: string; preedit: string }) =>
+        steps.push([result.committed, result.preedit])
+
+      for (const key of 'gksrmf') step(composer.feed(key))
+      step(composer.backspace())
+      step(composer.backspace())
+      step(composer.feed('1'))
+      step(composer.feed('d'))
+      step(composer.feed('k'))
+      step(composer.commit())
+      step(composer.backspace())
+      step(composer.feed('r'))
+      composer.reset()
+      step(composer.commit())
+      composer.destroy()
+      return steps
+    })
+
+    expect(steps).toEqual([
+      ['', 'ㅎ'],
+      ['', '하'],
+      ['', '한'],
+      ['한', 'ㄱ'],
+      ['', '그'],
+      ['', '글'],
+      // Backspace removes one jamo at a time
+      ['', '그'],
+      ['', 'ㄱ'],
+      // A key outside the layout commits and passes through
+      ['ㄱ1', ''],
+      ['', 'ㅇ'],
+      ['', '아'],
+      ['아', ''],
+      // Nothing left to delete or commit
+      ['', ''],
+      ['', 'ㄱ'],
+      // reset drops the composition without committing it
+      ['', ''],
+    ])
+  })
+
+  test('composes 3-Bulsik keystrokes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { HangulComposer, init } = await import('/hangul-ime.js')
+      const composer = new HangulComposer(await init(), { layout: '3bulsik' })
+      const steps: [string, string][] = []
+      const step = (result: { committed: string; preedit: string }) =>
+        steps.push([result.committed, result.preedit])
+
+      for (const key of 'mfskgw') step(composer.feed(key))
+      step(composer.backspace())
+      step(composer.commit())
+      for (const key of 'kf1j') step(composer.feed(key))
+      composer.reset()
+      const afterReset = composer.preedit
+      composer.setLayoutMode('2bulsik')
+      const switched = [composer.feed('r').preedit, composer.feed('k').preedit]
+      composer.destroy()
+      return { steps, afterReset, switched }
+    })
+
+    expect(result).toEqual({
+      steps: [
+        ['', 'ㅎ'],
+        ['', '하'],
+        ['', '한'],
+        ['한', 'ㄱ'],
+        ['', '그'],
+        ['', '글'],
+        ['', '그'],
+        ['그', ''],
+        ['', 'ㄱ'],
+        ['', '가'],
+        // '1' is the final ㅎ in 3-Bulsik, not a digit
+        ['', '갛'],
+        ['갛', 'ㅇ'],
+      ],
+      afterReset: '',
+      switched: ['ㄱ', '가'],
+    })
+  })
+})
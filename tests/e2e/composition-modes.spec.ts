@@ -0,0 +1,123 @@
+import { expect, test } from './fixtures'
+
+test.describe('Composition modes', () => {
+  test('moachigi builds a syllable from jamo in any order', async ({
+    page,
+  }) => {
+    const result = await page.evaluate(async () => {
+      const { HangulComposer, init } = await import('/hangul-ime.js')
+      const wasmModule = await init()
+      const moachigi = new HangulComposer(wasmModule, {
+        layout: '3bulsik',
+        moachigi: true,
+      })
+      const strict = new HangulComposer(wasmModule, { layout: '3bulsik' })
+      const type = (composer: typeof strict, keys: string) => {
+        let text = ''
+        for (const key of keys) text += composer.feed(key).committed
+        return text + composer.commit().committed
+      }
+      // k = ᄀ, f = ㅏ, s = ᆫ
+      const orders = ['kfs', 'ksf', 'fks', 'fsk', 'skf', 'sfk']
+      return {
+        moachigi: orders.map((keys) => type(moachigi, keys)),
+        strict: orders.map((keys) => type(strict, keys)),
+        // ᆫ waiting for its vowel is kept when the syllable ends early
+        unfinished: type(moachigi, 'sk '),
+        // Each syllable's jamo scrambled: 대 = ㅐᄃ, 한 = ㅏᆫᄒ, 민 = ㅣᆫᄆ, 국 = ᆨㅜᄀ
+        sentence: type(moachigi, 'rufsmdsixbk'),
+      }
+    })
+
+    expect(result).toEqual({
+      moachigi: ['간', '간', '간', '간', '간', '간'],
+      strict: ['간', 'ㄱㄴㅏ', 'ㅏㄱㄴ', 'ㅏㄴㄱ', 'ㄴ가', 'ㄴㅏㄱ'],
+      unfinished: 'ㄱㄴ ',
+      sentence: '대한민국',
+    })
+  })
+
+  test('auto-reorder combines doubles typed in reverse', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { HangulComposer, init } = await import('/hangul-ime.js')
+      const wasmModule = await init()
+      const reorder = new HangulComposer(wasmModule, { autoReorder: true })
+      const strict = new HangulComposer(wasmModule)
+      const type = (composer: typeof strict, keys: string) => {
+        let text = ''
+        for (const key of keys) text += composer.feed(key).committed
+        return text + composer.commit().committed
+      }
+      const keys = ['rkh', 'dlrf', 'rktr', 'rktrl']
+      return {
+        reorder: keys.map((k) => type(reorder, k)),
+        strict: keys.map((k) => type(strict, k)),
+      }
+    })
+
+    expect(result).toEqual({
+      // 과, 읽, 갃, then a vowel splits ㅅ+ㄱ back in typed order
+      reorder: ['과', '읽', '갃', '갓기'],
+      strict: ['가ㅗ', '익ㄹ', '갓ㄱ', '갓기'],
+    })
+  })
+
+  test('HangulIme options select the modes', async ({ page }) => {
+    await page.evaluate(async () => {
+      const container = document.createElement('div')
+      container.innerHTML = `
+        <input type="text" id="moachigi" class="moachigi">
+        <input type="text" id="reorder" class="reorder">
+      `
+      document.body.appendChild(container)
+
+      const { init, setupIme } = await import('/hangul-ime.js')
+      const wasmModule = await init()
+      setupIme(wasmModule, '.moachigi', {
+        layout: '3bulsik',
+        moachigi: true,
+      }).enable()
+      setupIme(wasmModule, '.reorder', { autoReorder: true }).enable()
+    })
+
+    const moachigi = page.locator('#moachigi')
+    await moachigi.focus()
+    await moachigi.pressSequentially('skfsk', { delay: 50 })
+    await expect(moachigi).toHaveValue('간ㄱ')
+
+    // The ᆫ still waiting for its vowel is kept when the field loses focus
+    const reorder = page.locator('#reorder')
+    await reorder.focus()
+    await expect(moachigi).toHaveValue('간ㄱㄴ')
+    await reorder.pressSequentially('dkgs', { delay: 50 })
+    await expect(reorder).toHaveValue('않')
+  })
+
+  test('a key outside the layout keeps the waiting moachigi final', async ({
+    page,
+  }) => {
+    await page.evaluate(async () => {
+      const input = document.createElement('input')
+      input.id = 'moachigi-keys'
+      document.body.appendChild(input)
+
+      const { init, registerLayout, setupIme } = await import('/hangul-ime.js')
+      // No '.' key: the browser types it after the composition ends
+      registerLayout('moachigi-3bulsik', {
+        type: '3bulsik',
+        keys: { k: 'ᄀ', f: 'ᅡ', s: 'ᆫ' },
+      })
+      setupIme(await init(), '#moachigi-keys', {
+        layout: 'moachigi-3bulsik',
+        moachigi: true,
+      }).enable()
+    })
+
+    const input = page.locator('#moachigi-keys')
+    await input.focus()
+    await input.pressSequentially('skfsk', { delay: 50 })
+    await expect(input).toHaveValue('간ㄱ')
+    await input.press('.')
+    await expect(input).toHaveValue('간ㄱㄴ.')
+  })
+})
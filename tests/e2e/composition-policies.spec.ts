@@ -0,0 +1,105 @@
+import { expect, test } from './fixtures'
+
+test.describe('Composition policies', () => {
+  test('composer options change doubling and backspace', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { HangulComposer, init } = await import('/hangul-ime.js')
+      const wasmModule = await init()
+      const type = (composer: HangulComposer, keys: string) => {
+        let text = ''
+        for (const key of keys) {
+          const result =
+            key === '\b' ? composer.backspace() : composer.feed(key)
+          text += result.committed
+        }
+        return text + composer.commit().committed
+      }
+      let invalid = ''
+      try {
+        new HangulComposer(wasmModule, { backspace: 'word' as 'jamo' })
+      } catch (error) {
+        invalid = (error as Error).message
+      }
+      return {
+        jamo: type(new HangulComposer(wasmModule), 'gks\b'),
+        syllable: type(
+          new HangulComposer(wasmModule, { backspace: 'syllable' }),
+          'dkssud\b',
+        ),
+        doubleFinals: type(
+          new HangulComposer(wasmModule, { doubleFinals: false }),
+          'rkt dlfr',
+        ),
+        doubleByRepeat: type(
+          new HangulComposer(wasmModule, { doubleByRepeat: false }),
+          'rrk Rk',
+        ),
+        threeBulsik: type(
+          new HangulComposer(wasmModule, {
+            layout: '3bulsik',
+            doubleFinals: false,
+            doubleByRepeat: false,
+          }),
+          'kkfxq',
+        ),
+        invalid,
+      }
+    })
+
+    expect(result).toEqual({
+      jamo: '하',
+      syllable: '안',
+      doubleFinals: '갓 일ㄱ',
+      doubleByRepeat: 'ㄱ가 까',
+      threeBulsik: 'ㄱ각ㅅ',
+      invalid: 'Unknown backspace mode: word',
+    })
+  })
+
+  test('commitEachSyllable ends the composition after every key', async ({
+    page,
+  }) => {
+    await page.evaluate(async () => {
+      const container = document.createElement('div')
+      container.innerHTML = '<input type="password" id="password">'
+      document.body.appendChild(container)
+
+      const { init, setupIme } = await import('/hangul-ime.js')
+      const wasmModule = await init()
+      setupIme(wasmModule, '#password', { commitEachSyllable: true }).enable()
+
+      const events: string[] = []
+      const field = document.getElementById('password')!
+      for (const type of ['compositionstart', 'compositionend']) {
+        field.addEventListener(type, (e) =>
+          events.push(`${type}:${(e as CompositionEvent).data}`),
+        )
+      }
+      ;(window as unknown as { events: string[] }).events = events
+    })
+
+    const field = page.locator('#password')
+    await field.focus()
+    await field.pressSequentially('gks', { delay: 50 })
+    await expect(field).toHaveValue('한')
+    await field.pressSequentially('rk', { delay: 50 })
+    await expect(field).toHaveValue('한가')
+    // Backspace deletes the committed 가 whole instead of reopening it
+    await field.press('Backspace')
+    await expect(field).toHaveValue('한')
+    await field.pressSequentially('rmf', { delay: 50 })
+    await expect(field).toHaveValue('한글')
+
+    const events = await page.evaluate(
+      () => (window as unknown as { events: string[] }).events,
+    )
+    expect(events.slice(0, 6)).toEqual([
+      'compositionstart:',
+      'compositionend:ㅎ',
+      'compositionstart:',
+      'compositionend:하',
+      'compositionstart:',
+      'compositionend:한',
+    ])
+  })
+})
@@ -0,0 +1,59 @@
+import { expect, test } from './fixtures'
+
+test.describe('Hangul IME contenteditable support', () => {
+  test.beforeEach(async ({ page }) => {
+    // Add a rich-text editor with nested inline formatting and attach an IME to it
+    await page.evaluate(async () => {
+      const editor = document.createElement('div')
+      editor.id = 'editor'
+      editor.contentEditable = 'true'
+      editor.innerHTML = '<p>abc<b id="bold"></b></p>'
+      document.body.appendChild(editor)
+
+      const { init, setupIme } = await import('/hangul-ime.js')
+      const wasmModule = await init()
+      setupIme(wasmModule, '#editor').enable()
+    })
+  })
+
+  test('types 한글 into a contenteditable host', async ({ page }) => {
+    const editor = page.locator('#editor')
+    await editor.click()
+    await page.keyboard.press('End')
+
+    await editor.pressSequentially('gksrmf', { delay: 50 })
+
+    await expect(editor).toHaveText('abc한글')
+  })
+
+  test('composes inside a nested inline node', async ({ page }) => {
+    // Put the caret inside the empty <b>
+    await page.evaluate(() => {
+      document.getElementById('editor')!.focus()
+      const bold = document.getElementById('bold')!
+      bold.appendChild(document.createTextNode(''))
+      const range = document.createRange()
+      range.setStart(bold.firstChild!, 0)
+      range.collapse(true)
+      const selection = document.getSelection()!
+      selection.removeAllRanges()
+      selection.addRange(range)
+    })
+
+    await page.keyboard.type('dkssud', { delay: 50 })
+
+    await expect(page.locator('#bold')).toHaveText('안녕')
+  })
+
+  test('backspace decomposes inside contenteditable', async ({ page }) => {
+    const editor = page.locator('#editor')
+    await editor.click()
+    await page.keyboard.press('End')
+
+    await editor.pressSequentially('gks', { delay: 50 })
+    await expect(editor).toHaveText('abc한')
+
+    await page.keyboard.press('Backspace')
+    await expect(editor).toHaveText('abc하')
+  })
+})
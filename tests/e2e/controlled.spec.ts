@@ -0,0 +1,60 @@
+import { expect, test } from './fixtures'
+
+test.describe('Hangul IME with controlled inputs', () => {
+  test.beforeEach(async ({ page }) => {
+    // Model a React controlled input: `value` is shadowed on the element to
+    // track writes, and every `input` event re-renders from component state
+    await page.evaluate(async () => {
+      const input = document.createElement('input')
+      input.type = 'text'
+      input.id = 'controlled'
+      document.body.appendChild(input)
+
+      const native = Object.getOwnPropertyDescriptor(
+        HTMLInputElement.prototype,
+        'value',
+      )!
+      let tracked = ''
+      let state = ''
+      Object.defineProperty(input, 'value', {
+        configurable: true,
+        get() {
+          return native.get!.call(this)
+        },
+        set(value) {
+          tracked = value
+          native.set!.call(this, value)
+        },
+      })
+      input.addEventListener('input', () => {
+        const value = native.get!.call(input)
+        if (value !== tracked) {
+          tracked = value
+          state = value // onChange → setState
+        }
+        input.value = state // render
+      })
+
+      const { init, setupIme } = await import('/hangul-ime.js')
+      const wasmModule = await init()
+      setupIme(wasmModule, '#controlled').enable()
+    })
+  })
+
+  test('keeps composed Hangul after re-render', async ({ page }) => {
+    const input = page.locator('#controlled')
+    await input.focus()
+    await input.pressSequentially('gksrmf', { delay: 50 })
+
+    await expect(input).toHaveValue('한글')
+  })
+
+  test('keeps backspace decomposition after re-render', async ({ page }) => {
+    const input = page.locator('#controlled')
+    await input.focus()
+    await input.pressSequentially('gks', { delay: 50 })
+    await input.press('Backspace')
+
+    await expect(input).toHaveValue('하')
+  })
+})
@@ -0,0 +1,52 @@
+import { expect, test } from './fixtures'
+
+test.describe('Hangul IME cursor tracking', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.locator('#imeToggle2').click()
+  })
+
+  test('typing over a selection replaces it', async ({ page }) => {
+    const input = page.locator('#imeInput')
+    await input.focus()
+    await input.fill('hello')
+    await input.evaluate((el: HTMLTextAreaElement) =>
+      el.setSelectionRange(1, 4),
+    )
+
+    await input.pressSequentially('gks', { delay: 50 })
+    await expect(input).toHaveValue('h한o')
+  })
+
+  test('text pasted after the syllable ends the composition', async ({
+    page,
+  }) => {
+    const input = page.locator('#imeInput')
+    await input.focus()
+    await input.pressSequentially('gk', { delay: 50 })
+
+    // Paste moves the caret past the composing syllable
+    await input.evaluate((el: HTMLTextAreaElement) => {
+      el.setRangeText('XY', el.value.length, el.value.length, 'end')
+    })
+
+    await input.pressSequentially('s', { delay: 50 })
+    await expect(input).toHaveValue('하XYㄴ')
+  })
+
+  test('undo reverts natively and resyncs the composition', async ({
+    page,
+  }) => {
+    const input = page.locator('#imeInput')
+    await input.focus()
+    await input.pressSequentially('gks', { delay: 50 })
+    await expect(input).toHaveValue('한')
+
+    await page.keyboard.press('Control+z')
+    await expect(input).not.toHaveValue('한')
+    const undone = await input.inputValue()
+
+    // The IME notices the change and starts over at the caret
+    await input.pressSequentially('r', { delay: 50 })
+    await expect(input).toHaveValue(`${undone}ㄱ`)
+  })
+})
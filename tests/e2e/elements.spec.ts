@@ -0,0 +1,242 @@
+import { expect, test } from './fixtures'
+
+test.describe('Custom elements', () => {
+  test('<hangul-input> types, lights keys and shows the preedit', async ({
+    page,
+  }) => {
+    await page.evaluate(async () => {
+      const { defineHangulElements } = await import('/hangul-elements.js')
+      defineHangulElements()
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        '<form id="form"><hangul-input id="memo" name="memo"></hangul-input></form>',
+      )
+      await (
+        document.getElementById('memo') as HTMLElement & {
+          ready: Promise<void>
+        }
+      ).ready
+    })
+
+    const memo = page.locator('#memo')
+    const input = memo.locator('input')
+    const preedit = memo.locator('[part="preedit"]')
+    const key = (code: string) => memo.locator(`button[data-code="${code}"]`)
+
+    await expect(key('KeyR')).toHaveText('ㄱㄲ')
+    await expect(key('KeyR')).toHaveAttribute('part', 'key initial')
+    await expect(key('KeyK')).toHaveAttribute('part', 'key medial')
+
+    await input.focus()
+    await input.pressSequentially('gks', { delay: 50 })
+    await expect(preedit).toHaveText('한')
+    await input.pressSequentially('rm', { delay: 50 })
+    await input.press('f')
+    await expect(key('KeyF')).toHaveAttribute('part', /pressed/)
+    await expect(input).toHaveValue('한글')
+    await expect(preedit).toHaveText('글')
+
+    // Tapped keys: Shift applies to the next key only
+    for (const code of ['Space', 'KeyD', 'KeyK', 'Shift', 'KeyR', 'KeyK']) {
+      await key(code).click()
+    }
+    await expect(input).toHaveValue('한글 아까')
+    await expect(memo.locator('hangul-keyboard')).not.toHaveAttribute('shifted')
+    await key('Backspace').click()
+    await expect(input).toHaveValue('한글 아ㄲ')
+    await expect(input).toBeFocused()
+
+    const formValue = await page.evaluate(() =>
+      new FormData(document.getElementById('form') as HTMLFormElement).get(
+        'memo',
+      ),
+    )
+    expect(formValue).toBe('한글 아ㄲ')
+
+    // Relabelled for 3-Bulsik: ㄱ is an initial on k and a final on x
+    await page.evaluate(() => {
+      document.getElementById('memo')?.setAttribute('layout', '3bulsik')
+    })
+    await expect(key('KeyK')).toHaveAttribute('part', 'key initial')
+    await expect(key('KeyX')).toHaveAttribute('part', 'key final')
+    await expect(key('KeyX')).toHaveText('ㄱㅄ')
+  })
+
+  test('<hangul-keyboard> drives a plain field', async ({ page }) => {
+    await page.evaluate(async () => {
+      const { defineHangulElements } = await import('/hangul-elements.js')
+      const { init } = await import('/hangul-ime.js')
+      defineHangulElements(await init())
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        `<textarea id="notes"></textarea>
+         <hangul-keyboard id="pad" for="notes" layout="3bulsik"></hangul-keyboard>`,
+      )
+      await (
+        document.getElementById('pad') as HTMLElement & {
+          ready: Promise<void>
+        }
+      ).ready
+    })
+
+    const notes = page.locator('#notes')
+    const pad = page.locator('#pad')
+    await notes.focus()
+    for (const code of ['KeyK', 'KeyF', 'KeyS']) {
+      await pad.locator(`button[data-code="${code}"]`).click()
+    }
+    await expect(pad.locator('[part="preedit"]')).toHaveText('간')
+    await notes.press('j')
+    await notes.press('d')
+    await expect(pad.locator('button[data-code="KeyD"]')).toHaveAttribute(
+      'part',
+      /pressed/,
+    )
+    await expect(notes).toHaveValue('간이')
+  })
+
+  test('<hangul-keyboard> drives a text target', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { defineHangulElements } = await import('/hangul-elements.js')
+      const { InputTextTarget, init } = await import('/hangul-ime.js')
+      defineHangulElements(await init())
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        `<input id="target-input">
+         <hangul-keyboard id="target-pad"></hangul-keyboard>
+         <hangul-keyboard id="memory-pad"></hangul-keyboard>`,
+      )
+      type Keyboard = HTMLElement & {
+        ready: Promise<void>
+        field: unknown
+        press(code: string): void
+      }
+      const targetPad = document.getElementById('target-pad') as Keyboard
+      const memoryPad = document.getElementById('memory-pad') as Keyboard
+      await Promise.all([targetPad.ready, memoryPad.ready])
+
+      // Listens on the element of a text target
+      targetPad.field = new InputTextTarget(
+        document.getElementById('target-input') as HTMLInputElement,
+      )
+
+      // A target with no element only takes taps
+      let text = ''
+      let caret = 0
+      memoryPad.field = {
+        getText: () => text,
+        getSelection: () => ({ start: caret, end: caret }),
+        replaceRange(start: number, end: number, insert: string) {
+          text = text.slice(0, start) + insert + text.slice(end)
+          caret = start + insert.length
+        },
+      }
+      for (const code of ['KeyG', 'KeyK', 'KeyS', 'KeyR', 'KeyM', 'KeyF']) {
+        memoryPad.press(code)
+      }
+      memoryPad.press('Backspace')
+      return text
+    })
+    expect(result).toBe('한그')
+
+    const input = page.locator('#target-input')
+    await input.focus()
+    await input.pressSequentially('rk')
+    await page.locator('#target-pad button[data-code="KeyS"]').click()
+    await expect(input).toHaveValue('간')
+  })
+
+  test('the demo keyboards type into the demo IME', async ({ page }) => {
+    const keyboard = page.locator('#keyboard-2bulsik')
+    await expect(keyboard.locator('button[data-code="KeyG"]')).toHaveText('ㅎ')
+
+    const tap = async (codes: string[]) => {
+      for (const code of codes) {
+        await keyboard.locator(`button[data-code="${code}"]`).click()
+      }
+    }
+
+    // The shared IME stays in English until it is switched on
+    await tap(['KeyG', 'KeyK'])
+    await expect(page.locator('#imeInput')).toHaveValue('gk')
+    await expect(page.locator('#imeToggle2')).toHaveText('Enable IME')
+
+    await page.locator('#imeToggle2').click()
+    await tap(['KeyG', 'KeyK', 'KeyS'])
+    await expect(page.locator('#imeInput')).toHaveValue('gk한')
+  })
+
+  test('<hangul-keyboard> leaves the mode of a shared IME alone', async ({
+    page,
+  }) => {
+    const result = await page.evaluate(async () => {
+      const { defineHangulElements } = await import('/hangul-elements.js')
+      const { HangulIme, init } = await import('/hangul-ime.js')
+      const wasmModule = await init()
+      defineHangulElements(wasmModule)
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        `<input id="shared-input">
+         <hangul-keyboard id="shared-pad" layout="3bulsik"></hangul-keyboard>`,
+      )
+      const pad = document.getElementById('shared-pad') as HTMLElement & {
+        ready: Promise<void>
+        ime: unknown
+        field: unknown
+        press(code: string): void
+      }
+      await pad.ready
+      const ime = new HangulIme(wasmModule)
+      const input = document.getElementById('shared-input') as HTMLInputElement
+      pad.ime = ime
+      pad.field = input
+
+      for (const code of ['KeyG', 'KeyK']) pad.press(code)
+      const english = input.value
+      ime.enable()
+      for (const code of ['KeyG', 'KeyK', 'KeyS']) pad.press(code)
+      return {
+        english,
+        korean: input.value,
+        layout: ime.getLayoutMode(),
+      }
+    })
+
+    expect(result).toEqual({
+      english: 'gk',
+      korean: 'gk한',
+      layout: '2bulsik',
+    })
+  })
+
+  test('a hangul.wasm that fails to load fires error', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      // A fresh copy of the module: the demo's defineHangulElements(wasmModule)
+      // would otherwise stand in for the `wasm` attribute
+      const { HangulInputElement, HangulKeyboardElement } = await import(
+        '/hangul-elements.js?missing-wasm'
+      )
+      customElements.define('missing-wasm-keyboard', HangulKeyboardElement)
+      customElements.define('missing-wasm-input', HangulInputElement)
+
+      const results: Record<string, string> = {}
+      for (const name of ['missing-wasm-keyboard', 'missing-wasm-input']) {
+        const element = document.createElement(name) as HTMLElement & {
+          ready: Promise<void>
+        }
+        element.setAttribute('wasm', '/missing.wasm')
+        element.addEventListener('error', (event) => {
+          results[name] = (event as ErrorEvent).message
+        })
+        document.body.appendChild(element)
+        await element.ready
+      }
+      return results
+    })
+
+    expect(result).toEqual({
+      'missing-wasm-keyboard': expect.stringContaining('404'),
+      'missing-wasm-input': expect.stringContaining('404'),
+    })
+  })
+})
@@ -0,0 +1,118 @@
+import { expect, type Page, test } from './fixtures'
+
+test.describe('Hangul IME composition events', () => {
+  test.beforeEach(async ({ page }) => {
+    // Record composition and input events fired on the 2-Bulsik field
+    await page.evaluate(() => {
+      const input = document.getElementById('imeInput')!
+      const events: string[] = []
+      ;(window as unknown as { imeEvents: string[] }).imeEvents = events
+      for (const type of [
+        'compositionstart',
+        'compositionupdate',
+        'compositionend',
+        'input',
+      ]) {
+        input.addEventListener(type, (e) => {
+          const event = e as InputEvent
+          const flag = event.isComposing ? '*' : ''
+          events.push(`${type}:${event.data}${flag}`)
+        })
+      }
+    })
+
+    await page.locator('#imeToggle2').click()
+  })
+
+  const recorded = (page: Page) =>
+    page.evaluate(
+      () => (window as unknown as { imeEvents: string[] }).imeEvents,
+    )
+
+  test('syllable boundaries emit compositionend', async ({ page }) => {
+    const input = page.locator('#imeInput')
+    await input.focus()
+    await input.pressSequentially('ekfrk', { delay: 50 })
+    await expect(input).toHaveValue('달가')
+
+    // The focused field is edited through execCommand, so the input events
+    // are the browser's own (insertText), one per edit
+    const events = await recorded(page)
+    expect(events[0]).toBe('compositionstart:')
+    expect(events).toContain('input:닭')
+    expect(events).toContain('compositionend:달')
+    expect(events.at(-1)).toBe('input:가')
+    expect(events.filter((event) => event.startsWith('input:'))).toEqual([
+      'input:ㄷ',
+      'input:다',
+      'input:달',
+      'input:닭',
+      'input:달',
+      'input:가',
+    ])
+  })
+
+  test('blur ends the composition', async ({ page }) => {
+    const input = page.locator('#imeInput')
+    await input.focus()
+    await input.pressSequentially('gk', { delay: 50 })
+    await page.locator('h1').click()
+
+    const events = await recorded(page)
+    expect(events.at(-1)).toBe('compositionend:하')
+  })
+
+  test('backspace past the first jamo deletes the composition', async ({
+    page,
+  }) => {
+    const input = page.locator('#imeInput')
+    await input.focus()
+    await input.pressSequentially('g', { delay: 50 })
+    await input.press('Backspace')
+    await expect(input).toHaveValue('')
+
+    const events = await recorded(page)
+    expect(events.slice(-2)).toEqual(['input:null', 'compositionend:'])
+  })
+
+  test('fields written through setValue get the IME input events', async ({
+    page,
+  }) => {
+    await page.evaluate(async () => {
+      const input = document.createElement('input')
+      input.id = 'written'
+      document.body.appendChild(input)
+      const events: string[] = []
+      for (const type of ['compositionstart', 'compositionupdate', 'input']) {
+        input.addEventListener(type, (e) => {
+          const event = e as InputEvent
+          events.push(`${type}:${event.data}${event.isComposing ? '*' : ''}`)
+        })
+      }
+      Object.assign(window, { writtenEvents: events })
+
+      const { init, setupIme } = await import('/hangul-ime.js')
+      setupIme(await init(), '#written', {
+        setValue: (element, value) => {
+          ;(element as HTMLInputElement).value = value
+        },
+      }).enable()
+    })
+
+    const input = page.locator('#written')
+    await input.focus()
+    await input.pressSequentially('gk', { delay: 50 })
+    await expect(input).toHaveValue('하')
+
+    const events = await page.evaluate(
+      () => (window as unknown as { writtenEvents: string[] }).writtenEvents,
+    )
+    expect(events).toEqual([
+      'compositionstart:',
+      'compositionupdate:ㅎ',
+      'input:ㅎ*',
+      'compositionupdate:하',
+      'input:하*',
+    ])
+  })
+})
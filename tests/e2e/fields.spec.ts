@@ -0,0 +1,71 @@
+import { expect, test } from './fixtures'
+
+type TestWindow = {
+  fieldIme: {
+    enable(): void
+    handleKeyPress(event: { key: string }, field: HTMLElement): boolean
+  }
+}
+
+test.describe('Hangul IME per-field state', () => {
+  test.beforeEach(async ({ page }) => {
+    // Fields sharing one IME: default layout, 3-Bulsik, pinned English
+    await page.evaluate(async () => {
+      const container = document.createElement('div')
+      container.innerHTML = `
+        <input type="text" id="fieldA" class="field">
+        <input type="text" id="fieldB" class="field">
+        <input type="text" id="field3" class="field" data-hangul-layout="3bulsik">
+        <input type="text" id="fieldEn" class="field" data-hangul-enabled="false">
+      `
+      document.body.appendChild(container)
+
+      const { init, setupIme } = await import('/hangul-ime.js')
+      const wasmModule = await init()
+      const ime = setupIme(wasmModule, '.field')
+      ime.enable()
+      ;(window as unknown as TestWindow).fieldIme = ime
+    })
+  })
+
+  test('compositions stay in their own field', async ({ page }) => {
+    const a = page.locator('#fieldA')
+    const b = page.locator('#fieldB')
+
+    // Type into B while A is mid-composition, without a blur in between
+    await a.focus()
+    await a.pressSequentially('gk', { delay: 50 })
+    await page.evaluate(() => {
+      const { fieldIme } = window as unknown as TestWindow
+      const fieldB = document.getElementById('fieldB')!
+      for (const key of 'dk') fieldIme.handleKeyPress({ key }, fieldB)
+    })
+    await a.pressSequentially('s', { delay: 50 })
+
+    await expect(a).toHaveValue('한')
+    await expect(b).toHaveValue('아')
+  })
+
+  test('data-hangul-layout selects 3-Bulsik for one field', async ({
+    page,
+  }) => {
+    const field3 = page.locator('#field3')
+    await field3.focus()
+    await field3.pressSequentially('mfskgw', { delay: 50 })
+    await expect(field3).toHaveValue('한글')
+
+    const a = page.locator('#fieldA')
+    await a.focus()
+    await a.pressSequentially('gksrmf', { delay: 50 })
+    await expect(a).toHaveValue('한글')
+  })
+
+  test('data-hangul-enabled="false" keeps a field in English', async ({
+    page,
+  }) => {
+    const field = page.locator('#fieldEn')
+    await field.focus()
+    await field.pressSequentially('gks', { delay: 50 })
+    await expect(field).toHaveValue('gks')
+  })
+})
@@ -0,0 +1,16 @@
+import { test as base } from '@playwright/test'
+
+export { expect, type Page } from '@playwright/test'
+
+/**
+ * Playwright test whose page starts on the demo with hangul.wasm loaded.
+ * Load a module inside page.evaluate with init() or loadHangul() from
+ * /hangul-ime.js.
+ */
+export const test = base.extend({
+  page: async ({ page }, use) => {
+    await page.goto('/')
+    await page.waitForSelector('#status.success', { timeout: 10000 })
+    await use(page)
+  },
+})
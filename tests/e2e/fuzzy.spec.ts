@@ -0,0 +1,51 @@
+import { expect, test } from './fixtures'
+
+test.describe('Hangul fuzzy matching', () => {
+  test('measures distance jamo by jamo', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      return [
+        hangul.jamoDistance('한', '핟'),
+        hangul.jamoDistance('한', '한'),
+        hangul.jamoDistance('닭', '달'),
+        hangul.jamoDistance('가', '까'),
+        hangul.jamoDistance('가', '바'),
+        hangul.jamoDistance('가', '다', { substitution: () => 1 }),
+        hangul.jamoDistance('abc', 'abd'),
+        hangul.similarity('한', '한'),
+        hangul.similarity('', ''),
+      ]
+    })
+
+    expect(result).toEqual([0.5, 0, 1, 0.5, 1, 1, 1, 1, 1])
+  })
+
+  test('ranks the closest candidates', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      const cities = ['서울', '부산', '대구', '인천', '대전', '수원', '세종']
+      return {
+        top: hangul
+          .fuzzySearch('서욿', cities, { limit: 2 })
+          .map(({ item, distance }) => [item, distance]),
+        near: hangul
+          .fuzzySearch(
+            '대즌',
+            cities.map((name) => ({ name })),
+            { key: (city) => city.name, maxDistance: 1 },
+          )
+          .map(({ item }) => item.name),
+      }
+    })
+
+    expect(result).toEqual({
+      top: [
+        ['서울', 1],
+        ['수원', 2.5],
+      ],
+      near: ['대전'],
+    })
+  })
+})
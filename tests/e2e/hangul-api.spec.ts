@@ -0,0 +1,53 @@
+import { expect, test } from './fixtures'
+
+test.describe('Hangul string API', () => {
+  test('wraps the raw exports with string methods', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      return {
+        decompose: hangul.decompose('한'),
+        notSyllable: hangul.decompose('a'),
+        compose: hangul.compose('ㅎ', 'ㅏ', 'ㄴ'),
+        decomposeString: hangul.decomposeString('한글 IME'),
+        composeString: hangul.composeString('ㅎㅏㄴㄱㅡㄹ IME'),
+        initial: hangul.getInitial('글'),
+        final: hangul.getFinal('가'),
+        hasFinal: hangul.hasFinal(0xd55c),
+        isJamo: hangul.isJamo('ㄱ'),
+      }
+    })
+
+    expect(result).toEqual({
+      decompose: { initial: 'ㅎ', medial: 'ㅏ', final: 'ㄴ' },
+      notSyllable: null,
+      compose: '한',
+      decomposeString: 'ㅎㅏㄴㄱㅡㄹ IME',
+      composeString: '한글 IME',
+      initial: 'ㄱ',
+      final: '',
+      hasFinal: true,
+      isJamo: true,
+    })
+  })
+
+  test('long strings do not exhaust WASM memory', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul, wasmModule } = await loadHangul()
+      const exports = wasmModule.instance.exports as unknown as {
+        wasm_alloc_used(): number
+      }
+
+      const text = '대한민국 만세! '.repeat(2000)
+      const before = exports.wasm_alloc_used()
+      const roundTrip = hangul.composeString(hangul.decomposeString(text))
+      return {
+        same: roundTrip === text,
+        grew: exports.wasm_alloc_used() - before,
+      }
+    })
+
+    expect(result).toEqual({ same: true, grew: 0 })
+  })
+})
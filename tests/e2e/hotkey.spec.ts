@@ -0,0 +1,68 @@
+import { expect, test } from './fixtures'
+
+test.describe('Hangul IME toggle hotkey', () => {
+  test('Shift+Space switches to Korean and updates the indicator', async ({
+    page,
+  }) => {
+    const input = page.locator('#imeInput')
+    await input.focus()
+
+    await page.keyboard.press('Shift+Space')
+    await expect(page.locator('#imeIndicator')).toHaveClass(/active/)
+    await expect(page.locator('#imeToggle2')).toContainText('Disable')
+
+    await input.pressSequentially('gksrmf', { delay: 50 })
+    await expect(input).toHaveValue('한글')
+  })
+
+  test('Shift+Space switches back to English', async ({ page }) => {
+    const input = page.locator('#imeInput')
+    await input.focus()
+
+    await page.keyboard.press('Shift+Space')
+    await input.pressSequentially('gk', { delay: 50 })
+    await page.keyboard.press('Shift+Space')
+    await expect(page.locator('#imeIndicator')).not.toHaveClass(/active/)
+
+    await input.pressSequentially('gk', { delay: 50 })
+    await expect(input).toHaveValue('하gk')
+  })
+
+  test('modechange fires for custom hotkeys and per-field modes', async ({
+    page,
+  }) => {
+    const changes = await page.evaluate(async () => {
+      const a = document.createElement('input')
+      const b = document.createElement('input')
+      a.type = b.type = 'text'
+      a.className = b.className = 'scoped'
+      document.body.append(a, b)
+
+      const { init, setupIme } = await import('/hangul-ime.js')
+      const wasmModule = await init()
+      const ime = setupIme(wasmModule, '.scoped', {
+        toggleKey: 'Ctrl+Space',
+        modeScope: 'field',
+      })
+
+      const changes: string[] = []
+      ime.addEventListener('modechange', (e) => {
+        const { enabled, field } = (e as CustomEvent).detail
+        changes.push(`${field === a ? 'a' : 'b'}:${enabled}`)
+      })
+
+      a.focus()
+      a.dispatchEvent(
+        new KeyboardEvent('keydown', {
+          code: 'Space',
+          key: ' ',
+          ctrlKey: true,
+          bubbles: true,
+        }),
+      )
+      return { changes, a: ime.isEnabled(a), b: ime.isEnabled(b) }
+    })
+
+    expect(changes).toEqual({ changes: ['a:true'], a: true, b: false })
+  })
+})
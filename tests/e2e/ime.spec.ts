@@ -111,6 +111,19 @@ test.describe('Hangul IME Integration', () => {
     await expect(input).toHaveValue('달가')
   })
 
+  test('2-Bulsik: vowel that cannot combine keeps the syllable', async ({
+    page,
+  }) => {
+    await page.locator('#imeToggle2').click()
+
+    const input = page.locator('#imeInput')
+    await input.focus()
+
+    // "rnk" = ㄱ+ㅜ+ㅏ: ㅜ+ㅏ is no double vowel, so 구 stays and ㅏ stands alone
+    await input.pressSequentially('rnk', { delay: 50 })
+    await expect(input).toHaveValue('구ㅏ')
+  })
+
   test('blur commits composition', async ({ page }) => {
     await page.locator('#imeToggle2').click()
 
@@ -166,6 +179,21 @@ test.describe('Hangul IME Integration', () => {
     await expect(input).toHaveValue('한글')
   })
 
+  test('3-Bulsik: vowel or final that cannot combine keeps the syllable', async ({
+    page,
+  }) => {
+    await page.locator('button.main-tab:has-text("3벌식")').click()
+    await page.locator('#imeToggle3').click()
+
+    const input = page.locator('#imeInput3')
+    await input.focus()
+
+    // k=ㄱ(초), b=ㅜ(중), f=ㅏ(중), s=ㄴ(종), x=ㄱ(종)
+    // ㅜ+ㅏ and ㄴ+ㄱ don't combine, so 구 and 간 stay whole
+    await input.pressSequentially('kbfkfsx', { delay: 50 })
+    await expect(input).toHaveValue('구ㅏ간ㄱ')
+  })
+
   test('decompose tool works', async ({ page }) => {
     // Click Tools tab
     await page.locator('button.main-tab:has-text("Tools")').click()
@@ -0,0 +1,46 @@
+import { expect, test } from './fixtures'
+
+test.describe('Jamo forms', () => {
+  test('decomposes into each form and composes back', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      const text = '한글 ㄱ IME'
+      const forms = ['compatibility', 'conjoining', 'nfd'] as const
+      return {
+        decomposed: forms.map((form) => hangul.decomposeString(text, { form })),
+        composed: forms.map((form) =>
+          hangul.composeString(hangul.decomposeString(text, { form })),
+        ),
+        isNfd:
+          hangul.decomposeString(text, { form: 'nfd' }) ===
+          text.normalize('NFD'),
+        syllable: hangul.decompose('한', { form: 'conjoining' }),
+      }
+    })
+
+    expect(result).toEqual({
+      decomposed: ['ㅎㅏㄴㄱㅡㄹ ㄱ IME', '한글 ᄀ IME', '한글 ㄱ IME'],
+      composed: ['한글 ㄱ IME', '한글 ㄱ IME', '한글 ㄱ IME'],
+      isNfd: true,
+      syllable: { initial: 'ᄒ', medial: 'ᅡ', final: 'ᆫ' },
+    })
+  })
+
+  test('composes archaic jamo into conjoining clusters', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      const long = 'ㅎㆍㄴㄱㅡㄹ '.repeat(300)
+      return {
+        archaic: hangul.composeString('ㅎㆍㄴㄱㅡㄹ'),
+        long: hangul.composeString(long) === 'ᄒᆞᆫ글 '.repeat(300),
+      }
+    })
+
+    expect(result).toEqual({
+      archaic: 'ᄒᆞᆫ글',
+      long: true,
+    })
+  })
+})
@@ -0,0 +1,49 @@
+import { expect, test } from './fixtures'
+
+test.describe('Hangul jamo split', () => {
+  test('splits compound jamo and puts them back', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      const text = '닭 과자 꽃 없앴다 학교 쌍쌍'
+      const compound = hangul.decomposeString(text, { split: 'compound' })
+      const all = hangul.decomposeString(text, { split: 'all' })
+      return {
+        compound,
+        all,
+        composedCompound: hangul.composeString(compound, {
+          split: 'compound',
+        }),
+        composedAll: hangul.composeString(all, { split: 'all' }),
+        ambiguous: hangul.composeString(
+          hangul.decomposeString('아까', { split: 'all' }),
+          { split: 'all' },
+        ),
+      }
+    })
+
+    expect(result).toEqual({
+      compound:
+        'ㄷㅏㄹㄱ ㄱㅗㅏㅈㅏ ㄲㅗㅊ ㅇㅓㅂㅅㅇㅐㅆㄷㅏ ㅎㅏㄱㄱㅛ ㅆㅏㅇㅆㅏㅇ',
+      all: 'ㄷㅏㄹㄱ ㄱㅗㅏㅈㅏ ㄱㄱㅗㅊ ㅇㅓㅂㅅㅇㅐㅅㅅㄷㅏ ㅎㅏㄱㄱㅛ ㅅㅅㅏㅇㅅㅅㅏㅇ',
+      composedCompound: '닭 과자 꽃 없앴다 학교 쌍쌍',
+      composedAll: '닭 과자 꽃 없앴다 학교 쌍쌍',
+      ambiguous: '악가',
+    })
+  })
+
+  test('every syllable round-trips through a compound split', async ({
+    page,
+  }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      let text = ''
+      for (let c = 0xac00; c <= 0xd7a3; c++) text += String.fromCodePoint(c)
+      const split = hangul.decomposeString(text, { split: 'compound' })
+      return hangul.composeString(split, { split: 'compound' }) === text
+    })
+
+    expect(result).toBe(true)
+  })
+})
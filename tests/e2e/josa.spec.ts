@@ -0,0 +1,55 @@
+import { expect, test } from './fixtures'
+
+test.describe('Hangul particles', () => {
+  test('picks the particle form for the final consonant', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      return [
+        hangul.josa('사과', '을/를'),
+        hangul.josa('책', '를'),
+        hangul.josa('친구', '이/가'),
+        hangul.josa('집', '(으)로'),
+        hangul.josa('길', '(으)로'),
+        hangul.josa('의사', '이에요'),
+        hangul.josa('1000', '은/는'),
+        hangul.josa('SQL', '을/를'),
+        hangul.josa('Java', '와/과'),
+        hangul.pickJosa('!!!', '을/를'),
+      ]
+    })
+
+    expect(result).toEqual([
+      '사과를',
+      '책을',
+      '친구가',
+      '집으로',
+      '길로',
+      '의사예요',
+      '1000은',
+      'SQL을',
+      'Java와',
+      '을(를)',
+    ])
+  })
+
+  test('fixes particles in a template', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { josa } = await loadHangul('/hangul.wasm')
+      const name = '김민준'
+      const file = '사진'
+      return [
+        josa`${name}을 삭제했습니다`,
+        josa`${file}을/를 ${'폴더'}(으)로 옮겼습니다`,
+        josa`${3}개`,
+      ]
+    })
+
+    expect(result).toEqual([
+      '김민준을 삭제했습니다',
+      '사진을 폴더로 옮겼습니다',
+      '3개',
+    ])
+  })
+})
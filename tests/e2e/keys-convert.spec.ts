@@ -0,0 +1,51 @@
+import { expect, test } from './fixtures'
+
+test.describe('Wrong-layout conversion', () => {
+  test('converts between Hangul and 2-Bulsik keys', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      return {
+        keys: hangul.hangulToKeys('안녕하세요, 닭 꽃 왜?'),
+        hangul: hangul.keysToHangul('dkssudgktpdy, ekfr Rhc dho?'),
+        vowels: hangul.keysToHangul('rnk'),
+      }
+    })
+
+    expect(result).toEqual({
+      keys: 'dkssudgktpdy, ekfr Rhc dho?',
+      hangul: '안녕하세요, 닭 꽃 왜?',
+      vowels: '구ㅏ',
+    })
+  })
+
+  test('round-trips every syllable in both layouts', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      const failures: string[] = []
+      for (const layout of ['2bulsik', '3bulsik'] as const) {
+        for (let code = 0xac00; code <= 0xd7a3; code++) {
+          const syllable = String.fromCodePoint(code)
+          const keys = hangul.hangulToKeys(syllable, layout)
+          if (hangul.keysToHangul(keys, layout) !== syllable) {
+            failures.push(`${layout} ${syllable}`)
+          }
+        }
+      }
+      const text = '대한민국 만세! 읽었습니다.'
+      return {
+        failures,
+        sentence: hangul.keysToHangul(
+          hangul.hangulToKeys(text, '3bulsik'),
+          '3bulsik',
+        ),
+      }
+    })
+
+    expect(result).toEqual({
+      failures: [],
+      sentence: '대한민국 만세! 읽었습니다.',
+    })
+  })
+})
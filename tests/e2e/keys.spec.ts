@@ -0,0 +1,136 @@
+import { expect, test } from './fixtures'
+
+test.describe('Hangul IME physical keys', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.locator('#imeToggle2').click()
+  })
+
+  test('Caps Lock does not select double consonants', async ({ page }) => {
+    const input = page.locator('#imeInput')
+    await input.focus()
+
+    // Caps Lock on: key reports 'R'/'K' without Shift
+    await page.evaluate(() => {
+      const field = document.getElementById('imeInput')!
+      for (const [code, key] of [
+        ['KeyR', 'R'],
+        ['KeyK', 'K'],
+      ]) {
+        field.dispatchEvent(
+          new KeyboardEvent('keydown', {
+            code,
+            key,
+            modifierCapsLock: true,
+            bubbles: true,
+            cancelable: true,
+          }),
+        )
+      }
+    })
+
+    await expect(input).toHaveValue('가')
+  })
+
+  test('Shift selects double consonants', async ({ page }) => {
+    const input = page.locator('#imeInput')
+    await input.focus()
+
+    await page.keyboard.press('Shift+KeyR')
+    await page.keyboard.press('KeyK')
+    await expect(input).toHaveValue('까')
+  })
+
+  test('jamo follow the physical key, not the OS layout', async ({ page }) => {
+    const input = page.locator('#imeInput')
+    await input.focus()
+
+    // Dvorak reports 'i' and 't' for the QWERTY g and k keys
+    await page.evaluate(() => {
+      const field = document.getElementById('imeInput')!
+      for (const [code, key] of [
+        ['KeyG', 'i'],
+        ['KeyK', 't'],
+      ]) {
+        field.dispatchEvent(
+          new KeyboardEvent('keydown', {
+            code,
+            key,
+            bubbles: true,
+            cancelable: true,
+          }),
+        )
+      }
+    })
+
+    await expect(input).toHaveValue('하')
+  })
+
+  test('keypress still works without a keydown', async ({ page }) => {
+    const input = page.locator('#imeInput')
+    await input.focus()
+
+    await page.evaluate(() => {
+      const field = document.getElementById('imeInput')!
+      for (const key of 'gk') {
+        field.dispatchEvent(
+          new KeyboardEvent('keypress', {
+            key,
+            bubbles: true,
+            cancelable: true,
+          }),
+        )
+      }
+    })
+
+    await expect(input).toHaveValue('하')
+  })
+
+  test('keys left to the browser are not fed again from beforeinput', async ({
+    page,
+  }) => {
+    await page.evaluate(async () => {
+      const input = document.createElement('input')
+      input.id = 'passed'
+      document.body.appendChild(input)
+
+      const { init, setupIme } = await import('/hangul-ime.js')
+      const ime = setupIme(await init(), '#passed')
+      ime.enable()
+      const calls: string[] = []
+      for (const name of [
+        'handleKeyPress',
+        'handleTextInput',
+        'handleBackspace',
+      ] as const) {
+        const handler = ime[name].bind(ime) as (...args: unknown[]) => boolean
+        ime[name] = ((...args: unknown[]) => {
+          calls.push(name)
+          return handler(...args)
+        }) as never
+      }
+      Object.assign(window, { calls })
+    })
+
+    const input = page.locator('#passed')
+    await input.focus()
+    await page.keyboard.press('KeyR')
+    // Outside the layout: commits ㄱ and lets the browser type the digit
+    await page.keyboard.press('Digit1')
+    await expect(input).toHaveValue('ㄱ1')
+    // No composition left: the browser deletes
+    await page.keyboard.press('Backspace')
+    await page.keyboard.press('Backspace')
+    await expect(input).toHaveValue('')
+
+    expect(
+      await page.evaluate(
+        () => (window as unknown as { calls: string[] }).calls,
+      ),
+    ).toEqual([
+      'handleKeyPress',
+      'handleKeyPress',
+      'handleBackspace',
+      'handleBackspace',
+    ])
+  })
+})
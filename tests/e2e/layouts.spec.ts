@@ -0,0 +1,119 @@
+import { expect, test } from './fixtures'
+
+test.describe('Keyboard layouts', () => {
+  test('types the Sebeolsik 390 and Final variants', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      const text = '안녕하세요, 반갑습니다! (3.14)'
+      return {
+        final: hangul.keysToHangul('kfF', '3bulsik-final'),
+        finalAlias: hangul.keysToHangul('kfF', '3bulsik'),
+        double390: hangul.keysToHangul('kfF', '3bulsik-390'),
+        digits390: hangul.keysToHangul('IJM<', '3bulsik-390'),
+        keys390: hangul.hangulToKeys(text, '3bulsik-390'),
+        roundTrip390: hangul.keysToHangul(
+          hangul.hangulToKeys(text, '3bulsik-390'),
+          '3bulsik-390',
+        ),
+      }
+    })
+
+    expect(result).toEqual({
+      final: '갊',
+      finalAlias: '갊',
+      double390: '갂',
+      digits390: '8412',
+      keys390: 'jfsheamfncj4, ;fskf3ng3hdufB (>.MJ)',
+      roundTrip390: '안녕하세요, 반갑습니다! (3.14)',
+    })
+  })
+
+  test('registers a Dvorak 2-Bulsik layout', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul, registerLayout } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      const qwerty = 'qwertyuiopasdfghjklzxcvbnm'
+      const dvorak = "',.pyfgcrlaoeuidhtn;qjkxbm"
+      const keys: Record<string, string> = {}
+      for (let i = 0; i < qwerty.length; i++) {
+        keys[dvorak[i]] = hangul.keysToHangul(qwerty[i])
+        const shifted = qwerty[i].toUpperCase()
+        if ('QWERTOP'.includes(shifted) && /[a-z]/.test(dvorak[i])) {
+          keys[dvorak[i].toUpperCase()] = hangul.keysToHangul(shifted)
+        }
+      }
+      registerLayout('2bulsik-dvorak', { keys })
+
+      const text = '안녕하세요 닭갈비 꽃 쌍쌍'
+      const typed = hangul.hangulToKeys(text, '2bulsik-dvorak')
+      const failures: string[] = []
+      for (let code = 0xac00; code <= 0xd7a3; code++) {
+        const syllable = String.fromCodePoint(code)
+        const syllableKeys = hangul.hangulToKeys(syllable, '2bulsik-dvorak')
+        if (hangul.keysToHangul(syllableKeys, '2bulsik-dvorak') !== syllable) {
+          failures.push(syllable)
+        }
+      }
+      return {
+        typed,
+        text: hangul.keysToHangul(typed, '2bulsik-dvorak'),
+        failures,
+      }
+    })
+
+    expect(result).toEqual({
+      typed: "etoogeitylef .tupptu'n Pdj YteYte",
+      text: '안녕하세요 닭갈비 꽃 쌍쌍',
+      failures: [],
+    })
+  })
+
+  test('registers a 3-Bulsik layout from conjoining jamo', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { HangulComposer, init, registerLayout } = await import(
+        '/hangul-ime.js'
+      )
+      const wasmModule = await init()
+      registerLayout('my-3bulsik', {
+        type: '3bulsik',
+        keys: { k: 'ᄀ', f: 'ᅡ', d: 'ㅣ', s: 'ᆫ', j: 'ᄋ', v: 'ㅗ', '1': '!' },
+      })
+      const composer = new HangulComposer(wasmModule, { layout: 'my-3bulsik' })
+      let text = ''
+      for (const key of 'kfsjd1 kvf') text += composer.feed(key).committed
+      text += composer.commit().committed
+      composer.destroy()
+      return text
+    })
+
+    expect(result).toBe('간이! 과')
+  })
+
+  test('rejects invalid layouts', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { registerLayout } = await import('/hangul-ime.js')
+      const attempts: [string, Parameters<typeof registerLayout>[1]][] = [
+        ['bad', { keys: { k: 'ㄳ' } }],
+        ['bad', { type: '3bulsik', keys: { k: 'ㄱ' } }],
+        ['bad', { type: '4bulsik' as '2bulsik', keys: {} }],
+        ['2bulsik', { keys: {} }],
+      ]
+      return attempts.map(([name, layout]) => {
+        try {
+          registerLayout(name, layout)
+          return 'registered'
+        } catch (error) {
+          return (error as Error).message
+        }
+      })
+    })
+
+    expect(result).toEqual([
+      `Layout bad: key 'k' can't type "ㄳ" in 2bulsik`,
+      `Layout bad: key 'k' can't type "ㄱ" in 3bulsik`,
+      'Unknown layout type: 4bulsik',
+      "Can't replace the built-in layout 2bulsik",
+    ])
+  })
+})
@@ -0,0 +1,57 @@
+import { expect, test } from './fixtures'
+
+test.describe('hangul.wasm loader', () => {
+  test('finds hangul.wasm next to the module and caches it', async ({
+    page,
+  }) => {
+    const result = await page.evaluate(async () => {
+      const { init, loadHangul } = await import('/hangul-ime.js')
+      const first = await init()
+      const loaded = await loadHangul()
+      return {
+        cached: first === loaded.wasmModule,
+        sameHangul: loaded.hangul === (await loadHangul()).hangul,
+        decomposed: loaded.hangul.decomposeString('한글'),
+      }
+    })
+
+    expect(result).toEqual({
+      cached: true,
+      sameHangul: true,
+      decomposed: 'ㅎㅏㄴㄱㅡㄹ',
+    })
+  })
+
+  test('accepts a response, bytes or a compiled module', async ({ page }) => {
+    const results = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const bytes = await (await fetch('/hangul.wasm')).arrayBuffer()
+      const sources = [
+        fetch('/hangul.wasm'),
+        bytes,
+        await WebAssembly.compile(bytes),
+      ]
+
+      const results: (string | null)[] = []
+      for (const source of sources) {
+        const { hangul } = await loadHangul(source)
+        results.push(hangul.compose('ㅎ', 'ㅏ', 'ㄴ'))
+      }
+      return results
+    })
+
+    expect(results).toEqual(['한', '한', '한'])
+  })
+
+  test('rejects a missing file', async ({ page }) => {
+    const message = await page.evaluate(async () => {
+      const { init } = await import('/hangul-ime.js')
+      return init('/missing.wasm').then(
+        () => 'loaded',
+        (error: Error) => error.message,
+      )
+    })
+
+    expect(message).toContain('404')
+  })
+})
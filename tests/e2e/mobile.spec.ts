@@ -0,0 +1,60 @@
+import { expect, type Page, test } from './fixtures'
+
+// Soft keyboards only report typed text through beforeinput
+async function softType(page: Page, inputs: [string, string | null][]) {
+  return page.evaluate((inputs) => {
+    const field = document.getElementById('imeInput')!
+    return inputs.map(([inputType, data]) => {
+      const event = new InputEvent('beforeinput', {
+        inputType,
+        data,
+        bubbles: true,
+        cancelable: true,
+      })
+      field.dispatchEvent(event)
+      return event.defaultPrevented
+    })
+  }, inputs)
+}
+
+test.describe('Hangul IME soft keyboards', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.locator('#imeToggle2').click()
+    await page.locator('#imeInput').focus()
+  })
+
+  test('composes insertText letters', async ({ page }) => {
+    const prevented = await softType(
+      page,
+      Array.from('gksrmf', (key): [string, string] => ['insertText', key]),
+    )
+
+    expect(prevented.every(Boolean)).toBe(true)
+    await expect(page.locator('#imeInput')).toHaveValue('한글')
+  })
+
+  test('deleteContentBackward steps back through the syllable', async ({
+    page,
+  }) => {
+    await softType(page, [
+      ['insertText', 'g'],
+      ['insertText', 'k'],
+      ['insertText', 's'],
+      ['deleteContentBackward', null],
+    ])
+
+    await expect(page.locator('#imeInput')).toHaveValue('하')
+  })
+
+  test('leaves space and whole words to the browser', async ({ page }) => {
+    const prevented = await softType(page, [
+      ['insertText', 'g'],
+      ['insertText', 'k'],
+      ['insertText', ' '],
+      ['insertText', 'hello'],
+    ])
+
+    expect(prevented).toEqual([true, true, false, false])
+    await expect(page.locator('#imeInput')).toHaveValue('하')
+  })
+})
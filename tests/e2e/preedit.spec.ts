@@ -0,0 +1,69 @@
+import { expect, test } from './fixtures'
+
+test.describe('Hangul IME preedit overlay', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.locator('#imeToggle2').click()
+  })
+
+  test('marks the composing syllable inside the field', async ({ page }) => {
+    const input = page.locator('#imeInput')
+    const overlay = page.locator('.hangul-preedit')
+    await input.focus()
+
+    await input.pressSequentially('gk', { delay: 50 })
+    await expect(overlay).toBeVisible()
+
+    const field = (await input.boundingBox())!
+    const box = (await overlay.boundingBox())!
+    expect(box.width).toBeGreaterThan(0)
+    expect(box.x).toBeGreaterThanOrEqual(field.x)
+    expect(box.x + box.width).toBeLessThanOrEqual(field.x + field.width)
+    expect(box.y).toBeGreaterThanOrEqual(field.y)
+    expect(box.y + box.height).toBeLessThanOrEqual(field.y + field.height)
+  })
+
+  test('moves to the next syllable', async ({ page }) => {
+    const input = page.locator('#imeInput')
+    const overlay = page.locator('.hangul-preedit')
+    await input.focus()
+
+    await input.pressSequentially('gks', { delay: 50 })
+    const first = (await overlay.boundingBox())!
+
+    await input.pressSequentially('rm', { delay: 50 })
+    const second = (await overlay.boundingBox())!
+
+    expect(second.x).toBeGreaterThan(first.x)
+  })
+
+  test('disappears when the composition ends', async ({ page }) => {
+    const input = page.locator('#imeInput')
+    const overlay = page.locator('.hangul-preedit')
+    await input.focus()
+
+    await input.pressSequentially('gk', { delay: 50 })
+    await expect(overlay).toBeVisible()
+
+    await input.press('Space')
+    await expect(overlay).toHaveCount(0)
+  })
+
+  test('follows the page when it scrolls', async ({ page }) => {
+    const input = page.locator('#imeInput')
+    const overlay = page.locator('.hangul-preedit')
+    await input.focus()
+    await input.pressSequentially('gk', { delay: 50 })
+
+    await page.evaluate(() => {
+      document.body.style.minHeight = '300vh'
+      window.scrollBy(0, 40)
+    })
+
+    await expect(async () => {
+      const field = (await input.boundingBox())!
+      const box = (await overlay.boundingBox())!
+      expect(box.y).toBeGreaterThanOrEqual(field.y)
+      expect(box.y + box.height).toBeLessThanOrEqual(field.y + field.height)
+    }).toPass()
+  })
+})
@@ -0,0 +1,135 @@
+import { readdirSync, readFileSync } from 'node:fs'
+import { expect, test } from './fixtures'
+
+// Bug report traces (JSON from HangulIme.stopRecording), replayed as
+// regression tests: the replay must go through the same steps
+const TRACES = new URL('traces/', import.meta.url)
+const traces = readdirSync(TRACES).filter((name) => name.endsWith('.json'))
+
+test.describe('Recording and replay', () => {
+  test('a recorded session replays to the same steps', async ({ page }) => {
+    await page.evaluate(async () => {
+      const container = document.createElement('div')
+      container.innerHTML = '<input type="text" id="recorded">'
+      document.body.appendChild(container)
+
+      const { init, setupIme } = await import('/hangul-ime.js')
+      const wasmModule = await init()
+      const ime = setupIme(wasmModule, '#recorded')
+      ime.enable()
+      ime.startRecording(document.getElementById('recorded')!)
+      Object.assign(window, { ime, wasmModule })
+    })
+
+    const field = page.locator('#recorded')
+    await field.focus()
+    await field.pressSequentially('gks rmf', { delay: 50 })
+    await field.press('Backspace')
+    await expect(field).toHaveValue('한 그')
+
+    const { recording, replay } = await page.evaluate(async () => {
+      const { HangulIme } = await import('/hangul-ime.js')
+      const { ime, wasmModule } = window as unknown as {
+        ime: InstanceType<typeof HangulIme>
+        wasmModule: WebAssembly.WebAssemblyInstantiatedSource
+      }
+      const recording = JSON.parse(JSON.stringify(ime.stopRecording()))
+      return { recording, replay: HangulIme.replay(wasmModule, recording) }
+    })
+
+    expect(recording.steps.map((step: { type: string }) => step.type)).toEqual([
+      'key',
+      'key',
+      'key',
+      'commit',
+      'key',
+      'key',
+      'key',
+      'backspace',
+    ])
+    // The space typed by the browser is an edit outside the IME
+    expect(recording.steps[4].before).toEqual({
+      text: '한 ',
+      selection: [2, 2],
+    })
+    expect(recording.steps[7]).toMatchObject({
+      action: 1,
+      handled: true,
+      text: '한 그',
+      preedit: '그',
+    })
+    expect(replay).toEqual(recording)
+  })
+
+  test('keys left to the browser are recorded once', async ({ page }) => {
+    await page.evaluate(async () => {
+      const container = document.createElement('div')
+      container.innerHTML = '<input type="text" id="recorded">'
+      document.body.appendChild(container)
+
+      const { init, setupIme } = await import('/hangul-ime.js')
+      const ime = setupIme(await init(), '#recorded')
+      ime.enable()
+      ime.startRecording(document.getElementById('recorded')!)
+      Object.assign(window, { ime })
+    })
+
+    // Digits and Backspace with no composition go through keydown and on
+    // to the browser's beforeinput
+    const keys = [
+      'KeyR',
+      'KeyK',
+      'Digit1',
+      'Digit2',
+      'Backspace',
+      'KeyS',
+      'Backspace',
+      'Backspace',
+    ]
+    const field = page.locator('#recorded')
+    await field.focus()
+    for (const key of keys) await page.keyboard.press(key)
+    await expect(field).toHaveValue('가')
+
+    const recording = await page.evaluate(async () => {
+      const { HangulIme } = await import('/hangul-ime.js')
+      const { ime } = window as unknown as {
+        ime: InstanceType<typeof HangulIme>
+      }
+      return JSON.parse(JSON.stringify(ime.stopRecording()))
+    })
+
+    expect(recording.steps).toHaveLength(keys.length)
+    expect(
+      recording.steps.map(
+        (step: { type: string; handled: boolean; text: string }) => [
+          step.type,
+          step.handled,
+          step.text,
+        ],
+      ),
+    ).toEqual([
+      ['key', true, 'ㄱ'],
+      ['key', true, '가'],
+      ['key', false, '가'],
+      ['key', false, '가1'],
+      ['backspace', false, '가12'],
+      ['key', true, '가1ㄴ'],
+      ['backspace', true, '가1'],
+      ['backspace', false, '가1'],
+    ])
+  })
+
+  for (const name of traces) {
+    test(`trace ${name} replays unchanged`, async ({ page }) => {
+      const trace = JSON.parse(readFileSync(new URL(name, TRACES), 'utf8'))
+      const replay = await page.evaluate(async (recording) => {
+        const { HangulIme, init } = await import('/hangul-ime.js')
+        const wasmModule = await init()
+        return HangulIme.replay(wasmModule, recording)
+      }, trace)
+
+      expect(replay.steps).toEqual(trace.steps)
+    })
+  }
+})
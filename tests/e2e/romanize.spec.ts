@@ -0,0 +1,87 @@
+import { expect, test } from './fixtures'
+
+test.describe('Hangul romanization', () => {
+  test('romanizes words as pronounced', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      const text = '종로 신라 같이, 한국어!'
+      return {
+        revised: hangul.romanize(text),
+        mr: hangul.romanize(text, { system: 'mccune-reischauer' }),
+      }
+    })
+
+    expect(result).toEqual({
+      revised: 'jongno silla gachi, hangugeo!',
+      mr: 'chongno shilla kach’i, han’gugŏ!',
+    })
+  })
+
+  test('transliteration reverses to the original text', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      const text = '없었습니다. 꽃이 피었어요'
+      const transliterated = hangul.romanize(text, {
+        system: 'transliteration',
+      })
+      const long = '대한민국만세'.repeat(100)
+      return {
+        transliterated,
+        restored: hangul.detransliterate(transliterated),
+        longRoundTrip:
+          hangul.detransliterate(
+            hangul.romanize(long, { system: 'transliteration' }),
+          ) === long,
+      }
+    })
+
+    expect(result).toEqual({
+      transliterated: 'eobs-eoss-seubnida. kkoch-i pi-eoss-eo-yo',
+      restored: '없었습니다. 꽃이 피었어요',
+      longRoundTrip: true,
+    })
+  })
+
+  test('romanizes long runs of syllables', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { Hangul, init } = await import('/hangul-ime.js')
+      const wasmModule = await init()
+      const exports = wasmModule.instance.exports
+      // A 256-byte output buffer: 64 syllables (576 bytes) overflow it
+      const small = new Hangul({
+        ...wasmModule,
+        instance: {
+          exports: {
+            ...exports,
+            wasm_romanize: (
+              input: number,
+              inputLength: number,
+              output: number,
+              outputLength: number,
+              system: number,
+            ) =>
+              exports.wasm_romanize(
+                input,
+                inputLength,
+                output,
+                Math.min(outputLength, 256),
+                system,
+              ),
+          },
+        },
+      })
+      const full = new Hangul(wasmModule)
+      const long = '청'.repeat(500)
+      const results = [full, small].map((hangul) =>
+        hangul.romanize(long, { system: 'mccune-reischauer' }),
+      )
+      full.destroy()
+      small.destroy()
+      return results
+    })
+
+    expect(result).toEqual(['ch’ŏng'.repeat(500), 'ch’ŏng'.repeat(500)])
+  })
+})
@@ -0,0 +1,48 @@
+import { expect, test } from './fixtures'
+
+test.describe('Hangul search', () => {
+  test('matches chosung and partly typed syllables', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      return {
+        chosung: hangul.search('한글', 'ㅎㄱ'),
+        partial: hangul.rangeSearch('한글과 한국', '한ㄱ'),
+        compound: hangul.search('닭갈비', '달'),
+        spill: hangul.rangeSearch('하나', '한'),
+        none: hangul.search('hello', 'ㅎㄱ'),
+      }
+    })
+
+    expect(result).toEqual({
+      chosung: 0,
+      partial: [
+        [0, 2],
+        [4, 6],
+      ],
+      compound: 0,
+      spill: [[0, 2]],
+      none: -1,
+    })
+  })
+
+  test('filters candidates with ranges', async ({ page }) => {
+    const matches = await page.evaluate(async () => {
+      const { loadHangul, Searcher } = await import('/hangul-ime.js')
+      const { hangul } = await loadHangul()
+      const contacts = [
+        { name: '김철수' },
+        { name: '이영희' },
+        { name: '고추장' },
+      ]
+      return new Searcher(hangul, 'ㄱㅊ')
+        .filter(contacts, (contact) => contact.name)
+        .map(({ item, ranges }) => [item.name, ranges])
+    })
+
+    expect(matches).toEqual([
+      ['김철수', [[0, 2]]],
+      ['고추장', [[0, 2]]],
+    ])
+  })
+})
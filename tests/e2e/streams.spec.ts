@@ -0,0 +1,92 @@
+import { Readable, Writable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { loadHangul } from '../../hangul-ime.js'
+import {
+  createComposeStream,
+  createDecomposeStream,
+} from '../../hangul-node.js'
+import { expect, test } from './fixtures'
+
+test.describe('Hangul streams', () => {
+  test('transform streams match the string API', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { loadHangul } = await import('/hangul-ime.js')
+      const { hangul, wasmModule } = await loadHangul()
+      const exports = wasmModule.instance.exports as unknown as {
+        wasm_alloc_used(): number
+      }
+
+      const text = '대한민국 만세! 닭갈비 😀 '.repeat(2000)
+      const bytes = new TextEncoder().encode(text)
+      const read = async (stream: ReadableStream<string>) => {
+        const reader = stream.getReader()
+        let output = ''
+        for (;;) {
+          const { done, value } = await reader.read()
+          if (done) return output
+          output += value
+        }
+      }
+      // Chunks cut through UTF-8 sequences, surrogate pairs and syllables
+      const chunked = (data: Uint8Array | string, size: number) =>
+        new ReadableStream({
+          start(controller) {
+            for (let i = 0; i < data.length; i += size) {
+              controller.enqueue(data.slice(i, i + size))
+            }
+            controller.close()
+          },
+        })
+
+      const before = exports.wasm_alloc_used()
+      const jamo = await read(
+        chunked(bytes, 7).pipeThrough(hangul.decomposeStream()),
+      )
+      const composed = await read(
+        chunked(jamo, 5).pipeThrough(hangul.composeStream()),
+      )
+      const split = await read(
+        chunked(text, 3).pipeThrough(
+          hangul.decomposeStream({ split: 'compound' }),
+        ),
+      )
+      return {
+        decomposed: jamo === hangul.decomposeString(text),
+        composed: composed === text,
+        split: split === hangul.decomposeString(text, { split: 'compound' }),
+        grew: exports.wasm_alloc_used() - before,
+      }
+    })
+
+    expect(result).toEqual({
+      decomposed: true,
+      composed: true,
+      split: true,
+      grew: 0,
+    })
+  })
+
+  test('Node streams round-trip a document', async () => {
+    const { hangul } = await loadHangul()
+    const text = '동해 물과 백두산이 마르고 닳도록\n'.repeat(3000)
+    const buffer = Buffer.from(text)
+    const chunks = []
+    for (let i = 0; i < buffer.length; i += 1000) {
+      chunks.push(buffer.subarray(i, i + 1000))
+    }
+
+    let output = ''
+    await pipeline(
+      Readable.from(chunks),
+      createDecomposeStream(hangul),
+      createComposeStream(hangul),
+      new Writable({
+        write(chunk, _encoding, callback) {
+          output += chunk
+          callback()
+        },
+      }),
+    )
+    expect(output).toBe(text)
+  })
+})